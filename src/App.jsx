@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
   Play,
   Pause,
@@ -20,12 +20,206 @@ import {
   X,
   Plus,
   GripVertical,
-  Repeat
+  Repeat,
+  RotateCcw,
+  Layers,
+  Star,
+  Theater,
+  MapPin,
+  Pencil,
+  Gauge,
+  Trash2,
+  ListMusic,
+  ArrowRightLeft,
+  Download,
+  Upload,
+  KeyboardMusic,
+  Cable,
+  ZoomIn,
+  ZoomOut,
+  LocateFixed,
+  Timer,
+  SlidersHorizontal,
+  MicVocal,
+  Crosshair,
+  Presentation,
+  RefreshCw,
+  Link2,
+  FileAudio,
+  Scissors,
+  Spline,
+  TrendingDown,
+  Undo2,
+  Redo2,
+  ArchiveRestore
 } from 'lucide-react';
+import { createAudioContext, createAudioEngine, configureOutput, canSelectOutputDevice } from './audioEngine.js';
+import {
+  addCuesToDB,
+  loadCuesFromDB,
+  updateCueInDB,
+  loadShowsFromDB,
+  saveShowToDB,
+  removeShowFromDB,
+  loadSettingFromDB,
+  saveSettingToDB,
+  saveStemPeaksToDB,
+  migrateStemBlobs,
+  getStorageUsageFromDB,
+  saveLinkedFolderToDB,
+  loadLinkedFoldersFromDB,
+  updateStemLinksInDB,
+  removeCuesFromDB,
+  trashCuesInDB,
+  restoreCuesInDB,
+  loadTrashFromDB,
+  emptyTrashInDB,
+  TRASH_RETENTION_DAYS
+} from './db.js';
+import {
+  DEFAULT_SHOW_NAME,
+  createShow,
+  createSetlist,
+  updateSetlist,
+  mergeSetlists,
+  findUnreferencedCueIds
+} from './shows.js';
+import {
+  MAX_PAIRS,
+  DEFAULT_ROUTING,
+  getPairCount,
+  describePair,
+  createRoutingRule,
+  findRoutingRule,
+  resolveStemPairs,
+  routeStem,
+  listOutputDevices
+} from './routing.js';
+import {
+  EMPTY_HISTORY,
+  UNDO_KEYS,
+  REDO_KEYS,
+  createEntry,
+  createCueEntry,
+  diffFields,
+  pushEntry,
+  moveToFuture,
+  moveToPast,
+  getSide
+} from './history.js';
+import { selectPeakLevel, getPeakCount, computePeaks, decodeForPeaks } from './peaks.js';
+import { BUNDLE_EXTENSION, createShowBundle, bundleFileName, readShowBundle, withFreshCueIds } from './showBundle.js';
+import { planFolderImport } from './folderImport.js';
+import {
+  SAMPLE_RATES,
+  BIT_DEPTHS,
+  parseClock,
+  mixdownFileName,
+  renderMixdown,
+  encodeWav,
+  canPickOutputFolder,
+  pickOutputFolder,
+  writeToFolder
+} from './mixdown.js';
+import { canLinkFolders, pickFolder, readFolderFiles, linkFor, hasReadPermission, resolveLinkedStems } from './linkedFolders.js';
+import {
+  registerServiceWorker,
+  applyUpdate,
+  requestPersistentStorage,
+  estimateStorage,
+  isStorageLow,
+  formatBytes,
+  QUOTA_WARNING_SHARE
+} from './offline.js';
+import { STAGE_HEARTBEAT, createStageChannel, openStageWindow } from './stage.js';
+import { parseLyrics, readLyricsFile, serializeLrc, formatLyricTime, findCurrentLine, setLineTime } from './lyrics.js';
+import {
+  addMarker,
+  updateMarker,
+  removeMarker,
+  findPrevMarker,
+  findNextMarker,
+  findCurrentMarker
+} from './markers.js';
+import {
+  UNITY_STEM,
+  FLAT_EQ,
+  EQ_BANDS,
+  EQ_RANGE_DB,
+  HPF_OPTIONS,
+  buildMixerState,
+  serializeMix,
+  isFlatStem,
+  isUnityMix,
+  gainToDb,
+  faderToGain,
+  gainToFader,
+  formatGain,
+  formatPan,
+  createScene,
+  createGlobalScene,
+  applyGlobalScene,
+  getGlobalSceneMutes
+} from './mixer.js';
+import {
+  MIDI_ACTIONS,
+  getMidiAction,
+  parseMidiMessage,
+  learnMidiTrigger,
+  resolveMidiMessage,
+  describeMidiTrigger,
+  describeMidiMapping,
+  createMidiMapping,
+  connectMidiInputs
+} from './midi.js';
+import {
+  SHORTCUT_ACTIONS,
+  keyFromEvent,
+  buildShortcutMap,
+  getShortcutOverrides,
+  findShortcutConflicts,
+  resolveShortcut,
+  describeShortcut
+} from './shortcuts.js';
+import { FOLLOW_ACTIONS, DEFAULT_FOLLOW, followsOn, describeFollow, getSegueTiming } from './follow.js';
+import {
+  DEFAULT_FADES,
+  MAX_FADE,
+  envelopeValueAt,
+  getFadeEnvelope,
+  addPoint,
+  movePoint,
+  removePoint,
+  setStemAutomation
+} from './automation.js';
+import {
+  DEFAULT_VIEW,
+  MAX_ZOOM,
+  ZOOM_STEP,
+  DEFAULT_GRID,
+  MIN_BPM,
+  MAX_BPM,
+  BEATS_PER_BAR_OPTIONS,
+  getVisibleRange,
+  clampView,
+  zoomView,
+  panView,
+  followPlayhead,
+  timeToPercent,
+  timeAtFraction,
+  formatRulerTime,
+  getTimeTicks,
+  getGridTicks,
+  MAX_STEM_OFFSET_MS,
+  getTrimRange,
+  moveTrimPoint,
+  getStemOffsetMap,
+  setStemOffset
+} from './timeline.js';
 
 /* Encore! Player
    Features:
-   - Local-Only Playback
+   - Local-Only Playback (sample-locked Web Audio engine)
    - Strict Folder Structure (Folder = Song)
    - Real Root Folder Naming
    - Click-to-seek on Waveforms
@@ -56,94 +250,86 @@ const THEME = {
   waveActive: '#f97316'
 };
 
-// --- IndexedDB Helpers ---
+// --- Player Constants ---
 
-const DB_NAME = 'encore-db';
-const DB_VERSION = 1;
-const STORE_NAME = 'cues';
+const CUE_SAVE_DELAY = 400;
 
-const openDB = () => new Promise((resolve, reject) => {
-  const request = indexedDB.open(DB_NAME, DB_VERSION);
-  request.onupgradeneeded = (e) => {
-    const db = e.target.result;
-    if (!db.objectStoreNames.contains(STORE_NAME)) {
-      db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-    }
-  };
-  request.onsuccess = () => resolve(request.result);
-  request.onerror = () => reject(request.error);
-});
+// Seconds over which a recalled scene glides to its levels
+const SCENE_FADE_TIME = 0.5;
 
-const saveCuesToDB = async (cues) => {
-  const db = await openDB();
-  const tx = db.transaction(STORE_NAME, 'readwrite');
-  const store = tx.objectStore(STORE_NAME);
-  // Clear existing and write all
-  store.clear();
-  cues.forEach((cue, index) => {
-    const record = {
-      id: cue.id,
-      name: cue.name,
-      order: index,
-      stems: cue.stems.map(s => ({
-        id: s.id,
-        stemName: s.stemName,
-        name: s.name,
-        blob: s.file || s.blob || null,
-      })),
-    };
-    store.put(record);
-  });
-  return new Promise((resolve, reject) => {
-    tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
-  });
-};
+// Pixels a pointer must travel on a lane before a click becomes a loop selection
+const REGION_DRAG_THRESHOLD = 4;
+// Zoom factor per pixel of Ctrl + wheel travel; line-based wheels are scaled to pixels first
+const WHEEL_ZOOM_RATE = 0.002;
+const WHEEL_LINE_HEIGHT = 16;
+const PRE_ROLL_OPTIONS = [0, 1, 2, 4, 8];
 
-const loadCuesFromDB = async () => {
-  const db = await openDB();
-  const tx = db.transaction(STORE_NAME, 'readonly');
-  const store = tx.objectStore(STORE_NAME);
-  const request = store.getAll();
-  return new Promise((resolve, reject) => {
-    request.onsuccess = () => {
-      const records = (request.result || []).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
-      const cues = records.map(r => ({
-        id: r.id,
-        name: r.name,
-        stems: r.stems.map(s => ({
-          id: s.id,
-          stemName: s.stemName,
-          name: s.name,
-          file: s.blob,
-        })),
-      }));
-      resolve(cues);
-    };
-    request.onerror = () => reject(request.error);
-  });
+const TEMPO_OPTIONS = [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 1, 1.05, 1.1, 1.15, 1.2, 1.25];
+const RAMP_STEP_OPTIONS = [0.02, 0.05, 0.1];
+const DEFAULT_TEMPO = { rate: 1, ramp: { enabled: false, step: 0.05, target: 1 } };
+
+const FOLLOW_LABELS = { stop: 'Stop at end', continue: 'Continue', crossfade: 'Crossfade' };
+const FOLLOW_DELAY_OPTIONS = [0, 1, 2, 3, 5, 10];
+const FOLLOW_FADE_OPTIONS = [1, 2, 3, 5, 8, 12];
+// How far ahead of a cue's end the segue into the next one is put on the context clock
+const SEGUE_LOOKAHEAD = 2;
+const SEGUE_POLL_INTERVAL = 250;
+
+// --- Helper Functions ---
+
+const formatTime = (time) => {
+  if (isNaN(time)) return "0:00";
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
-const removeCueFromDB = async (cueId) => {
-  const db = await openDB();
-  const tx = db.transaction(STORE_NAME, 'readwrite');
-  tx.objectStore(STORE_NAME).delete(cueId);
-  return new Promise((resolve, reject) => {
-    tx.oncomplete = resolve;
-    tx.onerror = () => reject(tx.error);
-  });
+const countSongs = (count) => `${count} song${count === 1 ? '' : 's'}`;
+
+// Keyboard shortcuts must not fire while typing in a field. Faders, checkboxes and
+// selects are not fields: a touched fader must not leave Space dead mid-show
+const TEXT_INPUT_TYPES = ['text', 'search', 'number', 'email', 'url', 'tel', 'password'];
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && (
+    target.isContentEditable ||
+    target.tagName === 'TEXTAREA' ||
+    (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type))
+  );
+
+const organizeFilesIntoCue = (stems, folderName, index = 0) => ({
+  id: `cue-${folderName}-${Date.now()}-${index}`,
+  name: folderName,
+  stems
+});
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 };
 
-// --- Helper Functions ---
+// Show mode opens each cue in its default scene instead of the last working mix
+const getStartMix = (cue, showMode) => {
+  const defaultScene = showMode && cue.scenes?.find(sc => sc.id === cue.defaultSceneId);
+  return defaultScene ? defaultScene.mix : cue.mix;
+};
 
-const organizeFilesIntoCue = (flatFiles, folderName) => {
-  const stems = flatFiles.map(file => ({ ...file, stemName: file.name }))
-    .sort((a, b) => a.name.localeCompare(b.name));
-  return {
-    id: `cue-${folderName}-${Date.now()}`,
-    name: folderName,
-    stems
-  };
+// Sets up a standby deck the way the cue will sound once it becomes current
+const prepareDeck = (engine, cue, { showMode, globalScene, masterMuted, repeat, routing, outputChannels }) => {
+  const startMix = getStartMix(cue, showMode);
+  const mixerState = applyGlobalScene(buildMixerState(cue.stems, startMix), cue.stems, globalScene);
+  engine.setRouting(resolveStemPairs(cue.stems, routing, outputChannels), outputChannels);
+  engine.setMix(mixerState, { masterVolume: startMix?.masterVolume ?? 1, masterMuted });
+  engine.setStemOffsets(getStemOffsetMap(cue.stemOffsets));
+  engine.setTrim(cue.trim || null);
+  engine.setAutomation(cue.automation);
+  engine.setFades(cue.fades);
+  engine.setRepeat(repeat);
+  engine.setLoop(cue.loop?.enabled ? cue.loop : null);
 };
 
 // --- Components ---
@@ -182,98 +368,243 @@ const Button = ({ children, onClick, variant = 'primary', className = '', disabl
 };
 
 // --- Waveform Component ---
-const Waveform = ({ audioUrl, height = 64, color }) => {
+// Draws the part of a stem's cached peaks inside `range` (seconds); stereo stems get one half of the lane per channel
+const Waveform = ({ peaks, range, height = 64, color }) => {
   const canvasRef = useRef(null);
-  const [status, setStatus] = useState('idle');
-  const [maskUrl, setMaskUrl] = useState(null);
+  const [width, setWidth] = useState(0);
 
-  // Decode and draw waveform only when audioUrl changes (not color)
   useEffect(() => {
-    if (!audioUrl) return;
-
-    const draw = async () => {
-      setStatus('loading');
-      try {
-        const response = await fetch(audioUrl);
-        if (!response.ok) throw new Error('Network err');
-        const arrayBuffer = await response.arrayBuffer();
-
-        const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
-
-        const channelData = audioBuffer.getChannelData(0);
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-
-        const ctx = canvas.getContext('2d');
-        const dpr = window.devicePixelRatio || 1;
-
-        const width = canvas.offsetWidth;
-        canvas.width = width * dpr;
-        canvas.height = height * dpr;
-        ctx.scale(dpr, dpr);
-
-        ctx.clearRect(0, 0, width, height);
-        ctx.fillStyle = '#ffffff';
-
-        const step = Math.ceil(channelData.length / width);
-        const amp = height / 2;
+    const canvas = canvasRef.current;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
 
-        for (let i = 0; i < width; i++) {
-          let min = 1.0;
-          let max = -1.0;
+  // Peaks are already reduced, so redrawing on every zoom, scroll or color change stays cheap
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!peaks || !width || !(range.span > 0)) return;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = color;
 
-          for (let j = 0; j < step; j++) {
-            const datum = channelData[(i * step) + j];
-            if (datum < min) min = datum;
-            if (datum > max) max = datum;
-          }
+    const stemDuration = peaks.frames / peaks.sampleRate;
+    const level = selectPeakLevel(peaks, (width * dpr * stemDuration) / range.span);
+    const count = getPeakCount(level);
+    const peaksPerSecond = peaks.sampleRate / level.samplesPerPeak;
+    const amp = height / level.channels.length / 2;
 
-          ctx.fillRect(i, (1 + min) * amp, 1, Math.max(1, (max - min) * amp));
+    level.channels.forEach((data, ch) => {
+      const center = amp * (ch * 2 + 1);
+      for (let x = 0; x < width; x++) {
+        const from = Math.floor((range.start + (x / width) * range.span) * peaksPerSecond);
+        const to = Math.min(count, Math.max(from + 1, Math.floor((range.start + ((x + 1) / width) * range.span) * peaksPerSecond)));
+        if (from >= count) break;
+        let min = 0;
+        let max = 0;
+        for (let p = Math.max(0, from); p < to; p++) {
+          if (data[p * 2] < min) min = data[p * 2];
+          if (data[p * 2 + 1] > max) max = data[p * 2 + 1];
         }
-
-        setMaskUrl(canvas.toDataURL());
-        setStatus('ready');
-        audioCtx.close();
-      } catch (e) {
-        console.warn("Waveform gen failed", e);
-        setStatus('error');
+        ctx.fillRect(x, center - (max / 127) * amp, 1, Math.max(1, ((max - min) / 127) * amp));
       }
-    };
-
-    draw();
-  }, [audioUrl, height]);
+    });
+  }, [peaks, range.start, range.span, width, height, color]);
 
   return (
     <div className="w-full h-full relative rounded overflow-hidden pointer-events-none opacity-80">
-      {/* Colored div masked by the waveform shape — color changes are instant */}
-      {maskUrl && (
-        <div
-          className="absolute inset-0 transition-colors duration-150"
-          style={{
-            backgroundColor: color,
-            WebkitMaskImage: `url(${maskUrl})`,
-            WebkitMaskSize: '100% 100%',
-            maskImage: `url(${maskUrl})`,
-            maskSize: '100% 100%',
-          }}
-        />
-      )}
       <canvas
         ref={canvasRef}
         className="w-full h-full"
-        style={{ width: '100%', height: '100%', position: 'absolute', opacity: 0 }}
+        style={{ width: '100%', height: '100%', position: 'absolute', visibility: peaks ? 'visible' : 'hidden' }}
       />
-      {status === 'loading' && (
-        <div className="absolute inset-0 flex items-center justify-center bg-black/10 backdrop-blur-[1px]">
+      {!peaks && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/10 backdrop-blur-[1px]" title="Analyzing waveform...">
           <Activity size={16} className="text-white/50 animate-pulse" />
         </div>
       )}
-      {status === 'error' && (
-        <div className="absolute inset-0 flex items-center justify-center opacity-50">
-           <div className="h-0.5 w-full bg-white/10"></div>
+    </div>
+  );
+};
+
+// --- Level Meters ---
+
+const METER_FLOOR_DB = -60;
+// Peaks above this (about -3 dBFS) show amber, full scale shows red
+const METER_HOT = 0.7;
+// Share of the held peak kept per frame, so peaks fall back smoothly
+const METER_PEAK_DECAY = 0.92;
+
+const meterPosition = (level) => level > 0 ? Math.max(0, Math.min(1, 1 - gainToDb(level) / METER_FLOOR_DB)) : 0;
+
+// Peak and RMS bars driven from the engine on animation frames, without re-rendering
+const LevelMeter = ({ getLevels, active, channels = 1, vertical = false, className = '' }) => {
+  const rmsRefs = useRef([]);
+  const peakRefs = useRef([]);
+  const getLevelsRef = useRef(getLevels);
+
+  useEffect(() => {
+    getLevelsRef.current = getLevels;
+  });
+
+  useEffect(() => {
+    const held = Array.from({ length: channels }, () => 0);
+    const draw = (levels) => held.forEach((_, i) => {
+      const level = levels[i] || { peak: 0, rms: 0 };
+      held[i] = Math.max(level.peak, held[i] * METER_PEAK_DECAY);
+      const rms = rmsRefs.current[i];
+      const peak = peakRefs.current[i];
+      if (!rms || !peak) return;
+      rms.style[vertical ? 'height' : 'width'] = `${meterPosition(level.rms) * 100}%`;
+      peak.style[vertical ? 'bottom' : 'left'] = `${meterPosition(held[i]) * 100}%`;
+      peak.style.opacity = held[i] > 0 ? 1 : 0;
+      peak.style.backgroundColor = held[i] >= 1 ? '#ef4444' : held[i] >= METER_HOT ? '#fbbf24' : '#6ee7b7';
+    });
+    if (!active) {
+      draw([]);
+      return;
+    }
+    let frame;
+    const tick = () => {
+      draw(getLevelsRef.current?.() || []);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [active, channels, vertical]);
+
+  return (
+    <div className={`flex ${vertical ? 'flex-row' : 'flex-col'} gap-px ${className}`}>
+      {Array.from({ length: channels }, (_, i) => (
+        <div key={i} className="relative flex-1 rounded-sm bg-black/40 overflow-hidden">
+          <div
+            ref={el => { rmsRefs.current[i] = el; }}
+            className={`absolute bottom-0 left-0 bg-emerald-500/60 ${vertical ? 'w-full' : 'h-full'}`}
+            style={vertical ? { height: 0 } : { width: 0 }}
+          />
+          <div
+            ref={el => { peakRefs.current[i] = el; }}
+            className={`absolute ${vertical ? 'left-0 right-0 h-px' : 'top-0 bottom-0 w-px'}`}
+            style={{ opacity: 0 }}
+          />
         </div>
-      )}
+      ))}
+    </div>
+  );
+};
+
+// Gain, pan, EQ and high-pass of one stem; the same panel on desktop and mobile
+const StemChannelPanel = ({ stemName, volume, channel, offset, onVolumeChange, onChange, onOffsetChange, onClose }) => {
+  const sliderClass = "w-full h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full";
+  const formatBand = (gain) => `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-end md:items-center justify-center p-4" onClick={onClose}>
+      <div className={`w-full max-w-sm ${THEME.panel} border rounded-2xl shadow-2xl p-4 space-y-4 text-xs text-zinc-300`} onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-2">
+          <SlidersHorizontal size={16} className="text-orange-400 shrink-0" />
+          <h3 className="text-sm font-bold truncate flex-1">{stemName}</h3>
+          <button onClick={onClose} className="p-1 rounded text-zinc-500 hover:text-white hover:bg-white/10"><X size={16} /></button>
+        </div>
+
+        <div className="space-y-3">
+          <label className="block space-y-1.5">
+            <span className="flex justify-between">Gain <span className="font-mono text-zinc-500">{formatGain(volume)}</span></span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.005"
+              value={gainToFader(volume)}
+              onChange={(e) => onVolumeChange(faderToGain(parseFloat(e.target.value)))}
+              onDoubleClick={() => onVolumeChange(1)}
+              className={sliderClass}
+            />
+          </label>
+          <label className="block space-y-1.5">
+            <span className="flex justify-between">Pan <span className="font-mono text-zinc-500">{formatPan(channel.pan)}</span></span>
+            <input
+              type="range"
+              min="-1"
+              max="1"
+              step="0.01"
+              value={channel.pan}
+              onChange={(e) => onChange({ pan: parseFloat(e.target.value) })}
+              onDoubleClick={() => onChange({ pan: 0 })}
+              className={sliderClass}
+            />
+          </label>
+        </div>
+
+        <div className="border-t border-zinc-700 pt-3 space-y-3">
+          {EQ_BANDS.map(band => (
+            <label key={band.id} className="block space-y-1.5">
+              <span className="flex justify-between">
+                <span>{band.label} <span className="text-zinc-600">{band.frequency}</span></span>
+                <span className="font-mono text-zinc-500">{formatBand(channel.eq[band.id])}</span>
+              </span>
+              <input
+                type="range"
+                min={-EQ_RANGE_DB}
+                max={EQ_RANGE_DB}
+                step="0.5"
+                value={channel.eq[band.id]}
+                onChange={(e) => onChange({ eq: { ...channel.eq, [band.id]: parseFloat(e.target.value) } })}
+                onDoubleClick={() => onChange({ eq: { ...channel.eq, [band.id]: 0 } })}
+                className={sliderClass}
+              />
+            </label>
+          ))}
+          <label className="flex items-center justify-between">
+            High-pass
+            <select
+              value={channel.hpf}
+              onChange={(e) => onChange({ hpf: parseInt(e.target.value, 10) })}
+              className="bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs outline-none"
+            >
+              {HPF_OPTIONS.map(frequency => <option key={frequency} value={frequency}>{frequency ? `${frequency} Hz` : 'Off'}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <div className="border-t border-zinc-700 pt-3">
+          <label className="flex items-center justify-between gap-2">
+            <span>Offset <span className="text-zinc-600">ms, positive plays later</span></span>
+            {/* Committed when done typing: each change restarts the stems while playing */}
+            <input
+              type="number"
+              min={-MAX_STEM_OFFSET_MS}
+              max={MAX_STEM_OFFSET_MS}
+              step="1"
+              defaultValue={offset}
+              onBlur={(e) => {
+                const ms = parseFloat(e.target.value);
+                if (!Number.isFinite(ms)) { e.target.value = offset; return; }
+                const clamped = Math.max(-MAX_STEM_OFFSET_MS, Math.min(MAX_STEM_OFFSET_MS, Math.round(ms)));
+                e.target.value = clamped;
+                if (clamped !== offset) onOffsetChange(clamped);
+              }}
+              onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+              className="w-20 bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs font-mono text-right outline-none"
+            />
+          </label>
+        </div>
+
+        <div className="flex justify-between items-center pt-1">
+          <span className="text-[10px] text-zinc-600">Double-click a control to reset it</span>
+          <button
+            onClick={() => onChange({ pan: 0, eq: FLAT_EQ, hpf: 0 })}
+            disabled={isFlatStem(channel)}
+            className="flex items-center gap-1 px-2 py-1 rounded text-zinc-400 hover:text-white hover:bg-white/10 disabled:opacity-30 disabled:pointer-events-none"
+          >
+            <RotateCcw size={12} /> Flat
+          </button>
+        </div>
+      </div>
     </div>
   );
 };
@@ -284,23 +615,69 @@ const StemLane = ({
   muted,
   soloed,
   isAnySolo,
+  sceneMuted,
+  channel,
+  offset = 0,
+  automation,
   onVolumeChange,
+  onChannelChange,
+  onOffsetChange,
+  onAutomationChange,
   onMuteToggle,
   onSoloToggle,
+  getLevel,
+  metering,
   onSeek,
-  playheadPosition
+  onSelectRegion,
+  range,
+  playheadPosition,
+  markerPositions = [],
+  loopRegion,
+  trimRegion
 }) => {
+  const dragStart = useRef(null);
+  const [selection, setSelection] = useState(null); // { from, to } in seconds while dragging
+  const [channelOpen, setChannelOpen] = useState(false);
+  const [automationEditing, setAutomationEditing] = useState(false);
+  const eqActive = Boolean(channel.hpf) || Object.values(channel.eq).some(Boolean) || offset !== 0;
+  // An offset stem's audio sits that much later (or earlier) on the timeline
+  const waveRange = offset ? { start: range.start - offset / 1000, span: range.span } : range;
+  const faderDisabled = muted || (isAnySolo && !soloed);
 
-  const waveUrl = useMemo(() => {
-    if (stem.file) return URL.createObjectURL(stem.file);
-    return null;
-  }, [stem]);
-
-  const handleLaneClick = (e) => {
+  const timeAt = (e) => {
       const rect = e.currentTarget.getBoundingClientRect();
       const x = e.clientX - rect.left;
-      const percentage = Math.max(0, Math.min(1, x / rect.width));
-      onSeek(percentage);
+      return timeAtFraction(range, Math.max(0, Math.min(1, x / rect.width)));
+  };
+
+  // A click seeks; a horizontal drag selects an A-B loop region
+  const handlePointerDown = (e) => {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      dragStart.current = { x: e.clientX, time: timeAt(e) };
+  };
+
+  const handlePointerMove = (e) => {
+      const start = dragStart.current;
+      if (!start || (!selection && Math.abs(e.clientX - start.x) < REGION_DRAG_THRESHOLD)) return;
+      setSelection({ from: start.time, to: timeAt(e) });
+  };
+
+  const handlePointerUp = (e) => {
+      const start = dragStart.current;
+      dragStart.current = null;
+      if (!start) return;
+      if (selection) {
+          onSelectRegion(Math.min(selection.from, selection.to), Math.max(selection.from, selection.to));
+          setSelection(null);
+      } else {
+          onSeek(timeAt(e));
+      }
+  };
+
+  // A pinch on the lanes takes over the pointer; drop any half-made click or selection
+  const handlePointerReset = () => {
+      dragStart.current = null;
+      setSelection(null);
   };
 
   // Resolve waveform color
@@ -313,16 +690,34 @@ const StemLane = ({
       <div className={`w-full ${THEME.deck} px-2.5 py-1.5 md:p-0 flex flex-row items-center gap-2 shrink-0 z-10 md:hidden`}>
         <div className={`font-medium text-[11px] ${THEME.textSec} truncate flex-1 min-w-0`} title={stem.stemName}>
             {stem.stemName.replace(/\.[^/.]+$/, "")}
+            {!stem.file && <span className="ml-1 text-red-400">missing</span>}
         </div>
+        <span className="text-[10px] font-mono text-zinc-500 shrink-0">{formatPan(channel.pan)}</span>
+        <button
+            onClick={() => setChannelOpen(true)}
+            className={`p-1 rounded shrink-0 ${eqActive ? 'text-orange-300' : 'text-zinc-500'}`}
+            title="Gain, pan, EQ and offset"
+        >
+            <SlidersHorizontal size={14} />
+        </button>
+        <button
+            onClick={() => setAutomationEditing(!automationEditing)}
+            className={`p-1 rounded shrink-0 ${automationEditing ? 'bg-amber-400 text-black' : automation?.length ? 'text-amber-300' : 'text-zinc-500'}`}
+            title={automationEditing ? 'Done drawing volume automation' : 'Draw volume automation'}
+        >
+            <Spline size={14} />
+        </button>
         <input
             type="range"
             min="0"
             max="1"
-            step="0.05"
-            value={muted ? 0 : volume}
-            onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
+            step="0.005"
+            value={muted ? 0 : gainToFader(volume)}
+            onChange={(e) => onVolumeChange(faderToGain(parseFloat(e.target.value)))}
+            onDoubleClick={() => onVolumeChange(1)}
             className="w-14 h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full shrink-0"
-            disabled={muted || (isAnySolo && !soloed)}
+            disabled={faderDisabled}
+            title={formatGain(volume)}
         />
       </div>
 
@@ -331,8 +726,9 @@ const StemLane = ({
         <div className={`flex md:hidden flex-col w-11 shrink-0 ${THEME.deck} border-r border-zinc-700/50`}>
           <button
               onClick={onMuteToggle}
+              disabled={sceneMuted}
               className={`flex-1 flex items-center justify-center transition-colors ${muted ? 'bg-red-500/20 text-red-400' : 'text-zinc-500 hover:text-zinc-300'}`}
-              title="Mute"
+              title={sceneMuted ? 'Muted by global scene' : 'Mute'}
           >
               <VolumeX size={16} />
           </button>
@@ -353,26 +749,45 @@ const StemLane = ({
           </div>
 
           <div className="flex-1 min-w-0 flex flex-col justify-center">
-              <div className={`font-medium text-xs ${THEME.textSec} truncate mb-1`} title={stem.stemName}>
-                  {stem.stemName.replace(/\.[^/.]+$/, "")}
+              <div className="flex items-baseline gap-2 mb-1">
+                  <div className={`font-medium text-xs ${THEME.textSec} truncate flex-1 min-w-0`} title={stem.file ? stem.stemName : `${stem.stemName}: file missing`}>
+                      {stem.stemName.replace(/\.[^/.]+$/, "")}
+                      {!stem.file && <span className="ml-1.5 text-[10px] text-red-400 uppercase">Missing</span>}
+                  </div>
+                  {offset !== 0 && <span className="text-[10px] font-mono text-emerald-300/70 shrink-0" title="Offset">{offset > 0 ? '+' : ''}{offset} ms</span>}
+                  <span className="text-[10px] font-mono text-zinc-500 shrink-0">{formatGain(volume)}</span>
               </div>
 
-              <div className="flex items-center gap-2">
+              <div className="flex items-center gap-1.5">
                   <input
                       type="range"
                       min="0"
                       max="1"
-                      step="0.05"
-                      value={muted ? 0 : volume}
-                      onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
-                      className="w-16 h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full"
-                      disabled={muted || (isAnySolo && !soloed)}
+                      step="0.005"
+                      value={muted ? 0 : gainToFader(volume)}
+                      onChange={(e) => onVolumeChange(faderToGain(parseFloat(e.target.value)))}
+                      onDoubleClick={() => onVolumeChange(1)}
+                      className="w-14 h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full"
+                      disabled={faderDisabled}
+                      title="Gain (double-click for 0 dB)"
+                  />
+                  <input
+                      type="range"
+                      min="-1"
+                      max="1"
+                      step="0.01"
+                      value={channel.pan}
+                      onChange={(e) => onChannelChange({ pan: parseFloat(e.target.value) })}
+                      onDoubleClick={() => onChannelChange({ pan: 0 })}
+                      className="w-10 h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full"
+                      title={`Pan ${formatPan(channel.pan)} (double-click to center)`}
                   />
 
                   <button
                       onClick={onMuteToggle}
+                      disabled={sceneMuted}
                       className={`w-5 h-5 rounded flex items-center justify-center border ${muted ? 'bg-red-500/20 text-red-400 border-red-500/30' : 'bg-black/20 text-zinc-500 border-transparent hover:text-white'}`}
-                      title="Mute"
+                      title={sceneMuted ? 'Muted by global scene' : 'Mute'}
                   >
                       <VolumeX size={10} />
                   </button>
@@ -383,18 +798,39 @@ const StemLane = ({
                   >
                       <Headphones size={10} />
                   </button>
+                  <button
+                      onClick={() => setChannelOpen(true)}
+                      className={`w-5 h-5 rounded flex items-center justify-center border ${eqActive ? 'bg-orange-500/20 text-orange-300 border-orange-500/30' : 'bg-black/20 text-zinc-500 border-transparent hover:text-white'}`}
+                      title="Gain, pan, EQ and offset"
+                  >
+                      <SlidersHorizontal size={10} />
+                  </button>
+                  <button
+                      onClick={() => setAutomationEditing(!automationEditing)}
+                      className={`w-5 h-5 rounded flex items-center justify-center border ${automationEditing ? 'bg-amber-400 text-black border-amber-500' : automation?.length ? 'bg-amber-400/20 text-amber-300 border-amber-400/30' : 'bg-black/20 text-zinc-500 border-transparent hover:text-white'}`}
+                      title={automationEditing ? 'Done drawing volume automation' : 'Draw volume automation'}
+                  >
+                      <Spline size={10} />
+                  </button>
               </div>
           </div>
         </div>
 
+        <LevelMeter getLevels={getLevel} active={metering} vertical className="w-1.5 shrink-0 py-1 bg-black/20" />
+
         {/* Waveform Timeline (Clickable) */}
         <div
-          className={`flex-1 relative ${THEME.lane} min-w-0 cursor-crosshair group active:cursor-grabbing`}
-          onClick={handleLaneClick}
+          className={`flex-1 relative ${THEME.lane} min-w-0 overflow-hidden cursor-crosshair group active:cursor-grabbing touch-pan-y`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerReset}
+          onLostPointerCapture={handlePointerReset}
         >
            <div className="absolute inset-0 p-1">
               <Waveform
-                  audioUrl={waveUrl}
+                  peaks={stem.peaks}
+                  range={waveRange}
                   color={waveColor}
                   height={64}
               />
@@ -403,6 +839,39 @@ const StemLane = ({
            {/* Hover Indicator */}
            <div className="absolute inset-y-0 w-0.5 bg-white/20 opacity-0 group-hover:opacity-100 pointer-events-none transition-opacity"/>
 
+           {/* A-B loop region, shared across all lanes */}
+           {loopRegion && (
+              <div
+                  className={`absolute top-0 bottom-0 border-x pointer-events-none ${loopRegion.enabled ? 'bg-orange-400/15 border-orange-400/70' : 'bg-white/5 border-white/20 border-dashed'}`}
+                  style={{ left: `${loopRegion.start}%`, width: `${loopRegion.end - loopRegion.start}%` }}
+              />
+           )}
+           {/* Trimmed-off head and tail, shared across all lanes */}
+           {trimRegion && (
+              <>
+                  <div className="absolute top-0 bottom-0 left-0 bg-black/50 pointer-events-none" style={{ width: `${Math.max(0, trimRegion.start)}%` }} />
+                  <div className="absolute top-0 bottom-0 right-0 bg-black/50 pointer-events-none" style={{ left: `${Math.min(100, trimRegion.end)}%` }} />
+              </>
+           )}
+           {selection && (
+              <div
+                  className="absolute top-0 bottom-0 bg-orange-400/25 pointer-events-none"
+                  style={{ left: `${timeToPercent(range, Math.min(selection.from, selection.to))}%`, width: `${(Math.abs(selection.to - selection.from) / range.span) * 100}%` }}
+              />
+           )}
+
+           <AutomationOverlay
+              points={automation}
+              range={range}
+              editing={automationEditing}
+              onChange={onAutomationChange}
+           />
+
+           {/* Marker lines, shared across all lanes */}
+           {markerPositions.map(({ id, position }) => (
+              <div key={id} className="absolute top-0 bottom-0 w-px bg-sky-400/50 z-10 pointer-events-none" style={{ left: `${position}%` }} />
+           ))}
+
            {/* Playhead Overlay for this track */}
            <div
               className="absolute top-0 bottom-0 w-0.5 bg-white z-20 shadow-[0_0_10px_rgba(255,255,255,0.5)] pointer-events-none"
@@ -410,210 +879,2351 @@ const StemLane = ({
            />
         </div>
       </div>
+
+      {channelOpen && (
+        <StemChannelPanel
+          stemName={stem.stemName.replace(/\.[^/.]+$/, "")}
+          volume={volume}
+          channel={channel}
+          offset={offset}
+          onVolumeChange={onVolumeChange}
+          onChange={onChannelChange}
+          onOffsetChange={onOffsetChange}
+          onClose={() => setChannelOpen(false)}
+        />
+      )}
     </div>
   );
 };
 
-const SetupScreen = ({ onLocalConnect, hasSavedCues, onContinue }) => {
-  return (
-    <div className={`min-h-screen ${THEME.bg} ${THEME.textMain} flex items-center justify-center p-4 font-sans relative overflow-hidden transition-colors duration-500`}>
-      {/* Background Decor */}
-      <div className="absolute top-[-10%] left-[-10%] w-[40%] h-[40%] bg-orange-500/10 rounded-full blur-[100px] pointer-events-none"></div>
-      <div className="absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] bg-rose-600/10 rounded-full blur-[100px] pointer-events-none"></div>
+const ImportReview = ({ plan, onConfirm, onCancel }) => {
+  const [songs, setSongs] = useState(plan.songs);
+  const selected = songs.filter(song => song.include && song.name.trim());
 
-      <div className={`w-full max-w-md ${THEME.panel} backdrop-blur-xl rounded-2xl shadow-2xl overflow-hidden border ${THEME.deck.split(' ')[1]} z-10 transition-colors duration-500`}>
-        <div className={`p-8 text-center border-b ${THEME.deck.split(' ')[1]}`}>
-          <div className="w-20 h-20 bg-gradient-to-br from-orange-500 to-rose-600 rounded-3xl mx-auto flex items-center justify-center mb-6 shadow-xl shadow-rose-900/30">
-            <Music size={40} className="text-white" />
-          </div>
-          <h1 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-orange-400 via-rose-500 to-rose-600 mb-2">
-            encore!
-          </h1>
-          <p className={`${THEME.textSec} font-medium tracking-wide text-sm`}>MUSICALS BERLIN</p>
-        </div>
+  const updateSong = (key, updates) => {
+    setSongs(prev => prev.map(song => song.key === key ? { ...song, ...updates } : song));
+  };
 
-        <div className="p-8 space-y-6">
-          {hasSavedCues && (
-            <button
-              onClick={onContinue}
-              className="w-full bg-gradient-to-r from-orange-500 to-rose-600 hover:from-orange-400 hover:to-rose-500 text-white px-6 py-4 rounded-2xl font-bold shadow-lg shadow-rose-900/20 transition-all transform hover:scale-[1.02] flex items-center justify-center gap-3"
-            >
-              <Play size={20} fill="currentColor" />
-              Continue to Player
-            </button>
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+      <div className={`w-full max-w-lg max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]}`}>
+          <h2 className="font-bold text-lg">Import "{plan.rootName}"</h2>
+          <p className={`text-xs ${THEME.textSec} mt-1`}>{songs.length} song folder{songs.length === 1 ? '' : 's'} found. Review before saving.</p>
+          {plan.folder && (
+            <p className="text-[11px] text-sky-300 mt-1 flex items-center gap-1">
+              <Link2 size={11} /> Linked: the audio stays in "{plan.folder.name}" and is read from there each time.
+            </p>
           )}
-          <div className={`border-2 border-dashed ${THEME.textSec.split(' ')[0]}/20 hover:border-orange-500/50 rounded-2xl p-8 flex flex-col items-center justify-center gap-4 transition-colors bg-black/10`}>
-            <Folder size={48} className={THEME.textMuted} />
-            <div className="text-center">
-                <p className={`${THEME.textSec} font-medium`}>{hasSavedCues ? 'Import Another Folder' : 'Select Show Folder'}</p>
-                <p className={`text-xs ${THEME.textMuted} mt-2 max-w-[200px] mx-auto leading-relaxed`}>
-                    Folder structure determines songs.
-                    <br/>
-                    Subfolders = Songs. Files = Stems.
-                </p>
-            </div>
-            <label className="cursor-pointer group">
-              <span className={`${hasSavedCues ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-gradient-to-r from-orange-500 to-rose-600 group-hover:from-orange-400 group-hover:to-rose-500'} text-white px-6 py-3 rounded-full font-bold shadow-lg shadow-rose-900/20 transition-all inline-block transform group-hover:scale-105`}>
-                Browse Folder
-              </span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-2 space-y-1">
+          {songs.map((song, idx) => (
+            <div key={song.key} className={`flex items-start gap-2 p-2 rounded-lg ${song.include ? 'bg-black/20' : 'opacity-50'}`}>
               <input
-                type="file"
-                webkitdirectory=""
-                directory=""
-                multiple
-                className="hidden"
-                onChange={onLocalConnect}
-                accept="audio/*"
+                type="checkbox"
+                checked={song.include}
+                onChange={(e) => updateSong(song.key, { include: e.target.checked })}
+                className="mt-1.5 accent-orange-500"
               />
-            </label>
-          </div>
+              <div className={`text-sm font-mono w-5 text-right mt-1 ${THEME.textMuted}`}>{idx + 1}</div>
+              <div className="flex-1 min-w-0">
+                <input
+                  type="text"
+                  value={song.name}
+                  onChange={(e) => updateSong(song.key, { name: e.target.value })}
+                  className="w-full bg-transparent text-sm font-medium border-b border-transparent focus:border-orange-500 outline-none"
+                />
+                <div className={`text-[11px] ${THEME.textMuted}`}>
+                  {song.stems.length} stem{song.stems.length === 1 ? '' : 's'}
+                  {song.lyricsFile && <span title={song.lyricsFile.name}> · lyrics</span>}
+                </div>
+                {song.warnings.map(warning => (
+                  <div key={warning} className="text-[11px] text-amber-400 flex items-center gap-1 mt-0.5"><AlertCircle size={11} className="shrink-0" /> {warning}</div>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {plan.skipped.length > 0 && (
+            <div className="p-2">
+              <div className={`text-xs font-bold ${THEME.textMuted} uppercase tracking-wider mb-1`}>Skipped ({plan.skipped.length})</div>
+              {plan.skipped.map(item => (
+                <div key={item.path} className={`text-[11px] ${THEME.textSec} truncate`} title={item.path}>
+                  {item.path} <span className={THEME.textMuted}>— {item.reason}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
-        <div className={`p-4 bg-black/20 text-center`}>
-             <p className={`text-[10px] ${THEME.textMuted} uppercase tracking-widest font-bold`}>Local Playback Engine</p>
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-end gap-2`}>
+          <Button variant="ghost" onClick={onCancel} className="px-4 py-2 text-sm">Cancel</Button>
+          <Button onClick={() => onConfirm(selected)} disabled={selected.length === 0} className="px-4 py-2 text-sm">
+            Import {selected.length} Song{selected.length === 1 ? '' : 's'}
+          </Button>
         </div>
       </div>
     </div>
   );
 };
 
-const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onReorderCues }) => {
-  const addFolderInputRef = useRef(null);
-  const dragItem = useRef(null);
-  const dragOverItem = useRef(null);
-  const audioInstances = useRef(new Map());
-  const loadGeneration = useRef(0);
-  const [currentCueIndex, setCurrentCueIndex] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [repeatTrack, setRepeatTrack] = useState(false);
-  const [masterVolume, setMasterVolume] = useState(1);
-  const [isMasterMuted, setIsMasterMuted] = useState(false);
-  const [error, setError] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const [mixerState, setMixerState] = useState({});
-  const [sidebarOpen, setSidebarOpen] = useState(false);
-  const activeUrlsRef = useRef([]);
-
-  const currentCue = cues[currentCueIndex];
-  const stems = currentCue?.stems || [];
-
-  const initializeMixer = (trackStems) => {
-    const initial = {};
-    trackStems.forEach(stem => {
-      initial[stem.id] = { volume: 1, muted: false, soloed: false };
-    });
-    setMixerState(initial);
-  };
+// --- Show & Setlist Switcher ---
+const NEW_OPTION = '__new__';
 
-  const syncTimes = () => {
-    const instances = audioInstances.current;
-    if (instances.size < 2) return;
-    const master = instances.values().next().value;
-    const masterTime = master.currentTime;
-    instances.forEach((audio) => {
-      if (audio !== master && Math.abs(audio.currentTime - masterTime) > 0.05) {
-        audio.currentTime = masterTime;
-      }
-    });
-  };
+const SwitcherRow = ({ icon, value, options, newLabel, onSelect, onCreate, onRename, onDelete, deleteTitle }) => (
+  <div className="flex items-center gap-1">
+    <span className="text-zinc-500 shrink-0">{icon}</span>
+    <select
+      value={value || ''}
+      onChange={(e) => e.target.value === NEW_OPTION ? onCreate() : onSelect(e.target.value)}
+      className="flex-1 min-w-0 bg-transparent text-sm font-medium text-zinc-200 outline-none cursor-pointer truncate"
+    >
+      {options.map(option => <option key={option.id} value={option.id} className="bg-zinc-900">{option.name}</option>)}
+      <option value={NEW_OPTION} className="bg-zinc-900">{newLabel}</option>
+    </select>
+    <button onClick={onRename} className="p-1 rounded text-zinc-600 hover:text-zinc-300 hover:bg-white/5 shrink-0" title="Rename"><Pencil size={12} /></button>
+    <button onClick={onDelete} className="p-1 rounded text-zinc-600 hover:text-red-400 hover:bg-white/5 shrink-0" title={deleteTitle}><Trash2 size={12} /></button>
+  </div>
+);
 
-  const applyVolumes = (currentMixerState) => {
-    const instances = audioInstances.current;
-    if (instances.size === 0) return;
-    const anySolo = Object.values(currentMixerState).some(s => s.soloed);
+const ShowSwitcher = ({
+  shows,
+  activeShow,
+  activeSetlist,
+  onSwitchShow,
+  onCreateShow,
+  onRenameShow,
+  onDeleteShow,
+  onSwitchSetlist,
+  onCreateSetlist,
+  onRenameSetlist,
+  onDeleteSetlist,
+  onExportShow,
+  onImportShow,
+  onOpenStorage,
+  onOpenTrash,
+  storageLow
+}) => {
+  const bundleInputRef = useRef(null);
+  if (!activeShow) return null;
+  return (
+    <div className="space-y-1">
+      <SwitcherRow
+        icon={<Theater size={14} />}
+        value={activeShow.id}
+        options={shows}
+        newLabel="+ New show..."
+        onSelect={onSwitchShow}
+        onCreate={onCreateShow}
+        onRename={onRenameShow}
+        onDelete={onDeleteShow}
+        deleteTitle="Delete show and its songs"
+      />
+      <SwitcherRow
+        icon={<ListMusic size={14} />}
+        value={activeSetlist?.id}
+        options={activeShow.setlists}
+        newLabel="+ New setlist..."
+        onSelect={onSwitchSetlist}
+        onCreate={onCreateSetlist}
+        onRename={onRenameSetlist}
+        onDelete={onDeleteSetlist}
+        deleteTitle="Delete setlist"
+      />
+      <div className="flex items-center gap-1 pt-1 text-[11px]">
+        <button onClick={onExportShow} className="flex items-center gap-1 px-1.5 py-0.5 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/5" title="Save the show with all of its audio to one file">
+          <Download size={11} /> Export show
+        </button>
+        <button onClick={() => bundleInputRef.current?.click()} className="flex items-center gap-1 px-1.5 py-0.5 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/5" title={`Import a show from an ${BUNDLE_EXTENSION} file`}>
+          <Upload size={11} /> Import show
+        </button>
+        <button
+          onClick={onOpenStorage}
+          className={`flex items-center gap-1 px-1.5 py-0.5 rounded hover:bg-white/5 ${storageLow ? 'text-amber-400' : 'text-zinc-500 hover:text-zinc-300'}`}
+          title={storageLow ? 'Browser storage is nearly full' : 'Storage used by each show'}
+        >
+          <HardDrive size={11} /> Storage
+        </button>
+        <button onClick={onOpenTrash} className="flex items-center gap-1 px-1.5 py-0.5 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/5" title="Songs removed from this show">
+          <Trash2 size={11} /> Trash
+        </button>
+        <input
+          ref={bundleInputRef}
+          type="file"
+          accept={BUNDLE_EXTENSION}
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onImportShow(file);
+          }}
+        />
+      </div>
+    </div>
+  );
+};
 
-    instances.forEach((audio, stemId) => {
-      const state = currentMixerState[stemId] || { volume: 1, muted: false, soloed: false };
-      let effectiveVolume = 0;
-      if (isMasterMuted) effectiveVolume = 0;
-      else if (state.muted) effectiveVolume = 0;
-      else if (anySolo) effectiveVolume = state.soloed ? state.volume * masterVolume : 0;
-      else effectiveVolume = state.volume * masterVolume;
+// Lets the user choose how an imported show bundle lands next to the existing shows
+const BundleImportDialog = ({ bundle, activeShowName, onImport, onCancel }) => {
+  const stemCount = bundle.cues.reduce((sum, cue) => sum + cue.stems.length, 0);
+  const optionClass = "w-full text-left p-3 rounded-lg bg-black/20 hover:bg-white/5 transition-colors";
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+      <div className={`w-full max-w-md flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]}`}>
+          <h2 className="font-bold text-lg">Import "{bundle.name}"</h2>
+          <p className={`text-xs ${THEME.textSec} mt-1`}>
+            {bundle.cues.length} song{bundle.cues.length === 1 ? '' : 's'}, {stemCount} stem{stemCount === 1 ? '' : 's'}, {bundle.setlists.length} setlist{bundle.setlists.length === 1 ? '' : 's'}
+            {bundle.exportedAt && <> · exported {new Date(bundle.exportedAt).toLocaleString()}</>}
+          </p>
+        </div>
+        <div className="p-2 space-y-1">
+          <button onClick={() => onImport('new')} className={optionClass}>
+            <div className="text-sm font-medium">Add as a new show</div>
+            <div className={`text-[11px] ${THEME.textMuted}`}>Your existing shows are left untouched.</div>
+          </button>
+          <button onClick={() => onImport('merge')} className={optionClass}>
+            <div className="text-sm font-medium">Merge into "{activeShowName}"</div>
+            <div className={`text-[11px] ${THEME.textMuted}`}>Songs are added; setlists with the same name are extended.</div>
+          </button>
+          <button onClick={() => onImport('replace')} className={optionClass}>
+            <div className="text-sm font-medium text-red-400">Replace "{activeShowName}"</div>
+            <div className={`text-[11px] ${THEME.textMuted}`}>Its songs and setlists are deleted and replaced by the bundle.</div>
+          </button>
+        </div>
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-end`}>
+          <Button variant="ghost" onClick={onCancel} className="px-4 py-2 text-sm">Cancel</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-      if (Math.abs(audio.volume - effectiveVolume) > 0.01) {
-          audio.volume = effectiveVolume;
-      }
-    });
-  };
+// What each show's audio takes up, against what the browser allows us
+const StoragePanel = ({ shows, persisted, onRequestPersist, onClose }) => {
+  const [usage, setUsage] = useState(null);
+  const [estimate, setEstimate] = useState(null);
 
-  // Sync and apply volumes on mixer state changes
   useEffect(() => {
-    syncTimes();
-    applyVolumes(mixerState);
-  }, [mixerState, masterVolume, isMasterMuted]);
+    const load = async () => {
+      const [nextUsage, nextEstimate] = await Promise.all([getStorageUsageFromDB(), estimateStorage()]);
+      setUsage(nextUsage);
+      setEstimate(nextEstimate);
+    };
+    load().catch(err => console.warn('Storage usage failed:', err));
+  }, []);
 
-  // Periodic sync to prevent drift during playback
-  useEffect(() => {
-    if (!isPlaying) return;
-    const interval = setInterval(syncTimes, 2000);
-    return () => clearInterval(interval);
-  }, [isPlaying]);
+  const share = estimate ? estimate.usage / estimate.quota : 0;
+  const low = isStorageLow(estimate);
 
-  useEffect(() => {
-    const loadCue = async () => {
-      if (!currentCue) return;
-      const gen = ++loadGeneration.current;
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]} flex items-center gap-2`}>
+          <HardDrive size={18} className="text-orange-400" />
+          <h2 className="font-bold text-lg flex-1">Storage</h2>
+          <button onClick={onClose} className="p-1 text-zinc-500 hover:text-zinc-300"><X size={18} /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4">
+          {estimate ? (
+            <div className="space-y-1.5">
+              <div className="flex justify-between text-xs">
+                <span className={THEME.textSec}>Browser storage</span>
+                <span className="font-mono">{formatBytes(estimate.usage)} of {formatBytes(estimate.quota)}</span>
+              </div>
+              <div className="h-2 rounded-full bg-black/40 overflow-hidden">
+                <div
+                  className={`h-full ${share > 0.9 ? 'bg-red-500' : low ? 'bg-amber-500' : 'bg-orange-500'}`}
+                  style={{ width: `${Math.min(100, share * 100)}%` }}
+                />
+              </div>
+              {low && (
+                <p className="text-[11px] text-amber-400">
+                  Over {Math.round(QUOTA_WARNING_SHARE * 100)}% full. Further imports may fail; remove songs or shows you no longer need.
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className={`text-xs ${THEME.textMuted}`}>This browser does not report how much space is left.</p>
+          )}
 
-      audioInstances.current.forEach(audio => audio.pause());
-      audioInstances.current.clear();
-      activeUrlsRef.current.forEach(url => URL.revokeObjectURL(url));
-      activeUrlsRef.current = [];
+          <div className="space-y-1">
+            <div className={`text-[10px] uppercase tracking-wider ${THEME.textMuted}`}>Audio per show</div>
+            {!usage && <p className={`text-xs ${THEME.textMuted}`}>Counting...</p>}
+            {usage && shows.map(show => {
+              const showUsage = usage.shows.get(show.id) || { songs: 0, bytes: 0 };
+              return (
+                <div key={show.id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-black/20 text-sm">
+                  <span className="flex-1 min-w-0 truncate">{show.name}</span>
+                  <span className={`text-[11px] ${THEME.textMuted}`}>
+                    {countSongs(showUsage.songs)}{showUsage.trashed > 0 && <> + {showUsage.trashed} in trash</>}
+                  </span>
+                  <span className="w-16 text-right font-mono text-xs">{formatBytes(showUsage.bytes)}</span>
+                </div>
+              );
+            })}
+            {usage && (
+              <div className="flex justify-between px-2 pt-1 text-xs">
+                <span className={THEME.textSec}>All audio (shared files counted once)</span>
+                <span className="font-mono">{formatBytes(usage.total)}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center gap-2 text-xs">
+            {persisted ? (
+              <span className="text-green-400">Saved songs are protected from being cleared by the browser.</span>
+            ) : (
+              <>
+                <span className="flex-1 text-amber-400/80">The browser may clear saved songs when space runs low.</span>
+                <Button variant="secondary" onClick={onRequestPersist} className="px-3 py-1.5 text-xs shrink-0">Protect</Button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Songs removed from the active show, kept with their audio until the trash is emptied
+const TrashPanel = ({ showId, onRestore, onEmpty, onClose }) => {
+  const [trash, setTrash] = useState(null);
+
+  useEffect(() => {
+    loadTrashFromDB(showId)
+      .then(setTrash)
+      .catch(err => console.warn('Loading the trash failed:', err));
+  }, [showId]);
+
+  const restore = async (cue) => {
+    if (await onRestore(cue)) setTrash(prev => prev.filter(c => c.id !== cue.id));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]} flex items-center gap-2`}>
+          <Trash2 size={18} className="text-orange-400" />
+          <h2 className="font-bold text-lg flex-1">Trash</h2>
+          <button onClick={onClose} className="p-1 text-zinc-500 hover:text-zinc-300"><X size={18} /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-1">
+          {!trash && <p className={`text-xs ${THEME.textMuted}`}>Loading...</p>}
+          {trash?.length === 0 && <p className={`text-xs ${THEME.textMuted}`}>No removed songs.</p>}
+          {trash?.map(cue => (
+            <div key={cue.id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-black/20 text-sm">
+              <div className="flex-1 min-w-0">
+                <div className="truncate">{cue.name}</div>
+                <div className={`text-[10px] ${THEME.textMuted}`}>Removed {new Date(cue.deletedAt).toLocaleString()}</div>
+              </div>
+              <Button variant="secondary" onClick={() => restore(cue)} className="px-2.5 py-1 text-xs gap-1 shrink-0">
+                <ArchiveRestore size={12} /> Restore
+              </Button>
+            </div>
+          ))}
+        </div>
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex items-center gap-2`}>
+          <span className={`flex-1 text-[11px] ${THEME.textMuted}`}>Removed songs are deleted for good after {TRASH_RETENTION_DAYS} days.</span>
+          <Button variant="ghost" onClick={onEmpty} disabled={!trash?.length} className="px-3 py-1.5 text-xs text-red-400 shrink-0">Empty trash</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Linked songs whose folder can't be read yet, or whose files changed or went missing
+const LinkedFolderDialog = ({ issues, onAllow, onRelink, onAcceptUpdates, onClose }) => {
+  const hasUpdates = issues.report.some(entry => entry.stems.some(stem => stem.status === 'updated'));
+  const reportedFolders = issues.folders.filter(folder => issues.report.some(entry => entry.folderId === folder.id));
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+      <div className={`w-full max-w-lg max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]}`}>
+          <h2 className="font-bold text-lg flex items-center gap-2"><Link2 size={18} className="text-sky-300" /> Linked folders</h2>
+          <p className={`text-xs ${THEME.textSec} mt-1`}>Some songs play from files on disk that need attention.</p>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-3 space-y-3">
+          {issues.blocked.map(folder => (
+            <div key={folder.id} className="flex items-center gap-3 p-3 rounded-lg bg-black/20">
+              <div className="flex-1 min-w-0 text-sm">
+                <div className="font-medium truncate">"{folder.name}"</div>
+                <div className={`text-[11px] ${THEME.textMuted}`}>The browser needs your permission to read this folder again.</div>
+              </div>
+              <Button onClick={() => onAllow(folder)} className="px-3 py-1.5 text-xs shrink-0">Allow access</Button>
+            </div>
+          ))}
+          {reportedFolders.map(folder => (
+            <div key={folder.id} className="rounded-lg bg-black/20 overflow-hidden">
+              <div className="flex items-center gap-3 px-3 py-2 border-b border-black/20">
+                <span className="flex-1 min-w-0 text-sm font-medium truncate">"{folder.name}"</span>
+                <Button variant="secondary" onClick={() => onRelink(folder)} className="px-3 py-1 text-xs shrink-0">Relink folder...</Button>
+              </div>
+              {issues.report.filter(entry => entry.folderId === folder.id).map(entry => (
+                <div key={entry.cueId} className="px-3 py-2">
+                  <div className={`text-xs ${THEME.textSec} mb-1`}>{entry.cueName}</div>
+                  {entry.stems.map(stem => (
+                    <div key={stem.stemId} className="flex items-center gap-2 pl-2 text-[11px]">
+                      <span className="flex-1 min-w-0 truncate text-zinc-300">{stem.name}</span>
+                      {stem.status === 'missing'
+                        ? <span className="text-red-400 uppercase">Missing</span>
+                        : <span className="text-amber-400 uppercase" title={`Changed ${new Date(stem.file.lastModified).toLocaleString()}`}>Updated</span>}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          ))}
+          {issues.report.length > 0 && (
+            <p className={`text-[11px] ${THEME.textMuted}`}>
+              Missing stems stay silent. Updated stems already play the new files; use them to stop them being reported.
+            </p>
+          )}
+        </div>
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-end gap-2`}>
+          <Button variant="ghost" onClick={onClose} className="px-4 py-2 text-sm">Close</Button>
+          {hasUpdates && <Button onClick={onAcceptUpdates} className="px-4 py-2 text-sm">Use updated files</Button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Picks songs from the show's library to add to the current setlist
+const AddSongsPicker = ({ library, setlist, onConfirm, onCancel }) => {
+  const [selected, setSelected] = useState([]);
+  const inSetlist = new Set(setlist.cueIds);
+
+  const toggle = (cueId) => {
+    setSelected(prev => prev.includes(cueId) ? prev.filter(id => id !== cueId) : [...prev, cueId]);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]}`}>
+          <h2 className="font-bold text-lg">Add songs to "{setlist.name}"</h2>
+          <p className={`text-xs ${THEME.textSec} mt-1`}>Songs are shared with the show's other setlists; audio is not copied.</p>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-2 space-y-1">
+          {library.length === 0 && <p className={`text-sm ${THEME.textMuted} p-2`}>This show has no songs yet. Import a folder first.</p>}
+          {library.map(cue => (
+            <label key={cue.id} className={`flex items-center gap-2 p-2 rounded-lg bg-black/20 ${inSetlist.has(cue.id) ? 'opacity-50' : 'cursor-pointer'}`}>
+              <input
+                type="checkbox"
+                checked={inSetlist.has(cue.id) || selected.includes(cue.id)}
+                disabled={inSetlist.has(cue.id)}
+                onChange={() => toggle(cue.id)}
+                className="accent-orange-500"
+              />
+              <span className="flex-1 min-w-0 text-sm truncate">{cue.name}</span>
+              {inSetlist.has(cue.id) && <span className={`text-[10px] ${THEME.textMuted} uppercase`}>In setlist</span>}
+            </label>
+          ))}
+        </div>
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-end gap-2`}>
+          <Button variant="ghost" onClick={onCancel} className="px-4 py-2 text-sm">Cancel</Button>
+          <Button onClick={() => onConfirm(selected)} disabled={selected.length === 0} className="px-4 py-2 text-sm">
+            Add {selected.length} Song{selected.length === 1 ? '' : 's'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Offered only while nothing is playing, so a new version never interrupts a show
+const UpdatePrompt = ({ onApply }) => (
+  <div className="fixed bottom-4 right-4 z-50 flex items-center gap-3 rounded-xl border border-orange-500/30 bg-zinc-900/95 px-4 py-3 shadow-2xl">
+    <RefreshCw size={16} className="text-orange-400 shrink-0" />
+    <span className="text-sm text-zinc-300">A new version of encore! is ready.</span>
+    <Button onClick={onApply} className="px-3 py-1.5 text-xs">Restart</Button>
+  </div>
+);
+
+const TOAST_TIME = 6000;
+
+// The last edit, undone or redone, with a button to reverse it
+const HistoryToast = ({ toast, onUndo, onRedo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_TIME);
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss]);
+
+  const undo = toast.action === 'undo';
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 rounded-xl border border-white/10 bg-zinc-900/95 pl-4 pr-2 py-2 shadow-2xl max-w-[90vw]">
+      <span className="text-sm text-zinc-300 truncate">{toast.message}</span>
+      <Button variant="secondary" onClick={undo ? onUndo : onRedo} className="px-3 py-1.5 text-xs gap-1 shrink-0">
+        {undo ? <><Undo2 size={12} /> Undo</> : <><Redo2 size={12} /> Redo</>}
+      </Button>
+      <button onClick={onDismiss} className="p-1 text-zinc-500 hover:text-zinc-300 shrink-0"><X size={14} /></button>
+    </div>
+  );
+};
+
+const SetupScreen = ({ onLocalConnect, onLinkFolder, hasSavedCues, onContinue, showSwitcher, storagePersisted }) => {
+  return (
+    <div className={`min-h-screen ${THEME.bg} ${THEME.textMain} flex items-center justify-center p-4 font-sans relative overflow-hidden transition-colors duration-500`}>
+      {/* Background Decor */}
+      <div className="absolute top-[-10%] left-[-10%] w-[40%] h-[40%] bg-orange-500/10 rounded-full blur-[100px] pointer-events-none"></div>
+      <div className="absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] bg-rose-600/10 rounded-full blur-[100px] pointer-events-none"></div>
+
+      <div className={`w-full max-w-md ${THEME.panel} backdrop-blur-xl rounded-2xl shadow-2xl overflow-hidden border ${THEME.deck.split(' ')[1]} z-10 transition-colors duration-500`}>
+        <div className={`p-8 text-center border-b ${THEME.deck.split(' ')[1]}`}>
+          <div className="w-20 h-20 bg-gradient-to-br from-orange-500 to-rose-600 rounded-3xl mx-auto flex items-center justify-center mb-6 shadow-xl shadow-rose-900/30">
+            <Music size={40} className="text-white" />
+          </div>
+          <h1 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-orange-400 via-rose-500 to-rose-600 mb-2">
+            encore!
+          </h1>
+          <p className={`${THEME.textSec} font-medium tracking-wide text-sm`}>MUSICALS BERLIN</p>
+        </div>
+
+        <div className="p-8 space-y-6">
+          {showSwitcher && <div className="rounded-xl bg-black/20 px-3 py-2">{showSwitcher}</div>}
+          {hasSavedCues && (
+            <button
+              onClick={onContinue}
+              className="w-full bg-gradient-to-r from-orange-500 to-rose-600 hover:from-orange-400 hover:to-rose-500 text-white px-6 py-4 rounded-2xl font-bold shadow-lg shadow-rose-900/20 transition-all transform hover:scale-[1.02] flex items-center justify-center gap-3"
+            >
+              <Play size={20} fill="currentColor" />
+              Continue to Player
+            </button>
+          )}
+          <div className={`border-2 border-dashed ${THEME.textSec.split(' ')[0]}/20 hover:border-orange-500/50 rounded-2xl p-8 flex flex-col items-center justify-center gap-4 transition-colors bg-black/10`}>
+            <Folder size={48} className={THEME.textMuted} />
+            <div className="text-center">
+                <p className={`${THEME.textSec} font-medium`}>{hasSavedCues ? 'Import Another Folder' : 'Select Show Folder'}</p>
+                <p className={`text-xs ${THEME.textMuted} mt-2 max-w-[200px] mx-auto leading-relaxed`}>
+                    Folder structure determines songs.
+                    <br/>
+                    Subfolders = Songs. Files = Stems.
+                </p>
+            </div>
+            <label className="cursor-pointer group">
+              <span className={`${hasSavedCues ? 'bg-zinc-700 hover:bg-zinc-600' : 'bg-gradient-to-r from-orange-500 to-rose-600 group-hover:from-orange-400 group-hover:to-rose-500'} text-white px-6 py-3 rounded-full font-bold shadow-lg shadow-rose-900/20 transition-all inline-block transform group-hover:scale-105`}>
+                Browse Folder
+              </span>
+              <input
+                type="file"
+                webkitdirectory=""
+                directory=""
+                multiple
+                className="hidden"
+                onChange={onLocalConnect}
+                accept="audio/*"
+              />
+            </label>
+            {onLinkFolder && (
+              <button
+                onClick={onLinkFolder}
+                className={`flex items-center gap-1.5 text-xs ${THEME.textSec} hover:text-orange-300 transition-colors`}
+                title="Play the files from disk instead of copying them into the browser"
+              >
+                <Link2 size={13} /> or link a folder, keeping the files on disk
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className={`p-4 bg-black/20 text-center`}>
+             <p className={`text-[10px] ${THEME.textMuted} uppercase tracking-widest font-bold`}>Local Playback Engine</p>
+             {hasSavedCues && storagePersisted === false && (
+               <p className="text-[11px] text-amber-400/80 mt-2">
+                 The browser may clear saved songs when space runs low. Installing the app usually keeps them safe.
+               </p>
+             )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Time Ruler ---
+// Minutes:seconds over the lanes (bars and beats too once the cue has a tempo), with the zoom controls.
+const TimeRuler = ({ view, range, duration, currentTime, grid, isFollowing, trackRef, onZoom, onScroll, onToggleFollow, onUpdateGrid }) => {
+  const [width, setWidth] = useState(0);
+  const [gridOpen, setGridOpen] = useState(false);
+  const scrollDrag = useRef(null); // { x, start, width }
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(trackRef.current);
+    return () => observer.disconnect();
+  }, [trackRef]);
+
+  const timeTicks = getTimeTicks(range, width);
+  const gridTicks = getGridTicks(range, width, grid);
+
+  // Dragging the thumb scrolls; pressing beside it first centers the view there
+  const handleScrollDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const rect = e.currentTarget.getBoundingClientRect();
+    const time = ((e.clientX - rect.left) / rect.width) * duration;
+    let start = range.start;
+    if (time < range.start || time > range.start + range.span) {
+      start = time - range.span / 2;
+      onScroll(start);
+    }
+    scrollDrag.current = { x: e.clientX, start, width: rect.width };
+  };
+
+  const handleScrollMove = (e) => {
+    const drag = scrollDrag.current;
+    if (drag) onScroll(drag.start + ((e.clientX - drag.x) / drag.width) * duration);
+  };
+
+  const updateBpm = (value) => {
+    const bpm = parseFloat(value);
+    onUpdateGrid({ ...grid, bpm: bpm >= MIN_BPM && bpm <= MAX_BPM ? bpm : null });
+  };
+
+  const iconButton = "p-1 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/5 disabled:opacity-30 disabled:pointer-events-none";
+
+  return (
+    <div className="flex flex-row shrink-0 relative">
+      <div className="w-11 md:w-64 shrink-0 flex items-center gap-0.5 pr-2">
+        <button onClick={() => onZoom(1 / ZOOM_STEP)} disabled={!duration || view.zoom <= 1} className={`hidden md:block ${iconButton}`} title="Zoom out (-)">
+          <ZoomOut size={13} />
+        </button>
+        <button onClick={() => onZoom(ZOOM_STEP)} disabled={!duration || view.zoom >= MAX_ZOOM} className={`hidden md:block ${iconButton}`} title="Zoom in (=, Ctrl + wheel or pinch)">
+          <ZoomIn size={13} />
+        </button>
+        <button
+          onClick={onToggleFollow}
+          className={`p-1 rounded ${isFollowing ? 'text-orange-300 bg-orange-500/10' : 'text-zinc-500 hover:text-zinc-300 hover:bg-white/5'}`}
+          title={isFollowing ? 'Following the playhead (F)' : 'Follow the playhead (F)'}
+        >
+          <LocateFixed size={13} />
+        </button>
+        <button
+          onClick={() => setGridOpen(!gridOpen)}
+          className={`hidden md:flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] ${gridOpen || grid.bpm ? 'text-violet-300' : 'text-zinc-500 hover:text-zinc-300'} hover:bg-white/5`}
+          title="Tempo and bars"
+        >
+          <Timer size={12} /> {grid.bpm ? `${grid.bpm} BPM` : 'BPM'}
+        </button>
+        {view.zoom > 1 && <span className="hidden md:inline ml-auto text-[10px] font-mono text-zinc-600">×{view.zoom.toFixed(1)}</span>}
+      </div>
+
+      <div ref={trackRef} className="flex-1 relative min-w-0 overflow-hidden border-b border-zinc-800 select-none">
+        <div className="relative h-4">
+          {timeTicks.map(tick => (
+            <div
+              key={`t${tick.time}`}
+              className={`absolute bottom-0 w-px ${tick.label ? 'top-0 bg-zinc-700' : 'h-1.5 bg-zinc-800'}`}
+              style={{ left: `${timeToPercent(range, tick.time)}%` }}
+            >
+              {tick.label && <span className="absolute left-1 top-0 text-[9px] leading-3 font-mono text-zinc-500 whitespace-nowrap">{tick.label}</span>}
+            </div>
+          ))}
+        </div>
+        {grid.bpm && (
+          <div className="relative h-4 border-t border-zinc-800/60">
+            {gridTicks.map(tick => (
+              <div
+                key={`g${tick.time}`}
+                className={`absolute bottom-0 w-px ${tick.label ? `top-0 ${tick.major ? 'bg-violet-400/40' : 'bg-violet-400/20'}` : 'h-1.5 bg-violet-400/20'}`}
+                style={{ left: `${timeToPercent(range, tick.time)}%` }}
+              >
+                {tick.label && <span className={`absolute left-1 top-0 text-[9px] leading-3 font-mono whitespace-nowrap ${tick.major ? 'text-violet-300/80' : 'text-violet-300/40'}`}>{tick.label}</span>}
+              </div>
+            ))}
+          </div>
+        )}
+        {duration > 0 && (
+          <div className="absolute top-0 bottom-0 w-px bg-white/70 pointer-events-none" style={{ left: `${timeToPercent(range, currentTime)}%` }} />
+        )}
+        {view.zoom > 1 && (
+          <div
+            className="relative h-1.5 bg-white/5 cursor-pointer touch-none"
+            onPointerDown={handleScrollDown}
+            onPointerMove={handleScrollMove}
+            onPointerUp={() => { scrollDrag.current = null; }}
+            onPointerCancel={() => { scrollDrag.current = null; }}
+            title="Drag to scroll (Shift + wheel)"
+          >
+            <div
+              className="absolute top-0 bottom-0 rounded-full bg-white/25 hover:bg-white/40"
+              style={{ left: `${(range.start / duration) * 100}%`, width: `${(range.span / duration) * 100}%` }}
+            />
+          </div>
+        )}
+      </div>
+
+      {gridOpen && (
+        <div className={`absolute top-6 left-0 w-60 z-40 ${THEME.panel} border rounded-lg shadow-2xl p-3 space-y-2 text-xs text-zinc-300`}>
+          <label className="flex items-center justify-between gap-2">
+            Tempo (BPM)
+            <input
+              type="number"
+              min={MIN_BPM}
+              max={MAX_BPM}
+              step="0.1"
+              defaultValue={grid.bpm ?? ''}
+              onChange={(e) => updateBpm(e.target.value)}
+              placeholder="None"
+              className="w-20 bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs outline-none"
+            />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Beats per bar
+            <select
+              value={grid.beatsPerBar}
+              onChange={(e) => onUpdateGrid({ ...grid, beatsPerBar: parseInt(e.target.value, 10) })}
+              className="bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs outline-none"
+            >
+              {BEATS_PER_BAR_OPTIONS.map(beats => <option key={beats} value={beats}>{beats}</option>)}
+            </select>
+          </label>
+          <div className="flex items-center justify-between gap-2 text-zinc-400">
+            <span>Bar 1 at <span className="font-mono">{formatRulerTime(grid.offset || 0, 0.1)}</span></span>
+            <button
+              onClick={() => onUpdateGrid({ ...grid, offset: currentTime })}
+              disabled={!duration}
+              className="px-1.5 py-0.5 rounded text-[11px] text-zinc-400 hover:text-white hover:bg-white/10 disabled:opacity-30"
+            >
+              Set to playhead
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Marker Ruler ---
+// Sits above the lanes, aligned with the waveform area: add, drag, rename and jump to markers.
+const MarkerRuler = ({ markers, duration, range, currentTime, onAdd, onMove, onRename, onDelete, onJump, onLoopSection }) => {
+  const trackRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { id, time }
+  const [listOpen, setListOpen] = useState(false);
+
+  const timeFromPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    return timeAtFraction(range, fraction);
+  };
+
+  const handlePointerDown = (e, marker) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ id: marker.id, time: marker.time, moved: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    setDrag({ ...drag, time: timeFromPointer(e), moved: true });
+  };
+
+  const handlePointerUp = (marker) => {
+    if (!drag) return;
+    if (drag.moved) onMove(marker.id, drag.time);
+    else onJump(marker);
+    setDrag(null);
+  };
+
+  const renameMarker = (marker) => {
+    const name = prompt('Marker name:', marker.name);
+    if (name?.trim()) onRename(marker.id, name.trim());
+  };
+
+  return (
+    <div className="flex flex-row h-6 shrink-0 relative">
+      <div className="w-11 md:w-64 shrink-0 flex items-center gap-1 pr-2">
+        <button
+          onClick={onAdd}
+          disabled={!duration}
+          className="flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] text-zinc-500 hover:text-sky-300 hover:bg-white/5 disabled:opacity-30"
+          title="Add marker at playhead (M)"
+        >
+          <MapPin size={12} /><span className="hidden md:inline">Marker</span>
+        </button>
+        {markers.length > 0 && (
+          <button
+            onClick={() => setListOpen(!listOpen)}
+            className={`hidden md:flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] ${listOpen ? 'text-sky-300 bg-white/5' : 'text-zinc-500 hover:text-zinc-300'}`}
+            title="Marker list ([ and ] jump between markers)"
+          >
+            <List size={12} /> {markers.length}
+          </button>
+        )}
+      </div>
+
+      <div ref={trackRef} className="flex-1 relative min-w-0 overflow-hidden border-b border-zinc-800">
+        {duration > 0 && markers.map(marker => {
+          const time = drag?.id === marker.id ? drag.time : marker.time;
+          return (
+            <div
+              key={marker.id}
+              className="absolute top-0 bottom-0 flex items-center -translate-x-px z-10"
+              style={{ left: `${timeToPercent(range, time)}%` }}
+            >
+              <div className="absolute top-0 bottom-0 w-px bg-sky-400" />
+              <button
+                onPointerDown={(e) => handlePointerDown(e, marker)}
+                onPointerMove={handlePointerMove}
+                onPointerUp={() => handlePointerUp(marker)}
+                onDoubleClick={() => renameMarker(marker)}
+                className="ml-0.5 px-1 rounded-sm bg-sky-500/20 text-sky-200 text-[10px] leading-4 whitespace-nowrap cursor-ew-resize touch-none hover:bg-sky-500/40"
+                title={`${marker.name} (${formatTime(marker.time)}) — drag to move, double-click to rename`}
+              >
+                {marker.name}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {listOpen && (
+        <div className={`absolute top-7 left-0 w-64 max-h-64 overflow-y-auto custom-scrollbar z-40 ${THEME.panel} border rounded-lg shadow-2xl py-1`}>
+          {markers.map(marker => (
+            <div key={marker.id} className={`flex items-center gap-2 px-2 py-1 group/marker hover:bg-white/5 ${findCurrentMarker(markers, currentTime)?.id === marker.id ? 'text-sky-300' : 'text-zinc-300'}`}>
+              <button onClick={() => onJump(marker)} className="flex-1 min-w-0 flex items-center gap-2 text-left text-xs">
+                <span className="font-mono text-zinc-500 w-10 shrink-0">{formatTime(marker.time)}</span>
+                <span className="truncate">{marker.name}</span>
+              </button>
+              <button onClick={() => onLoopSection(marker)} className="p-0.5 text-zinc-600 hover:text-orange-300" title="Loop from this marker to the next"><Repeat size={11} /></button>
+              <button onClick={() => renameMarker(marker)} className="p-0.5 text-zinc-600 hover:text-zinc-300" title="Rename marker"><Pencil size={11} /></button>
+              <button onClick={() => onDelete(marker.id)} className="p-0.5 text-zinc-600 hover:text-red-400" title="Delete marker"><X size={11} /></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Trim Ruler ---
+// The cue's in and out points as two handles under the marker ruler; what lies outside is shaded.
+// The cue's fades are set here too, and drawn as a line leaning into the in and out points.
+const TrimRuler = ({ trim, fades, duration, range, onMove, onClear, onUpdateFades }) => {
+  const trackRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { edge, time, moved }
+  const [fadesOpen, setFadesOpen] = useState(false);
+  const { start, end } = getTrimRange(drag ? moveTrimPoint(trim, duration, drag.edge, drag.time) : trim, duration);
+  const fadeEnvelope = getFadeEnvelope(fades, { start, end });
+
+  const timeFromPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    return timeAtFraction(range, fraction);
+  };
+
+  const handlePointerDown = (e, edge) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ edge, time: edge === 'start' ? start : end, moved: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    setDrag({ ...drag, time: timeFromPointer(e), moved: true });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    if (drag.moved) onMove(drag.edge, drag.time);
+    setDrag(null);
+  };
+
+  return (
+    <div className="flex flex-row h-5 shrink-0 relative">
+      <div className="w-11 md:w-64 shrink-0 flex items-center gap-1 pr-2">
+        <span className="flex items-center gap-1 px-1.5 text-[11px] text-zinc-500" title="Drag the handles to set where the song starts and ends">
+          <Scissors size={12} /><span className="hidden md:inline">Trim</span>
+        </span>
+        {(trim || drag) && <span className="hidden md:inline text-[10px] font-mono text-emerald-300/70">{formatTime(start)}–{formatTime(end)}</span>}
+        {trim && (
+          <button onClick={onClear} className="p-0.5 rounded text-zinc-600 hover:text-zinc-300" title="Play the whole song again">
+            <X size={11} />
+          </button>
+        )}
+        <button
+          onClick={() => setFadesOpen(!fadesOpen)}
+          className={`hidden md:flex ml-auto items-center gap-1 px-1.5 py-0.5 rounded text-[11px] ${fadesOpen || fadeEnvelope ? 'text-emerald-300' : 'text-zinc-500 hover:text-zinc-300'} hover:bg-white/5`}
+          title="Fade in, fade out and fade-and-stop times"
+        >
+          <TrendingDown size={12} /> Fades
+        </button>
+      </div>
+
+      <div ref={trackRef} className="flex-1 relative min-w-0 overflow-hidden border-b border-zinc-800">
+        {duration > 0 && (
+          <>
+            <div className="absolute top-0 bottom-0 left-0 bg-black/40 pointer-events-none" style={{ width: `${Math.max(0, timeToPercent(range, start))}%` }} />
+            <div className="absolute top-0 bottom-0 right-0 bg-black/40 pointer-events-none" style={{ left: `${Math.min(100, timeToPercent(range, end))}%` }} />
+            {fadeEnvelope && <EnvelopeLine points={fadeEnvelope} range={range} className="text-emerald-300/60" />}
+            {[['start', start], ['end', end]].map(([edge, time]) => (
+              <div key={edge} className="absolute top-0 bottom-0 z-10" style={{ left: `${timeToPercent(range, time)}%` }}>
+                <div className="absolute top-0 bottom-0 w-px bg-emerald-400" />
+                <button
+                  onPointerDown={(e) => handlePointerDown(e, edge)}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onPointerCancel={() => setDrag(null)}
+                  className={`absolute top-0 bottom-0 w-2.5 bg-emerald-500/50 hover:bg-emerald-400 cursor-ew-resize touch-none ${edge === 'start' ? 'left-0 rounded-r-sm' : 'right-0 rounded-l-sm'}`}
+                  title={`${edge === 'start' ? 'In' : 'Out'} point (${formatTime(time)}) — drag to move`}
+                />
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+
+      {fadesOpen && (
+        <div className={`absolute top-6 left-0 w-60 z-40 ${THEME.panel} border rounded-lg shadow-2xl p-3 space-y-2 text-xs text-zinc-300`}>
+          {[['in', 'Fade in from the in point'], ['out', 'Fade out into the out point'], ['stop', 'Fade out and stop']].map(([key, label]) => (
+            <label key={key} className="flex items-center justify-between gap-2">
+              {label}
+              <span className="flex items-center gap-1 text-zinc-500">
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_FADE}
+                  step="0.5"
+                  defaultValue={fades[key] ?? DEFAULT_FADES[key]}
+                  onChange={(e) => onUpdateFades({ ...fades, [key]: Math.max(0, Math.min(MAX_FADE, parseFloat(e.target.value) || 0)) })}
+                  className="w-14 bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs text-zinc-300 outline-none"
+                />
+                s
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Automation ---
+
+// An envelope across the visible range as a line, 1 at the top and 0 at the bottom
+const EnvelopeLine = ({ points, range, className = '' }) => {
+  const end = range.start + range.span;
+  const line = [
+    { time: range.start, value: envelopeValueAt(points, range.start) },
+    ...points.filter(point => point.time > range.start && point.time < end),
+    { time: end, value: envelopeValueAt(points, end) },
+  ];
+  return (
+    <svg className={`absolute inset-0 w-full h-full pointer-events-none ${className}`} viewBox="0 0 100 100" preserveAspectRatio="none">
+      <polyline
+        points={line.map(point => `${timeToPercent(range, point.time)},${(1 - point.value) * 100}`).join(' ')}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
+
+// A stem's drawn volume over its lane. While editing, pressing the lane adds a
+// breakpoint, points drag (never past their neighbours) and a double-click removes one.
+const AutomationOverlay = ({ points = [], range, editing, onChange }) => {
+  const overlayRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { index, points, changed } while a point is held
+  const shown = drag ? drag.points : points;
+  const end = range.start + range.span;
+
+  const pointFromEvent = (e) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return {
+      time: timeAtFraction(range, Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width))),
+      value: 1 - Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height)),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const index = e.target.dataset.index;
+    if (index != null) {
+      setDrag({ index: Number(index), points, changed: false });
+      return;
+    }
+    const { time, value } = pointFromEvent(e);
+    const added = addPoint(points, time, value);
+    setDrag({ index: added.index, points: added.points, changed: true });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    e.stopPropagation();
+    const { time, value } = pointFromEvent(e);
+    setDrag({ ...drag, points: movePoint(drag.points, drag.index, time, value), changed: true });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    e.stopPropagation();
+    if (drag.changed) onChange(drag.points);
+    setDrag(null);
+  };
+
+  const handleDoubleClick = (e) => {
+    const index = e.target.dataset.index;
+    if (index != null) onChange(removePoint(points, Number(index)));
+  };
+
+  if (!editing && shown.length === 0) return null;
+
+  return (
+    <div
+      ref={overlayRef}
+      className={`absolute inset-0 z-10 ${editing ? 'cursor-copy touch-none' : 'pointer-events-none'}`}
+      onPointerDown={editing ? handlePointerDown : undefined}
+      onPointerMove={editing ? handlePointerMove : undefined}
+      onPointerUp={editing ? handlePointerUp : undefined}
+      onPointerCancel={() => setDrag(null)}
+      onDoubleClick={editing ? handleDoubleClick : undefined}
+    >
+      {shown.length > 0 && <EnvelopeLine points={shown} range={range} className={editing ? 'text-amber-300' : 'text-amber-300/50'} />}
+      {editing && shown.map((point, index) => point.time >= range.start && point.time <= end && (
+        <div
+          key={index}
+          data-index={index}
+          className="absolute w-2.5 h-2.5 -ml-[5px] -mt-[5px] rounded-full bg-amber-300 border border-black/60 cursor-grab hover:scale-125"
+          style={{ left: `${timeToPercent(range, point.time)}%`, top: `${(1 - point.value) * 100}%` }}
+          title={`${formatTime(point.time)}, ${Math.round(point.value * 100)}% — drag to move, double-click to remove`}
+        />
+      ))}
+      {editing && points.length > 0 && (
+        <button
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={() => onChange([])}
+          className="absolute top-1 right-1 px-1.5 py-0.5 rounded bg-black/60 text-[10px] text-zinc-300 hover:text-white"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- Lyrics ---
+
+// Current and next line under the song info; clicking either seeks to it
+const LyricsBar = ({ lines, currentIndex, onSeek }) => {
+  const current = lines[currentIndex];
+  const next = lines[currentIndex + 1];
+  const seekTo = (line) => { if (line?.time != null) onSeek(line.time); };
+
+  return (
+    <div className="px-3 md:px-4 py-2 border-b border-zinc-800 bg-black/20 text-center z-10">
+      <button
+        onClick={() => seekTo(current)}
+        disabled={!current}
+        className="block w-full text-base md:text-2xl font-semibold leading-snug text-zinc-100 truncate hover:text-white disabled:text-zinc-600"
+        title={current ? 'Back to the start of this line' : undefined}
+      >
+        {current ? current.text || '♪' : '♪'}
+      </button>
+      {next && (
+        <button
+          onClick={() => seekTo(next)}
+          className="block w-full text-xs md:text-sm text-zinc-500 truncate hover:text-zinc-300"
+          title="Skip to this line"
+        >
+          {next.text || '♪'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Side panel for attaching lyrics and tapping in their timing while the cue plays
+const LyricsEditor = ({ cueName, lines, currentIndex, tapIndex, currentTime, onChange, onArm, onTap, onSeek, onClose }) => {
+  const [draft, setDraft] = useState(lines.length === 0 ? '' : null); // text being edited, null = line list
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+  const rowRefs = useRef(new Map());
+
+  // Keep the line being sung in view
+  useEffect(() => {
+    rowRefs.current.get(currentIndex)?.scrollIntoView({ block: 'nearest' });
+  }, [currentIndex]);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setImportError(null);
+      onChange(await readLyricsFile(file));
+      setDraft(null);
+    } catch (err) {
+      console.warn('Lyrics import failed:', err);
+      setImportError(`Could not read "${file.name}".`);
+    }
+  };
+
+  const applyDraft = () => {
+    onChange(parseLyrics(draft));
+    setDraft(null);
+  };
+
+  const tapLine = lines[tapIndex];
+  const buttonClass = "p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-white/10 transition-colors disabled:opacity-30 disabled:pointer-events-none";
+
+  return (
+    <div className={`absolute inset-0 md:static md:w-80 z-40 flex flex-col ${THEME.sidebar} md:border-l shrink-0`}>
+      <div className="px-3 py-2 border-b border-zinc-800 flex items-center gap-1">
+        <MicVocal size={16} className="text-orange-400 shrink-0" />
+        <h3 className="text-sm font-bold flex-1 ml-1">Lyrics</h3>
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClass} title="Import an .lrc or text file">
+          <Upload size={15} />
+        </button>
+        <button
+          onClick={() => downloadBlob(new Blob([serializeLrc(lines)], { type: 'text/plain' }), `${cueName || 'lyrics'}.lrc`)}
+          disabled={lines.length === 0}
+          className={buttonClass}
+          title="Export as .lrc"
+        >
+          <Download size={15} />
+        </button>
+        <button
+          onClick={() => setDraft(draft === null ? serializeLrc(lines) : null)}
+          disabled={lines.length === 0 && draft !== null}
+          className={`${buttonClass} ${draft !== null ? 'text-orange-300' : ''}`}
+          title={draft === null ? 'Edit as text' : 'Back to the line list'}
+        >
+          <Pencil size={15} />
+        </button>
+        <button onClick={onClose} className={buttonClass} title="Close"><X size={16} /></button>
+        <input ref={fileInputRef} type="file" accept=".lrc,.txt,text/plain" className="hidden" onChange={handleImport} />
+      </div>
+      {importError && <div className="px-3 py-1.5 text-[11px] text-red-400">{importError}</div>}
+
+      {draft !== null ? (
+        <div className="flex-1 flex flex-col p-3 gap-2 min-h-0">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={'Paste lyrics, one line per line.\n\nLRC ([01:02.50]Line) and timed lines (1:02.5 Line) keep their times; other lines are tapped in while listening.'}
+            className="flex-1 w-full bg-zinc-950 border border-zinc-700 rounded-lg p-2 text-xs font-mono text-zinc-200 outline-none focus:border-orange-500 resize-none"
+          />
+          <div className="flex justify-end gap-2">
+            {lines.length > 0 && <Button variant="ghost" onClick={() => setDraft(null)} className="px-3 py-1.5 text-xs">Cancel</Button>}
+            <Button onClick={applyDraft} disabled={!draft.trim()} className="px-3 py-1.5 text-xs">Use these lines</Button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="flex-1 overflow-y-auto custom-scrollbar py-1">
+            {lines.map((line, index) => (
+              <div
+                key={line.id}
+                ref={el => { if (el) rowRefs.current.set(index, el); else rowRefs.current.delete(index); }}
+                onClick={() => onArm(index)}
+                className={`group/line flex items-center gap-2 px-3 py-1 cursor-pointer border-l-2 ${index === tapIndex ? 'border-orange-500 bg-orange-500/10' : 'border-transparent hover:bg-white/5'}`}
+              >
+                <button
+                  onClick={(e) => { e.stopPropagation(); if (line.time != null) onSeek(line.time); }}
+                  className={`w-16 shrink-0 text-left font-mono text-[11px] ${line.time != null ? 'text-zinc-500 hover:text-orange-300' : 'text-zinc-700'}`}
+                  title={line.time != null ? 'Seek to this line' : 'Not timed yet'}
+                >
+                  {line.time != null ? formatLyricTime(line.time) : '--:--.--'}
+                </button>
+                <span className={`flex-1 min-w-0 truncate text-xs ${index === currentIndex ? 'text-white font-semibold' : 'text-zinc-400'}`}>
+                  {line.text || '♪'}
+                </span>
+                <button
+                  onClick={(e) => { e.stopPropagation(); onChange(setLineTime(lines, index, currentTime)); }}
+                  className="p-0.5 text-zinc-600 hover:text-orange-300 opacity-0 group-hover/line:opacity-100"
+                  title="Set to playhead"
+                >
+                  <Crosshair size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="p-3 border-t border-zinc-800 space-y-2">
+            <button
+              onClick={onTap}
+              disabled={!tapLine}
+              className="w-full py-3 rounded-lg bg-orange-500/15 border border-orange-500/30 text-orange-300 text-sm font-medium hover:bg-orange-500/25 active:scale-[0.98] transition-transform disabled:opacity-30 disabled:pointer-events-none"
+            >
+              {tapLine ? <>Tap: <span className="text-white">{tapLine.text || '♪'}</span></> : 'All lines timed'}
+            </button>
+            <div className="flex items-center justify-between text-[10px] text-zinc-600">
+              <span>T taps the marked line at the playhead</span>
+              <button
+                onClick={() => { if (confirm('Remove the lyrics from this song?')) onChange([]); }}
+                className="flex items-center gap-1 text-zinc-500 hover:text-red-400"
+              >
+                <Trash2 size={11} /> Remove
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const LoopControls = ({ loop, loopCount, onToggle, onPreRollChange, onClear }) => (
+  <div className="flex items-center gap-1.5 mt-1 text-[11px]">
+    <button
+      onClick={onToggle}
+      className={`flex items-center gap-1 px-1.5 py-0.5 rounded border transition-colors ${loop.enabled ? 'bg-orange-500/15 border-orange-500/30 text-orange-300' : 'border-zinc-700 text-zinc-500 hover:text-zinc-300'}`}
+      title={loop.enabled ? 'Disable A-B loop' : 'Enable A-B loop'}
+    >
+      <Repeat size={11} /> {formatTime(loop.start)}–{formatTime(loop.end)}
+    </button>
+    <select
+      value={loop.preRoll || 0}
+      onChange={(e) => onPreRollChange(parseFloat(e.target.value))}
+      className="bg-transparent text-zinc-500 hover:text-zinc-300 outline-none cursor-pointer"
+      title="Pre-roll before the loop start"
+    >
+      {PRE_ROLL_OPTIONS.map(seconds => (
+        <option key={seconds} value={seconds} className="bg-zinc-900">{seconds === 0 ? 'No pre-roll' : `${seconds}s pre-roll`}</option>
+      ))}
+    </select>
+    {loop.enabled && loopCount > 0 && <span className={`${THEME.accentText} font-mono`}>×{loopCount}</span>}
+    <button onClick={onClear} className="p-0.5 text-zinc-600 hover:text-red-400" title="Clear loop"><X size={11} /></button>
+  </div>
+);
+
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Per-cue practice tempo; the ramp raises the rate by a step each time the A-B loop repeats
+const TempoControl = ({ tempo, playbackRate, isStretching, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const ramp = tempo.ramp || DEFAULT_TEMPO.ramp;
+  const selectClass = "bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs outline-none";
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-1.5 px-2 py-1.5 rounded-lg border text-xs font-mono transition-colors ${playbackRate !== 1 ? 'bg-orange-500/15 border-orange-500/30 text-orange-300' : 'border-transparent text-zinc-500 hover:text-zinc-300'}`}
+        title="Practice tempo (pitch is kept)"
+      >
+        <Gauge size={16} className={isStretching ? 'animate-pulse' : ''} />
+        {formatPercent(playbackRate)}
+      </button>
+      {open && (
+        <div className={`absolute bottom-full right-0 mb-2 w-56 ${THEME.panel} border rounded-lg shadow-2xl p-3 space-y-3 z-40`}>
+          <label className="flex items-center justify-between text-xs text-zinc-300">
+            Tempo
+            <select value={tempo.rate} onChange={(e) => onChange({ ...tempo, rate: parseFloat(e.target.value) })} className={selectClass}>
+              {TEMPO_OPTIONS.map(rate => <option key={rate} value={rate}>{formatPercent(rate)}</option>)}
+            </select>
+          </label>
+          <div className="border-t border-zinc-700 pt-3 space-y-2">
+            <label className="flex items-center gap-2 text-xs text-zinc-300">
+              <input
+                type="checkbox"
+                checked={ramp.enabled}
+                onChange={(e) => onChange({ ...tempo, ramp: { ...ramp, enabled: e.target.checked } })}
+                className="accent-orange-500"
+              />
+              Practice ramp on A-B loop
+            </label>
+            <div className={`flex items-center justify-between gap-2 text-xs ${ramp.enabled ? 'text-zinc-400' : 'text-zinc-600'}`}>
+              <select value={ramp.step} disabled={!ramp.enabled} onChange={(e) => onChange({ ...tempo, ramp: { ...ramp, step: parseFloat(e.target.value) } })} className={selectClass}>
+                {RAMP_STEP_OPTIONS.map(step => <option key={step} value={step}>+{formatPercent(step)}</option>)}
+              </select>
+              per loop up to
+              <select value={ramp.target} disabled={!ramp.enabled} onChange={(e) => onChange({ ...tempo, ramp: { ...ramp, target: parseFloat(e.target.value) } })} className={selectClass}>
+                {TEMPO_OPTIONS.map(rate => <option key={rate} value={rate}>{formatPercent(rate)}</option>)}
+              </select>
+            </div>
+          </div>
+          {isStretching && <p className={`text-[11px] ${THEME.accentText} animate-pulse`}>Time-stretching stems...</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// What happens when the cue plays out: stop, continue into the next cue, or crossfade into it
+const FollowControl = ({ follow, nextCueName, segueing, onChange }) => {
+  const selectClass = "bg-transparent text-zinc-500 hover:text-zinc-300 outline-none cursor-pointer";
+  return (
+    <div className="flex items-center gap-1.5 mt-1 text-[11px]">
+      <ArrowRightLeft size={11} className={followsOn(follow) ? THEME.accentText : 'text-zinc-600'} />
+      <select
+        value={follow.action}
+        onChange={(e) => onChange({ ...follow, action: e.target.value })}
+        className={selectClass}
+        title="Follow action when this cue ends"
+      >
+        {FOLLOW_ACTIONS.map(action => (
+          <option key={action} value={action} className="bg-zinc-900">{FOLLOW_LABELS[action]}</option>
+        ))}
+      </select>
+      {follow.action === 'continue' && (
+        <select value={follow.delay} onChange={(e) => onChange({ ...follow, delay: parseFloat(e.target.value) })} className={selectClass} title="Gap before the next cue">
+          {FOLLOW_DELAY_OPTIONS.map(seconds => (
+            <option key={seconds} value={seconds} className="bg-zinc-900">{seconds === 0 ? 'no gap' : `after ${seconds}s`}</option>
+          ))}
+        </select>
+      )}
+      {follow.action === 'crossfade' && (
+        <select value={follow.fadeDuration} onChange={(e) => onChange({ ...follow, fadeDuration: parseFloat(e.target.value) })} className={selectClass} title="Crossfade length">
+          {FOLLOW_FADE_OPTIONS.map(seconds => (
+            <option key={seconds} value={seconds} className="bg-zinc-900">over {seconds}s</option>
+          ))}
+        </select>
+      )}
+      {followsOn(follow) && nextCueName && (
+        <span className={`truncate ${segueing ? `${THEME.accentText} animate-pulse` : 'text-zinc-600'}`}>→ {nextCueName}</span>
+      )}
+    </div>
+  );
+};
+
+const PairSelect = ({ value, pairCount, onChange, className = '' }) => (
+  <select value={value} onChange={(e) => onChange(parseInt(e.target.value, 10))} className={`bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs outline-none ${className}`}>
+    {Array.from({ length: Math.max(MAX_PAIRS, pairCount) }, (_, pair) => (
+      <option key={pair} value={pair}>{describePair(pair)}{pair >= pairCount ? ' (not available)' : ''}</option>
+    ))}
+  </select>
+);
+
+// Renders the current song, or every song of the setlist, to WAV files
+const MixdownDialog = ({ cue, cues, mixerState, masterVolume, loop, duration, globalScenes, activeGlobalSceneId, onClose }) => {
+  const [mode, setMode] = useState('song'); // 'song' | 'setlist'
+  const [rangeMode, setRangeMode] = useState('all'); // 'all' | 'loop' | 'custom'
+  const [customStart, setCustomStart] = useState('0:00');
+  const [customEnd, setCustomEnd] = useState(formatTime(duration));
+  const [baseMix, setBaseMix] = useState('saved'); // 'saved' | 'default' (scene), for the setlist
+  const [sceneId, setSceneId] = useState(activeGlobalSceneId || '');
+  const [bitDepth, setBitDepth] = useState(24);
+  const [sampleRate, setSampleRate] = useState(48000);
+  const [progress, setProgress] = useState(null); // { label, fraction }
+  const [error, setError] = useState(null);
+  const cancelledRef = useRef(false);
+
+  const getRange = () => {
+    if (rangeMode === 'loop' && loop) return { start: loop.start, end: loop.end };
+    if (rangeMode !== 'custom') return cue.trim || null;
+    const start = parseClock(customStart);
+    const end = parseClock(customEnd);
+    if (start == null || end == null || end <= start) throw new Error('Enter a start and an end time, like 1:05 and 2:30.');
+    return { start, end };
+  };
+
+  const renderToBlob = async (label, options) => {
+    const buffer = await renderMixdown({ ...options, sampleRate, onProgress: (fraction) => setProgress({ label, fraction }) });
+    return encodeWav(buffer, bitDepth);
+  };
+
+  const renderSong = async () => {
+    const range = getRange();
+    const suffix = rangeMode === 'loop' ? 'A-B' : rangeMode === 'custom' ? `${formatTime(range.start)}-${formatTime(range.end)}` : null;
+    const blob = await renderToBlob(cue.name, {
+      stems: cue.stems,
+      mixerState,
+      masterVolume,
+      range,
+      offsets: getStemOffsetMap(cue.stemOffsets),
+      fades: cue.fades,
+      trim: cue.trim,
+      automation: cue.automation,
+    });
+    downloadBlob(blob, mixdownFileName(cue.name, suffix));
+  };
+
+  // Each song is mixed from its saved mix or default scene, with the chosen global scene on top.
+  // A song that fails is skipped so the rest still get written; the missing ones are reported at the end
+  const renderSetlist = async () => {
+    const scene = globalScenes.find(sc => sc.id === sceneId) || null;
+    // Asked for first: the browser only shows the picker straight after the click
+    const folder = canPickOutputFolder() ? await pickOutputFolder() : null;
+    const failed = [];
+    for (const [index, song] of cues.entries()) {
+      if (cancelledRef.current) break;
+      const label = `${index + 1}/${cues.length} ${song.name}`;
+      const startMix = getStartMix(song, baseMix === 'default');
+      const songMixerState = applyGlobalScene(buildMixerState(song.stems, startMix), song.stems, scene);
+      let blob;
+      try {
+        blob = await renderToBlob(label, {
+          stems: song.stems,
+          mixerState: songMixerState,
+          masterVolume: startMix?.masterVolume ?? 1,
+          range: song.trim || null,
+          offsets: getStemOffsetMap(song.stemOffsets),
+          fades: song.fades,
+          trim: song.trim,
+          automation: song.automation,
+        });
+      } catch (err) {
+        console.warn(`Mixdown of "${song.name}" failed:`, err);
+        failed.push(song.name);
+        continue;
+      }
+      const fileName = mixdownFileName(`${String(index + 1).padStart(2, '0')} ${song.name}`, scene?.name);
+      try {
+        if (folder) await writeToFolder(folder, fileName, blob);
+        else downloadBlob(blob, fileName);
+      } catch (err) {
+        console.warn(`Writing "${fileName}" failed:`, err);
+        failed.push(song.name);
+      }
+    }
+    if (failed.length > 0) {
+      throw new Error(`${countSongs(failed.length)} could not be written: ${failed.join(', ')}.`);
+    }
+  };
+
+  const handleRender = async () => {
+    setError(null);
+    cancelledRef.current = false;
+    try {
+      if (mode === 'song') await renderSong();
+      else await renderSetlist();
+      if (!cancelledRef.current) onClose();
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.warn('Mixdown failed:', err);
+        setError(err.message || 'The mixdown failed.');
+      }
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const optionClass = (active) => `flex-1 px-2 py-1.5 rounded text-xs font-medium transition-colors ${active ? 'bg-orange-500/20 text-orange-300' : 'bg-black/20 text-zinc-400 hover:text-zinc-200'}`;
+  const selectClass = "w-full bg-zinc-900 border border-zinc-700 rounded px-2 py-1.5 text-sm outline-none";
+  const labelClass = `text-xs font-bold ${THEME.textMuted} uppercase tracking-wider`;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={progress ? undefined : onClose}>
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]} flex items-start justify-between gap-2`}>
+          <div className="min-w-0">
+            <h2 className="font-bold text-lg">Render Mixdown</h2>
+            <p className={`text-xs ${THEME.textSec} mt-1`}>A stereo WAV at the original tempo, with volume, mute, solo, pan and EQ as mixed.</p>
+          </div>
+          <button onClick={onClose} disabled={!!progress} className="p-1 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/10 disabled:opacity-30"><X size={16} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-3 space-y-4">
+          <div className="flex gap-1">
+            <button onClick={() => setMode('song')} className={optionClass(mode === 'song')}>This song</button>
+            <button onClick={() => setMode('setlist')} className={optionClass(mode === 'setlist')}>Every song in the setlist ({cues.length})</button>
+          </div>
+
+          {mode === 'song' ? (
+            <div className="space-y-1">
+              <span className={labelClass}>Range</span>
+              <div className="flex gap-1">
+                <button onClick={() => setRangeMode('all')} className={optionClass(rangeMode === 'all')}>{cue.trim ? 'In to out point' : 'Whole song'}</button>
+                <button onClick={() => setRangeMode('loop')} disabled={!loop} className={`${optionClass(rangeMode === 'loop')} disabled:opacity-30`}>A-B loop</button>
+                <button onClick={() => setRangeMode('custom')} className={optionClass(rangeMode === 'custom')}>From... to...</button>
+              </div>
+              {rangeMode === 'custom' && (
+                <div className="flex items-center gap-2 pt-1 text-xs">
+                  <input value={customStart} onChange={(e) => setCustomStart(e.target.value)} className="w-20 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 font-mono outline-none focus:border-orange-500" />
+                  <span className={THEME.textMuted}>to</span>
+                  <input value={customEnd} onChange={(e) => setCustomEnd(e.target.value)} className="w-20 bg-zinc-900 border border-zinc-700 rounded px-2 py-1 font-mono outline-none focus:border-orange-500" />
+                </div>
+              )}
+              <p className={`text-[11px] ${THEME.textMuted} pt-1`}>Uses the mix as you hear it now, including the active global scene.</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <label className="block space-y-1">
+                <span className={labelClass}>Each song's mix</span>
+                <select value={baseMix} onChange={(e) => setBaseMix(e.target.value)} className={selectClass}>
+                  <option value="saved">Last saved mix</option>
+                  <option value="default">Default scene (where set)</option>
+                </select>
+              </label>
+              <label className="block space-y-1">
+                <span className={labelClass}>Global scene</span>
+                <select value={sceneId} onChange={(e) => setSceneId(e.target.value)} className={selectClass}>
+                  <option value="">None</option>
+                  {globalScenes.map(scene => <option key={scene.id} value={scene.id}>{scene.name}</option>)}
+                </select>
+              </label>
+              <p className={`text-[11px] ${THEME.textMuted}`}>
+                {canPickOutputFolder() ? 'You choose a folder; one file per song is written into it.' : 'One file per song is downloaded.'}
+              </p>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <label className="flex-1 space-y-1">
+              <span className={labelClass}>Bit depth</span>
+              <select value={bitDepth} onChange={(e) => setBitDepth(Number(e.target.value))} className={selectClass}>
+                {BIT_DEPTHS.map(depth => <option key={depth} value={depth}>{depth}-bit</option>)}
+              </select>
+            </label>
+            <label className="flex-1 space-y-1">
+              <span className={labelClass}>Sample rate</span>
+              <select value={sampleRate} onChange={(e) => setSampleRate(Number(e.target.value))} className={selectClass}>
+                {SAMPLE_RATES.map(rate => <option key={rate} value={rate}>{(rate / 1000).toFixed(1)} kHz</option>)}
+              </select>
+            </label>
+          </div>
+
+          {error && <p className="text-xs text-red-400 flex items-center gap-1"><AlertCircle size={12} className="shrink-0" /> {error}</p>}
+          {progress && (
+            <div className="space-y-1">
+              <div className={`text-xs ${THEME.textSec} truncate`}>Rendering {progress.label}</div>
+              <div className="h-1.5 rounded-full bg-black/40 overflow-hidden">
+                <div className="h-full bg-orange-500 transition-[width]" style={{ width: `${Math.round(progress.fraction * 100)}%` }} />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-end gap-2`}>
+          {progress && mode === 'setlist' && (
+            <Button variant="ghost" onClick={() => { cancelledRef.current = true; }} className="px-4 py-2 text-sm">Stop after this song</Button>
+          )}
+          <Button onClick={handleRender} disabled={!!progress} className="px-4 py-2 text-sm gap-1.5">
+            <FileAudio size={14} /> Render
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-      setIsPlaying(false);
-      setIsLoading(true);
-      setError(null);
-      setCurrentTime(0);
-      setDuration(0);
+// Routing matrix: the current cue's stems and the show's name-pattern rules that place them on output pairs
+const RoutingPanel = ({ routing, stems, outputChannels, deviceSelectable, outputError, onSelectDevice, onRouteStem, onUpdateRules, onAddRule, onClose }) => {
+  const [devices, setDevices] = useState([]);
+  const pairCount = getPairCount(outputChannels);
+  const pairs = resolveStemPairs(stems, routing, outputChannels);
+  const foldedBack = routing.rules.some(rule => rule.pair >= pairCount);
+
+  useEffect(() => {
+    listOutputDevices().then(setDevices).catch(err => console.warn('Listing output devices failed:', err));
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]} flex items-start justify-between gap-2`}>
+          <div className="min-w-0">
+            <h2 className="font-bold text-lg">Output Routing</h2>
+            <p className={`text-xs ${THEME.textSec} mt-1`}>Saved with this show. {outputChannels} output channel{outputChannels === 1 ? '' : 's'} available.</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/10"><X size={16} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-3 space-y-4">
+          <label className="block space-y-1">
+            <span className={`text-xs font-bold ${THEME.textMuted} uppercase tracking-wider`}>Output device</span>
+            <select
+              value={routing.deviceId || ''}
+              disabled={!deviceSelectable}
+              onChange={(e) => onSelectDevice(e.target.value)}
+              className="w-full bg-zinc-900 border border-zinc-700 rounded px-2 py-1.5 text-sm outline-none disabled:opacity-50"
+            >
+              <option value="">System default</option>
+              {devices.map(device => <option key={device.id} value={device.id}>{device.name}</option>)}
+            </select>
+            {!deviceSelectable && <span className={`block text-[11px] ${THEME.textMuted}`}>This browser always plays through the system default output.</span>}
+            {outputError && <span className="block text-[11px] text-red-400">{outputError}</span>}
+            {foldedBack && (
+              <span className="text-[11px] text-amber-400 flex items-center gap-1"><AlertCircle size={11} className="shrink-0" /> Stems routed beyond {describePair(pairCount - 1)} play on {describePair(0)} on this output.</span>
+            )}
+          </label>
+
+          {stems.length > 0 && (
+            <div className="space-y-1">
+              <div className={`text-xs font-bold ${THEME.textMuted} uppercase tracking-wider`}>This cue</div>
+              {stems.map(stem => {
+                const rule = findRoutingRule(routing, stem.stemName);
+                return (
+                  <div key={stem.id} className="flex items-center gap-2 p-1.5 rounded bg-black/20">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm truncate">{stem.stemName.replace(/\.[^/.]+$/, "")}</div>
+                      {rule && rule.pattern !== stem.stemName && <div className={`text-[11px] ${THEME.textMuted} truncate`}>via "{rule.pattern}"</div>}
+                    </div>
+                    <PairSelect value={rule?.pair ?? 0} pairCount={pairCount} onChange={(pair) => onRouteStem(stem.stemName, pair)} />
+                    {(rule?.pair ?? 0) !== pairs.get(stem.id) && <AlertCircle size={12} className="text-amber-400 shrink-0" />}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="space-y-1">
+            <div className={`text-xs font-bold ${THEME.textMuted} uppercase tracking-wider`}>Rules (first match wins)</div>
+            {routing.rules.length === 0 && <p className={`text-sm ${THEME.textMuted}`}>Everything plays on {describePair(0)}.</p>}
+            {routing.rules.map(rule => (
+              <div key={rule.id} className="flex items-center gap-2 p-1.5 rounded bg-black/20">
+                <span className="flex-1 min-w-0 text-sm font-mono truncate">{rule.pattern}</span>
+                <PairSelect
+                  value={rule.pair}
+                  pairCount={pairCount}
+                  onChange={(pair) => onUpdateRules(routing.rules.map(r => r.id === rule.id ? { ...r, pair } : r))}
+                />
+                <button onClick={() => onUpdateRules(routing.rules.filter(r => r.id !== rule.id))} className="p-1 rounded text-zinc-600 hover:text-red-400" title="Delete rule"><Trash2 size={12} /></button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-between`}>
+          <Button variant="ghost" onClick={onAddRule} className="px-4 py-2 text-sm gap-1"><Plus size={14} /> Add rule</Button>
+          <Button variant="secondary" onClick={onClose} className="px-4 py-2 text-sm">Done</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Remapping: click a key, then press the new one. Conflicting keys are flagged and do nothing until resolved.
+const ShortcutPanel = ({ shortcutMap, onRebind, onReset, onClose }) => {
+  const [capturing, setCapturing] = useState(null);
+  const conflicts = findShortcutConflicts(shortcutMap);
+  const groups = [...new Set(SHORTCUT_ACTIONS.map(a => a.group))];
+  const labelFor = (actionId) => SHORTCUT_ACTIONS.find(a => a.id === actionId)?.label;
+
+  // Captures the next key press before anything else sees it, Escape and Space included
+  useEffect(() => {
+    if (!capturing) return;
+    const handleKeyDown = (e) => {
+      const key = keyFromEvent(e);
+      if (!key) return;
+      e.preventDefault();
+      e.stopPropagation();
+      onRebind(capturing, key);
+      setCapturing(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [capturing, onRebind]);
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]} flex items-start justify-between gap-2`}>
+          <div>
+            <h2 className="font-bold text-lg">Keyboard Shortcuts</h2>
+            <p className={`text-xs ${THEME.textSec} mt-1`}>Shortcuts never fire while typing in a text field.</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/10"><X size={16} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-2">
+          {groups.map(group => (
+            <div key={group} className="mb-2">
+              <div className={`text-xs font-bold ${THEME.textMuted} uppercase tracking-wider px-2 py-1`}>{group}</div>
+              {SHORTCUT_ACTIONS.filter(a => a.group === group).map(a => {
+                const key = shortcutMap[a.id];
+                const others = (conflicts.get(key) || []).filter(id => id !== a.id);
+                return (
+                  <div key={a.id} className="flex items-center gap-2 px-2 py-1 rounded hover:bg-white/5">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm truncate">{a.label}</div>
+                      {others.length > 0 && (
+                        <div className="text-[11px] text-red-400 flex items-center gap-1"><AlertCircle size={11} className="shrink-0" /> Also bound to {others.map(labelFor).join(', ')}</div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => setCapturing(capturing === a.id ? null : a.id)}
+                      className={`min-w-20 px-2 py-1 rounded border text-xs font-mono transition-colors ${capturing === a.id ? 'bg-orange-500/15 border-orange-500/40 text-orange-300 animate-pulse' : others.length > 0 ? 'border-red-500/40 text-red-300' : 'border-zinc-700 text-zinc-300 hover:border-zinc-500'}`}
+                    >
+                      {capturing === a.id ? 'Press a key...' : describeShortcut(key)}
+                    </button>
+                    <button onClick={() => onRebind(a.id, null)} disabled={!key} className="p-1 rounded text-zinc-600 hover:text-red-400 disabled:opacity-30 disabled:pointer-events-none" title="Remove shortcut"><X size={12} /></button>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} flex justify-between`}>
+          <Button variant="ghost" onClick={onReset} className="px-4 py-2 text-sm gap-1"><RotateCcw size={14} /> Reset to defaults</Button>
+          <Button variant="secondary" onClick={onClose} className="px-4 py-2 text-sm">Done</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// MIDI learn: add a mapping, press Learn, then move the pedal, key or fader to bind it
+const MidiPanel = ({ mappings, inputs, midiError, lastMessage, learningId, cueCount, stemCount, onAdd, onLearn, onDelete, onClose }) => {
+  const [action, setAction] = useState(MIDI_ACTIONS[0].action);
+  const [param, setParam] = useState(1);
+  const paramType = getMidiAction(action)?.param;
+  const paramMax = paramType === 'cue' ? cueCount : stemCount;
+  const selectClass = "bg-zinc-900 border border-zinc-700 rounded px-1.5 py-1 text-xs outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className={`w-full max-w-md max-h-[85dvh] flex flex-col ${THEME.panel} border rounded-2xl shadow-2xl overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+        <div className={`p-4 border-b ${THEME.deck.split(' ')[1]} flex items-start justify-between gap-2`}>
+          <div className="min-w-0">
+            <h2 className="font-bold text-lg">MIDI Control</h2>
+            <p className={`text-xs mt-1 truncate ${midiError ? 'text-red-400' : THEME.textSec}`}>
+              {midiError || (inputs.length > 0 ? inputs.join(', ') : 'No MIDI inputs connected')}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-zinc-500 hover:text-zinc-300 hover:bg-white/10"><X size={16} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-2 space-y-1">
+          {mappings.length === 0 && <p className={`text-sm ${THEME.textMuted} p-2`}>No mappings yet.</p>}
+          {mappings.map(mapping => (
+            <div key={mapping.id} className="flex items-center gap-2 p-2 rounded-lg bg-black/20">
+              <div className="flex-1 min-w-0">
+                <div className="text-sm truncate">{describeMidiMapping(mapping)}</div>
+                <div className={`text-[11px] font-mono ${mapping.trigger ? THEME.textMuted : 'text-amber-400'}`}>{describeMidiTrigger(mapping.trigger)}</div>
+              </div>
+              <button
+                onClick={() => onLearn(learningId === mapping.id ? null : mapping.id)}
+                className={`px-2 py-1 rounded text-[11px] font-medium border transition-colors ${learningId === mapping.id ? 'bg-orange-500/15 border-orange-500/40 text-orange-300 animate-pulse' : 'border-zinc-700 text-zinc-400 hover:text-zinc-200'}`}
+              >
+                {learningId === mapping.id ? 'Move a control...' : 'Learn'}
+              </button>
+              <button onClick={() => onDelete(mapping.id)} className="p-1 rounded text-zinc-600 hover:text-red-400" title="Delete mapping"><Trash2 size={12} /></button>
+            </div>
+          ))}
+        </div>
+
+        <div className={`p-3 border-t ${THEME.deck.split(' ')[1]} space-y-2`}>
+          <div className="flex items-center gap-2">
+            <select value={action} onChange={(e) => setAction(e.target.value)} className={`${selectClass} flex-1 min-w-0`}>
+              {MIDI_ACTIONS.map(a => <option key={a.action} value={a.action}>{a.label}</option>)}
+            </select>
+            {paramType && (
+              <label className="flex items-center gap-1 text-xs text-zinc-400">
+                {paramType === 'cue' ? 'Cue' : 'Lane'}
+                <input
+                  type="number"
+                  min="1"
+                  max={Math.max(1, paramMax)}
+                  value={param}
+                  onChange={(e) => setParam(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  className={`${selectClass} w-14`}
+                />
+              </label>
+            )}
+            <Button onClick={() => onAdd(action, paramType ? param : null)} className="px-3 py-1.5 text-xs gap-1">
+              <Plus size={12} /> Add
+            </Button>
+          </div>
+          <div className={`text-[11px] font-mono ${THEME.textMuted}`}>
+            Last message: {lastMessage ? `${describeMidiTrigger(lastMessage)} = ${lastMessage.value}` : '—'}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const SceneChip = ({ active, onClick, onDelete, children, title }) => (
+  <div className={`group/scene flex items-center rounded-full border text-[11px] font-medium shrink-0 transition-colors ${active ? 'bg-orange-500/15 border-orange-500/40 text-orange-300' : 'border-zinc-700 text-zinc-400 hover:text-zinc-200 hover:border-zinc-500'}`}>
+    <button onClick={onClick} className="flex items-center gap-1 pl-2.5 pr-1 py-1" title={title}>
+      {children}
+    </button>
+    <button onClick={onDelete} className="pr-2 py-1 text-zinc-600 hover:text-red-400" title="Delete scene">
+      <X size={10} />
+    </button>
+  </div>
+);
+
+const SceneBar = ({
+  scenes,
+  defaultSceneId,
+  globalScenes,
+  activeGlobalSceneId,
+  onRecall,
+  onSave,
+  onDelete,
+  onSetDefault,
+  onToggleGlobal,
+  onAddGlobal,
+  onDeleteGlobal
+}) => (
+  <div className="px-3 md:px-4 py-1.5 border-b border-zinc-800 flex items-center gap-1.5 overflow-x-auto custom-scrollbar">
+    <Layers size={14} className={`${THEME.textMuted} shrink-0`} />
+    {scenes.map(scene => (
+      <SceneChip key={scene.id} onClick={() => onRecall(scene)} onDelete={() => onDelete(scene.id)} title={`Recall "${scene.name}"`}>
+        <span
+          role="button"
+          onClick={(e) => { e.stopPropagation(); onSetDefault(scene.id); }}
+          className={scene.id === defaultSceneId ? 'text-amber-400' : 'text-zinc-600 hover:text-zinc-400'}
+          title="Default scene for show mode"
+        >
+          <Star size={10} fill={scene.id === defaultSceneId ? 'currentColor' : 'none'} />
+        </span>
+        {scene.name}
+      </SceneChip>
+    ))}
+    <button onClick={onSave} className="flex items-center gap-1 px-2 py-1 rounded-full text-[11px] text-zinc-500 hover:text-zinc-200 hover:bg-white/5 shrink-0" title="Save current mix as a scene">
+      <Plus size={10} /> Scene
+    </button>
+
+    <div className="w-px h-4 bg-zinc-700 mx-1 shrink-0" />
+    <span className={`text-[10px] uppercase tracking-wider font-bold ${THEME.textMuted} shrink-0`}>All cues</span>
+    {globalScenes.map(scene => (
+      <SceneChip
+        key={scene.id}
+        active={scene.id === activeGlobalSceneId}
+        onClick={() => onToggleGlobal(scene.id)}
+        onDelete={() => onDeleteGlobal(scene.id)}
+        title={`Mutes stems matching: ${scene.mutePatterns.join(', ')}`}
+      >
+        {scene.name}
+      </SceneChip>
+    ))}
+    <button onClick={onAddGlobal} className="flex items-center gap-1 px-2 py-1 rounded-full text-[11px] text-zinc-500 hover:text-zinc-200 hover:bg-white/5 shrink-0" title="Add a scene that mutes stems by name in every cue">
+      <Plus size={10} /> Global
+    </button>
+  </div>
+);
+
+const PlayerScreen = ({
+  cues,
+  onBack,
+  onRemoveCue,
+  onClearAll,
+  onAddFolder,
+  onLinkFolder,
+  onReorderCues,
+  onUpdateCue,
+  globalScenes,
+  activeGlobalSceneId,
+  onUpdateGlobalScenes,
+  onSetActiveGlobalScene,
+  showMode,
+  onToggleShowMode,
+  showName,
+  setlistName,
+  sidebarHeader,
+  onAddSongs,
+  midiMappings,
+  onUpdateMidiMappings,
+  shortcuts,
+  onUpdateShortcuts,
+  routing,
+  onUpdateRouting,
+  peakProgress,
+  onApplyUpdate,
+  mixRevision
+}) => {
+  const addFolderInputRef = useRef(null);
+  const dragItem = useRef(null);
+  const dragOverItem = useRef(null);
+  const engineRef = useRef(null); // the active deck
+  const decksRef = useRef([]);
+  const deckCuesRef = useRef(new Map()); // deck -> id of the cue loaded into it
+  const standbyRef = useRef(null); // { engine, cueId, ready }
+  const segueRef = useRef(null); // { incoming, outgoing, phase, timer }
+  const deckSettingsRef = useRef(null);
+  const loadGeneration = useRef(0);
+  const mixFadeRef = useRef(0);
+  const rateAtLoopRef = useRef(false);
+  const rampRef = useRef(null);
+  const [currentCueIndex, setCurrentCueIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [repeatTrack, setRepeatTrack] = useState(false);
+  const [masterVolume, setMasterVolume] = useState(1);
+  const [isMasterMuted, setIsMasterMuted] = useState(false);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null); // { done, total } while stems decode
+  const [mixerState, setMixerState] = useState({});
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [loopCount, setLoopCount] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [isStretching, setIsStretching] = useState(false);
+  const [standby, setStandby] = useState(null); // { cueId, ready }
+  const [seguePhase, setSeguePhase] = useState(null); // 'scheduled' | 'fading'
+  const [deckVersion, setDeckVersion] = useState(0);
+  const [midiPanelOpen, setMidiPanelOpen] = useState(false);
+  const [midiInputs, setMidiInputs] = useState([]);
+  const [midiError, setMidiError] = useState(null);
+  const [midiLearningId, setMidiLearningId] = useState(null);
+  const [lastMidiMessage, setLastMidiMessage] = useState(null);
+  const midiMessageRef = useRef(null);
+  const runCommandRef = useRef(null);
+  const contextRef = useRef(null);
+  const [outputChannels, setOutputChannels] = useState(2);
+  const [outputError, setOutputError] = useState(null);
+  const [routingPanelOpen, setRoutingPanelOpen] = useState(false);
+  const [shortcutPanelOpen, setShortcutPanelOpen] = useState(false);
+  const [mixdownOpen, setMixdownOpen] = useState(false);
+  const [isFadingOut, setIsFadingOut] = useState(false);
+  const [timelineView, setTimelineView] = useState(DEFAULT_VIEW);
+  const [isFollowing, setIsFollowing] = useState(true);
+  const [lyricsEditorOpen, setLyricsEditorOpen] = useState(false);
+  const [lyricsTapIndex, setLyricsTapIndex] = useState(0);
+  const laneAreaRef = useRef(null);
+  const timelineTrackRef = useRef(null);
+  const pinchRef = useRef({ pointers: new Map(), gesture: null }); // touches on the lanes, gesture: { view, distance, anchor }
+  const stageChannelRef = useRef(null);
+  const postStageRef = useRef(() => {});
+
+  // The running order can change underneath the player (removals, reordering, undo);
+  // the current song is followed to its new place, or its neighbour takes over
+  const [seenCues, setSeenCues] = useState(cues);
+  if (cues !== seenCues) {
+    setSeenCues(cues);
+    const followed = cues.findIndex(cue => cue.id === seenCues[currentCueIndex]?.id);
+    const nextIndex = followed >= 0 ? followed : Math.max(0, Math.min(currentCueIndex, cues.length - 1));
+    if (nextIndex !== currentCueIndex) setCurrentCueIndex(nextIndex);
+  }
+
+  const currentCue = cues[currentCueIndex];
+  const nextCue = cues[currentCueIndex + 1] || null;
+
+  // Undo and redo change the saved mix underneath the mixer, which picks it up again
+  const [seenMixRevision, setSeenMixRevision] = useState(mixRevision);
+  if (mixRevision !== seenMixRevision) {
+    setSeenMixRevision(mixRevision);
+    if (currentCue) {
+      setMixerState(buildMixerState(currentCue.stems, currentCue.mix));
+      setMasterVolume(currentCue.mix?.masterVolume ?? 1);
+    }
+  }
+  const stems = useMemo(() => currentCue?.stems || [], [currentCue]);
+  const scenes = currentCue?.scenes || [];
+  const markers = useMemo(() => currentCue?.markers || [], [currentCue]);
+  const loop = currentCue?.loop || null;
+  const trim = currentCue?.trim || null;
+  const stemOffsets = currentCue?.stemOffsets;
+  const fades = currentCue?.fades || DEFAULT_FADES;
+  const automation = currentCue?.automation;
+  const tempo = currentCue?.tempo || DEFAULT_TEMPO;
+  const follow = currentCue?.follow || DEFAULT_FOLLOW;
+  const grid = currentCue?.grid || DEFAULT_GRID;
+  const lyrics = useMemo(() => currentCue?.lyrics?.lines || [], [currentCue]);
+  const currentLyricIndex = findCurrentLine(lyrics, currentTime);
+  const activeGlobalScene = globalScenes.find(sc => sc.id === activeGlobalSceneId) || null;
+
+  // Global scene mutes are overlaid for playback; the cue's own mix stays as saved
+  const effectiveMixerState = useMemo(
+    () => applyGlobalScene(mixerState, stems, activeGlobalScene),
+    [mixerState, stems, activeGlobalScene]
+  );
+  const range = useMemo(() => getVisibleRange(timelineView, duration), [timelineView, duration]);
+  const markerPositions = useMemo(
+    () => duration > 0 ? markers.map(m => ({ id: m.id, position: timeToPercent(range, m.time) })) : [],
+    [markers, duration, range]
+  );
+  const loopRegion = loop && duration > 0
+    ? { start: timeToPercent(range, loop.start), end: timeToPercent(range, Math.min(loop.end, duration)), enabled: loop.enabled }
+    : null;
+  const trimRange = getTrimRange(trim, duration);
+  const trimRegion = trim && duration > 0
+    ? { start: timeToPercent(range, trimRange.start), end: timeToPercent(range, trimRange.end) }
+    : null;
+  const sceneMutes = useMemo(() => getGlobalSceneMutes(stems, activeGlobalScene), [stems, activeGlobalScene]);
+  const shortcutMap = useMemo(() => buildShortcutMap(shortcuts), [shortcuts]);
+  const stageState = useMemo(() => ({
+    cueName: currentCue?.name || null,
+    cueNumber: currentCue ? currentCueIndex + 1 : null,
+    cueCount: cues.length,
+    nextCueName: nextCue?.name || null,
+    markers,
+    grid,
+    // The countdown runs to the out point
+    duration: trimRange.end,
+    rate: playbackRate,
+    playing: isPlaying,
+  }), [currentCue, currentCueIndex, cues.length, nextCue, markers, grid, trimRange.end, playbackRate, isPlaying]);
 
-      const initialMixerState = {};
-      currentCue.stems.forEach(stem => {
-        initialMixerState[stem.id] = { volume: 1, muted: false, soloed: false };
+  // Two decks share one context for the lifetime of the player: the active deck plays
+  // the current cue, the other stands by with the next one for gapless segues
+  useEffect(() => {
+    const context = createAudioContext();
+    contextRef.current = context;
+    const deckCues = deckCuesRef.current;
+    const decks = [0, 1].map(() => {
+      const engine = createAudioEngine({
+        context,
+        onEnded: () => {
+          // With a segue pending the outgoing cue running out is not the end of playback
+          if (engine !== engineRef.current || segueRef.current) return;
+          setIsPlaying(false);
+          setIsFadingOut(false);
+          setCurrentTime(engine.getCurrentTime());
+        },
+        onLoop: (count) => {
+          if (engine !== engineRef.current) return;
+          setLoopCount(count);
+          // Practice ramp: the next loop pass plays one step faster
+          const ramp = rampRef.current;
+          if (ramp && ramp.rate < ramp.target) {
+            rateAtLoopRef.current = true;
+            setPlaybackRate(Math.min(ramp.target, Math.round((ramp.rate + ramp.step) * 100) / 100));
+          }
+        },
       });
-      setMixerState(initialMixerState);
+      return engine;
+    });
+    decksRef.current = decks;
+    engineRef.current = decks[0];
+    return () => {
+      clearTimeout(segueRef.current?.timer);
+      segueRef.current = null;
+      standbyRef.current = null;
+      deckCues.clear();
+      decks.forEach(engine => engine.dispose());
+      context.close();
+      contextRef.current = null;
+      decksRef.current = [];
+      engineRef.current = null;
+    };
+  }, []);
+
+  // Abandons a segue: a scheduled one never starts, a fading outgoing deck is cut
+  const cancelSegue = useCallback(() => {
+    const segue = segueRef.current;
+    if (!segue) return;
+    clearTimeout(segue.timer);
+    segueRef.current = null;
+    setSeguePhase(null);
+    if (segue.phase === 'scheduled') {
+      segue.incoming.stop();
+      segue.incoming.setOutputLevel(1);
+    } else {
+      segue.outgoing.stop();
+    }
+    segue.outgoing.setOutputLevel(1);
+  }, []);
+
+  // Mixer state maps onto the engine's gain nodes (re-applied once a cue finishes loading)
+  useEffect(() => {
+    const fadeTime = mixFadeRef.current;
+    mixFadeRef.current = 0;
+    engineRef.current?.setMix(effectiveMixerState, { masterVolume, masterMuted: isMasterMuted, fadeTime });
+  }, [effectiveMixerState, masterVolume, isMasterMuted, isLoading, deckVersion]);
+
+  useEffect(() => {
+    engineRef.current?.setRepeat(repeatTrack);
+  }, [repeatTrack, deckVersion]);
+
+  // What a standby deck needs to sound like the cue will once it becomes current
+  useEffect(() => {
+    deckSettingsRef.current = { showMode, globalScene: activeGlobalScene, masterMuted: isMasterMuted, repeat: repeatTrack, routing, outputChannels };
+  }, [showMode, activeGlobalScene, isMasterMuted, repeatTrack, routing, outputChannels]);
+
+  // The stage window is fed from here whether or not one is open; one opened
+  // later, or one left open while this window reloads, picks up on its own
+  useEffect(() => {
+    const channel = createStageChannel((message) => {
+      if (message.type === 'hello') postStageRef.current();
+    });
+    stageChannelRef.current = channel;
+    const sayBye = () => channel?.postMessage({ type: 'bye' });
+    window.addEventListener('pagehide', sayBye);
+    return () => {
+      window.removeEventListener('pagehide', sayBye);
+      sayBye();
+      channel?.close();
+      stageChannelRef.current = null;
+    };
+  }, []);
+
+  // Post on every change and keep posting while mounted, so the stage can tell we're alive
+  useEffect(() => {
+    const post = () => stageChannelRef.current?.postMessage({
+      type: 'state',
+      state: { ...stageState, time: engineRef.current?.getCurrentTime() ?? 0, sentAt: Date.now() },
+    });
+    postStageRef.current = post;
+    post();
+    const timer = setInterval(post, STAGE_HEARTBEAT);
+    return () => clearInterval(timer);
+  }, [stageState]);
 
+  // The show's output device decides how many channels there are to route to
+  useEffect(() => {
+    const context = contextRef.current;
+    if (!context) return;
+    let cancelled = false;
+    const applyOutput = async () => {
       try {
-        let loadedCount = 0;
-        const totalStems = currentCue.stems.length;
-
-        await Promise.all(currentCue.stems.map(async (stem) => {
-          let src = '';
-          if (stem.file) {
-            src = URL.createObjectURL(stem.file);
-            activeUrlsRef.current.push(src);
-          }
+        const channels = await configureOutput(context, routing.deviceId || '');
+        if (cancelled) return;
+        setOutputChannels(channels);
+        setOutputError(null);
+      } catch (err) {
+        console.warn('Output device unavailable:', err);
+        if (cancelled) return;
+        setOutputError('The selected output device is unavailable; using the default output.');
+        setOutputChannels(await configureOutput(context, '').catch(() => 2));
+      }
+    };
+    applyOutput();
+    return () => { cancelled = true; };
+  }, [routing.deviceId]);
 
-          const audio = new Audio();
-          audio.src = src;
-          audio.preload = 'auto';
-
-          if (audioInstances.current.size === 0) {
-             audio.addEventListener('timeupdate', () => { if (loadGeneration.current === gen) setCurrentTime(audio.currentTime); });
-             audio.addEventListener('durationchange', () => { if (loadGeneration.current === gen) setDuration(audio.duration); });
-             audio.addEventListener('ended', () => {
-               if (loadGeneration.current !== gen) return;
-               if (repeatTrack) {
-                 audioInstances.current.forEach(a => { a.currentTime = 0; });
-                 const promises = [];
-                 audioInstances.current.forEach(a => promises.push(a.play()));
-                 Promise.all(promises).catch(() => setIsPlaying(false));
-               } else {
-                 setIsPlaying(false);
-               }
-             });
-             audio.addEventListener('error', () => { if (loadGeneration.current === gen) setError("Playback Error"); });
-          }
+  useEffect(() => {
+    engineRef.current?.setRouting(resolveStemPairs(stems, routing, outputChannels), outputChannels);
+  }, [stems, routing, outputChannels, isLoading, deckVersion]);
 
-          audio.addEventListener('canplay', () => {
-            if (loadGeneration.current === gen) {
-              loadedCount++;
-              if (loadedCount >= totalStems) setIsLoading(false);
-            }
-          });
-          audioInstances.current.set(stem.id, audio);
-        }));
-        applyVolumes(initialMixerState);
+  // The cue's A-B loop follows it around; re-applied once the cue has loaded
+  useEffect(() => {
+    engineRef.current?.setLoop(loop?.enabled ? loop : null);
+  }, [loop, isLoading]);
+
+  useEffect(() => {
+    engineRef.current?.setTrim(trim);
+  }, [trim, isLoading]);
+
+  // Fades and drawn automation play from the engine's clock; edits take effect straight away
+  useEffect(() => {
+    engineRef.current?.setFades(fades);
+  }, [fades, isLoading]);
+
+  useEffect(() => {
+    engineRef.current?.setAutomation(automation);
+  }, [automation, isLoading]);
+
+  useEffect(() => {
+    rampRef.current = tempo.ramp?.enabled && loop?.enabled ? { ...tempo.ramp, rate: playbackRate } : null;
+  }, [tempo, loop, playbackRate]);
+
+  // Stretch the loaded stems whenever the rate changes (or a cue finishes loading)
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine || isLoading) return;
+    const applyRate = async () => {
+      const atLoopBoundary = rateAtLoopRef.current;
+      rateAtLoopRef.current = false;
+      if (engine.getRate() === playbackRate) return;
+      setIsStretching(true);
+      try {
+        await engine.setRate(playbackRate, { atLoopBoundary });
+      } catch (err) {
+        console.error(err);
+        setError("Time-stretch failed.");
+      } finally {
+        setIsStretching(false);
+      }
+    };
+    applyRate();
+  }, [playbackRate, isLoading, deckVersion]);
+
+  // Keep the next cue loaded on the standby deck while this cue follows on into it
+  useEffect(() => {
+    if (isLoading || seguePhase || !nextCue || !followsOn(follow)) return;
+    if (standbyRef.current?.cueId === nextCue.id) return;
+    const engine = decksRef.current.find(deck => deck !== engineRef.current);
+    if (!engine) return;
+    const entry = { engine, cueId: nextCue.id, ready: false };
+    standbyRef.current = entry;
+    deckCuesRef.current.set(engine, nextCue.id);
+    const preload = async () => {
+      setStandby({ cueId: entry.cueId, ready: false });
+      try {
+        const loaded = await engine.load(nextCue.stems);
+        if (!loaded || standbyRef.current !== entry) return;
+        prepareDeck(engine, nextCue, deckSettingsRef.current);
+        await engine.setRate(nextCue.tempo?.rate ?? 1);
+        if (standbyRef.current !== entry) return;
+        entry.ready = true;
+        setStandby({ cueId: entry.cueId, ready: true });
+      } catch (err) {
+        console.warn('Preloading the next cue failed:', err);
+        if (standbyRef.current === entry) {
+          standbyRef.current = null;
+          setStandby(null);
+        }
+      }
+    };
+    preload();
+  }, [isLoading, seguePhase, nextCue, follow]);
+
+  // Shortly before the current cue runs out, put the segue into the standby deck on the
+  // context clock. The next cue becomes current when it starts; the outgoing deck is
+  // released once it has played out.
+  useEffect(() => {
+    if (!isPlaying || !nextCue || !followsOn(follow)) return;
+    const timer = setInterval(() => {
+      const outgoing = engineRef.current;
+      const ready = standbyRef.current;
+      if (segueRef.current || !ready?.ready || ready.cueId !== nextCue.id) return;
+      const endAt = outgoing.getEndTime();
+      if (endAt === null) return;
+      const { startAt, fadeDuration } = getSegueTiming(follow, endAt);
+      const now = outgoing.getContextTime();
+      if (Math.min(startAt, endAt) - now > SEGUE_LOOKAHEAD) return;
+
+      const incoming = ready.engine;
+      prepareDeck(incoming, nextCue, deckSettingsRef.current);
+      if (fadeDuration > 0) {
+        incoming.setOutputLevel(1, { at: startAt, fadeTime: fadeDuration, from: 0 });
+        outgoing.setOutputLevel(0, { at: startAt, fadeTime: fadeDuration });
+      } else {
+        incoming.setOutputLevel(1);
+      }
+      const segue = { incoming, outgoing, phase: 'scheduled', timer: null };
+      segueRef.current = segue;
+      setSeguePhase('scheduled');
+      incoming.play({ when: startAt }).catch(err => console.error(err));
+
+      segue.timer = setTimeout(() => {
+        engineRef.current = incoming;
+        standbyRef.current = null;
+        setStandby(null);
+        segue.phase = 'fading';
+        setSeguePhase('fading');
+        setCurrentCueIndex(prev => prev + 1);
+        segue.timer = setTimeout(() => {
+          outgoing.stop();
+          outgoing.setOutputLevel(1);
+          segueRef.current = null;
+          setSeguePhase(null);
+        }, Math.max(0, endAt - incoming.getContextTime()) * 1000);
+      }, Math.max(0, startAt - now) * 1000);
+    }, SEGUE_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isPlaying, nextCue, follow]);
+
+  // MIDI access is only requested once a controller is actually used, so nobody gets a permission prompt for nothing
+  const midiWanted = midiMappings.length > 0 || midiPanelOpen;
+  useEffect(() => {
+    if (!midiWanted) return;
+    let disconnect = null;
+    let cancelled = false;
+    connectMidiInputs((data) => midiMessageRef.current?.(data), setMidiInputs)
+      .then(close => { if (cancelled) close(); else disconnect = close; })
+      .catch(err => { if (!cancelled) setMidiError(err.message); });
+    return () => {
+      cancelled = true;
+      disconnect?.();
+    };
+  }, [midiWanted]);
+
+  // Keyboard shortcuts run the same player commands as MIDI; suspended while keys are being remapped
+  useEffect(() => {
+    if (shortcutPanelOpen) return;
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const shortcut = resolveShortcut(shortcutMap, keyFromEvent(e));
+      if (!shortcut) return;
+      e.preventDefault();
+      // A focused button or control would otherwise also react to the key (a click on
+      // key-up, a fader or select stepping)
+      if (e.target instanceof HTMLButtonElement || e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) e.target.blur();
+      if (e.repeat && !shortcut.repeat) return;
+      runCommandRef.current?.(shortcut.command);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [shortcutMap, shortcutPanelOpen]);
+
+  // Drive the time display from the context clock while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+    let frame;
+    const tick = () => {
+      const engine = engineRef.current;
+      if (engine) {
+        const time = engine.getCurrentTime();
+        setCurrentTime(time);
+        setIsFadingOut(engine.isFadingOut());
+        if (isFollowing) setTimelineView(view => followPlayhead(view, engine.getDuration(), time));
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, isFollowing]);
+
+  // Ctrl/Cmd + wheel (and trackpad pinch) zooms at the pointer; a sideways or Shift + wheel scrolls.
+  // Attached by hand because React's wheel listeners are passive and can't keep the page from zooming.
+  useEffect(() => {
+    const area = laneAreaRef.current;
+    const handleWheel = (e) => {
+      const track = timelineTrackRef.current;
+      if (!track || !duration) return;
+      const rect = track.getBoundingClientRect();
+      const scale = e.deltaMode === 1 ? WHEEL_LINE_HEIGHT : 1;
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        const anchor = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        setTimelineView(view => zoomView(view, duration, Math.exp(-e.deltaY * scale * WHEEL_ZOOM_RATE), anchor));
+      } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        e.preventDefault();
+        const delta = (Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY) * scale;
+        setTimelineView(view => panView(view, duration, (delta / rect.width) * getVisibleRange(view, duration).span));
+      }
+    };
+    area.addEventListener('wheel', handleWheel, { passive: false });
+    return () => area.removeEventListener('wheel', handleWheel);
+  }, [duration]);
+
+  // The load below runs when the cue changes, not on every edit to it, so it reads
+  // the cue and show mode as they are through a ref
+  const loadTargetRef = useRef({ currentCue, showMode });
+  useEffect(() => {
+    loadTargetRef.current = { currentCue, showMode };
+  });
+
+  useEffect(() => {
+    const loadCue = async () => {
+      const engine = engineRef.current;
+      const { currentCue, showMode } = loadTargetRef.current;
+      if (!currentCue || !engine) return;
+      const gen = ++loadGeneration.current;
+
+      setError(null);
+      setLoopCount(0);
+      setTimelineView(DEFAULT_VIEW);
+      setLyricsTapIndex(0);
+      const startMix = getStartMix(currentCue, showMode);
+      setMixerState(buildMixerState(currentCue.stems, startMix));
+      setMasterVolume(startMix?.masterVolume ?? 1);
+      setPlaybackRate(currentCue.tempo?.rate ?? 1);
+
+      // Segued into: the cue is already playing on the active deck
+      if (deckCuesRef.current.get(engine) === currentCue.id && engine.getDuration() > 0) {
+        setDuration(engine.getDuration());
+        setIsLoading(false);
+        setDeckVersion(v => v + 1);
+        return;
+      }
+
+      cancelSegue();
+      setIsPlaying(false);
+      setCurrentTime(0);
+
+      // Standing by: swap decks instead of loading
+      const ready = standbyRef.current;
+      if (ready?.ready && ready.cueId === currentCue.id) {
+        engine.stop();
+        engineRef.current = ready.engine;
+        standbyRef.current = null;
+        setStandby(null);
+        setDuration(ready.engine.getDuration());
+        setCurrentTime(ready.engine.getCurrentTime());
+        setIsLoading(false);
+        setDeckVersion(v => v + 1);
+        return;
+      }
+
+      setIsLoading(true);
+      setDuration(0);
+      setLoadProgress({ done: 0, total: currentCue.stems.length });
+      deckCuesRef.current.set(engine, currentCue.id);
+      try {
+        const loaded = await engine.load(currentCue.stems, {
+          onProgress: (done, total) => {
+            if (loadGeneration.current === gen) setLoadProgress({ done, total });
+          },
+        });
+        if (!loaded || loadGeneration.current !== gen) return;
+        // Offsets decide how long the cue runs, so they go in before the duration is read
+        engine.setStemOffsets(getStemOffsetMap(currentCue.stemOffsets));
+        engine.setTrim(currentCue.trim || null);
+        setDuration(engine.getDuration());
+        setCurrentTime(engine.getCurrentTime());
+        setIsLoading(false);
       } catch (err) {
         if (loadGeneration.current === gen) {
           console.error(err);
@@ -623,36 +3233,194 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
       }
     };
     loadCue();
-    return () => {
-      audioInstances.current.forEach(audio => audio.pause());
-      activeUrlsRef.current.forEach(url => URL.revokeObjectURL(url));
-    };
-  }, [currentCueIndex, currentCue?.id]);
+  }, [currentCueIndex, currentCue?.id, cancelSegue]);
 
   const togglePlay = () => {
-    if (audioInstances.current.size === 0) return;
+    const engine = engineRef.current;
+    if (!engine) return;
     if (isPlaying) {
-      audioInstances.current.forEach(audio => audio.pause());
+      cancelSegue();
+      engine.pause();
+      setCurrentTime(engine.getCurrentTime());
       setIsPlaying(false);
     } else {
-      const promises = [];
-      audioInstances.current.forEach(audio => promises.push(audio.play()));
-      Promise.all(promises).then(() => setIsPlaying(true)).catch(e => {
+      // Entering an A-B loop from outside (or from its start) begins at the pre-roll point
+      const position = engine.getCurrentTime();
+      if (loop?.enabled && (position <= loop.start || position >= loop.end)) {
+        const from = Math.max(0, loop.start - (loop.preRoll || 0));
+        engine.seek(from);
+        setCurrentTime(from);
+      }
+      setLoopCount(0);
+      engine.play().then(() => setIsPlaying(engine.isPlaying())).catch(e => {
         console.error(e); setError("Playback prevented."); setIsPlaying(false);
       });
     }
   };
 
-  const stop = () => {
-    audioInstances.current.forEach(audio => { audio.pause(); audio.currentTime = 0; });
-    setIsPlaying(false);
-    setCurrentTime(0);
+  const stop = () => {
+    cancelSegue();
+    engineRef.current?.stop();
+    setIsPlaying(false);
+    setCurrentTime(engineRef.current?.getCurrentTime() ?? 0);
+    // A practice ramp starts over from the cue's base tempo
+    setPlaybackRate(tempo.rate);
+  };
+
+  // Takes the cue's fade-and-stop time; a pending segue is called off, since this is the end
+  const fadeOutAndStop = () => {
+    const engine = engineRef.current;
+    if (!engine || !isPlaying) return;
+    cancelSegue();
+    engine.fadeOut(fades.stop ?? DEFAULT_FADES.stop);
+    setIsFadingOut(true);
+  };
+
+  const updateTempo = (nextTempo) => {
+    if (!currentCue) return;
+    onUpdateCue(currentCue.id, { tempo: nextTempo });
+    if (nextTempo.rate !== tempo.rate) setPlaybackRate(nextTempo.rate);
+  };
+
+  const seekTo = (time) => {
+    cancelSegue();
+    setCurrentTime(time);
+    engineRef.current?.seek(time);
+    if (isFollowing) setTimelineView(view => followPlayhead(view, duration, time));
+  };
+
+  // --- Timeline ---
+
+  // Buttons and keys zoom around the playhead while it is in view, otherwise around the middle
+  const zoomTimeline = (factor) => {
+    if (!duration) return;
+    const position = (currentTime - range.start) / range.span;
+    setTimelineView(view => zoomView(view, duration, factor, position >= 0 && position <= 1 ? position : 0.5));
+  };
+
+  const scrollTimeline = (start) => setTimelineView(view => clampView({ ...view, start }, duration));
+
+  const updateGrid = (nextGrid) => {
+    if (currentCue) onUpdateCue(currentCue.id, { grid: nextGrid });
+  };
+
+  // --- Lyrics ---
+
+  const updateLyrics = (lines) => {
+    if (currentCue) onUpdateCue(currentCue.id, { lyrics: lines.length > 0 ? { lines } : null });
+  };
+
+  // Stamps the marked line with the playhead and moves the mark to the next line
+  const tapLyric = () => {
+    if (!lyricsEditorOpen || lyricsTapIndex >= lyrics.length) return;
+    const time = engineRef.current?.getCurrentTime() ?? currentTime;
+    updateLyrics(setLineTime(lyrics, lyricsTapIndex, time));
+    setLyricsTapIndex(lyricsTapIndex + 1);
+  };
+
+  // Two fingers on the lanes zoom around the point between them; the lanes only ever see one finger
+  const pinchAnchor = (pointers) => {
+    const rect = timelineTrackRef.current.getBoundingClientRect();
+    const [a, b] = pointers;
+    return {
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+      anchor: Math.max(0, Math.min(1, ((a.x + b.x) / 2 - rect.left) / rect.width)),
+    };
+  };
+
+  const handleLanePointerDown = (e) => {
+    const pinch = pinchRef.current;
+    if (e.pointerType !== 'touch') return;
+    pinch.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pinch.pointers.size === 2 && duration && timelineTrackRef.current) {
+      pinch.gesture = { view: timelineView, ...pinchAnchor([...pinch.pointers.values()]) };
+    }
+    if (pinch.gesture) e.stopPropagation();
+  };
+
+  const handleLanePointerMove = (e) => {
+    const pinch = pinchRef.current;
+    if (!pinch.pointers.has(e.pointerId)) return;
+    pinch.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!pinch.gesture) return;
+    e.stopPropagation();
+    if (pinch.pointers.size < 2) return;
+    const { distance } = pinchAnchor([...pinch.pointers.values()]);
+    setTimelineView(zoomView(pinch.gesture.view, duration, distance / pinch.gesture.distance, pinch.gesture.anchor));
+  };
+
+  const handleLanePointerEnd = (e) => {
+    const pinch = pinchRef.current;
+    if (!pinch.pointers.delete(e.pointerId)) return;
+    if (pinch.gesture) e.stopPropagation();
+    if (pinch.pointers.size === 0) pinch.gesture = null;
+  };
+
+  const updateLoop = (nextLoop) => {
+    if (currentCue) onUpdateCue(currentCue.id, { loop: nextLoop });
+  };
+
+  const setLoopRegion = (start, end) => {
+    if (end - start < 0.1) return;
+    setLoopCount(0);
+    updateLoop({ start, end, enabled: true, preRoll: loop?.preRoll ?? 0 });
+  };
+
+  // --- Trim and alignment ---
+
+  const moveTrim = (edge, time) => {
+    if (!currentCue || !duration) return;
+    const nextTrim = moveTrimPoint(trim, duration, edge, time);
+    onUpdateCue(currentCue.id, { trim: nextTrim });
+    // Stopped, the playhead waits at the in point
+    const engine = engineRef.current;
+    if (engine && !engine.isPlaying()) {
+      engine.setTrim(nextTrim);
+      setCurrentTime(engine.getCurrentTime());
+    }
+  };
+
+  const clearTrim = () => {
+    if (currentCue) onUpdateCue(currentCue.id, { trim: null });
+  };
+
+  const updateFades = (nextFades) => {
+    if (currentCue) onUpdateCue(currentCue.id, { fades: nextFades });
+  };
+
+  const updateStemAutomation = (stemId, points) => {
+    if (currentCue) onUpdateCue(currentCue.id, { automation: setStemAutomation(automation, stemId, points) });
+  };
+
+  // Realigning changes how long the cue runs
+  const updateStemOffset = (stemId, ms) => {
+    if (!currentCue) return;
+    const nextOffsets = setStemOffset(stemOffsets, stemId, ms);
+    onUpdateCue(currentCue.id, { stemOffsets: nextOffsets });
+    const engine = engineRef.current;
+    if (!engine || isLoading) return;
+    engine.setStemOffsets(getStemOffsetMap(nextOffsets));
+    setDuration(engine.getDuration());
+    setTimelineView(view => clampView(view, engine.getDuration()));
+  };
+
+  const loopSectionFromMarker = (marker) => {
+    const next = markers.find(m => m.time > marker.time);
+    setLoopRegion(marker.time, next ? next.time : duration);
+  };
+
+  const updateMarkers = (nextMarkers) => {
+    if (currentCue) onUpdateCue(currentCue.id, { markers: nextMarkers });
+  };
+
+  const addMarkerAtPlayhead = () => {
+    if (!duration) return;
+    const time = engineRef.current?.getCurrentTime() ?? currentTime;
+    updateMarkers(addMarker(markers, time));
   };
 
-  const handleWaveformSeek = (percentage) => {
-    const newTime = percentage * (duration || 0);
-    setCurrentTime(newTime);
-    audioInstances.current.forEach(audio => { audio.currentTime = newTime; });
+  const jumpToMarker = (marker) => {
+    if (marker) seekTo(marker.time);
   };
 
   const handleNext = () => {
@@ -665,15 +3433,136 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
     else if (currentCueIndex > 0) setCurrentCueIndex(prev => prev - 1);
   };
 
+  // Mixer edits are saved with the cue so the balance survives reloads and cue changes
+  const commitMix = (nextMixerState, nextMasterVolume) => {
+    setMixerState(nextMixerState);
+    setMasterVolume(nextMasterVolume);
+    if (currentCue) onUpdateCue(currentCue.id, { mix: serializeMix(nextMixerState, nextMasterVolume) });
+  };
+
   const updateStemState = (stemId, updates) => {
-    setMixerState(prev => ({ ...prev, [stemId]: { ...prev[stemId], ...updates } }));
+    commitMix({ ...mixerState, [stemId]: { ...mixerState[stemId], ...updates } }, masterVolume);
+  };
+
+  const recallScene = (scene) => {
+    mixFadeRef.current = SCENE_FADE_TIME;
+    commitMix(buildMixerState(stems, scene.mix), scene.mix.masterVolume ?? 1);
+  };
+
+  const saveScene = () => {
+    const name = prompt('Scene name:', scenes.length === 0 ? 'Full' : `Scene ${scenes.length + 1}`);
+    if (!name?.trim()) return;
+    const scene = createScene(name.trim(), serializeMix(mixerState, masterVolume));
+    onUpdateCue(currentCue.id, {
+      scenes: [...scenes, scene],
+      defaultSceneId: currentCue.defaultSceneId || scene.id,
+    });
+  };
+
+  const deleteScene = (sceneId) => {
+    onUpdateCue(currentCue.id, {
+      scenes: scenes.filter(sc => sc.id !== sceneId),
+      defaultSceneId: currentCue.defaultSceneId === sceneId ? null : currentCue.defaultSceneId,
+    });
+  };
+
+  const toggleGlobalScene = (sceneId) => {
+    mixFadeRef.current = SCENE_FADE_TIME;
+    onSetActiveGlobalScene(sceneId === activeGlobalSceneId ? null : sceneId);
+  };
+
+  const addGlobalScene = () => {
+    const name = prompt('Global scene name:', 'Audience mix');
+    if (!name?.trim()) return;
+    const patterns = prompt('Mute stems matching (comma-separated, * = wildcard):', 'Guide, Click');
+    if (!patterns?.trim()) return;
+    onUpdateGlobalScenes([...globalScenes, createGlobalScene(name.trim(), patterns.split(','))]);
+  };
+
+  const deleteGlobalScene = (sceneId) => {
+    if (sceneId === activeGlobalSceneId) toggleGlobalScene(sceneId);
+    onUpdateGlobalScenes(globalScenes.filter(sc => sc.id !== sceneId));
+  };
+
+  const renameCue = (cue) => {
+    const name = prompt('Rename song:', cue.name);
+    if (name?.trim() && name.trim() !== cue.name) onUpdateCue(cue.id, { name: name.trim() });
+  };
+
+  const resetMixToUnity = () => {
+    const unity = {};
+    stems.forEach(stem => { unity[stem.id] = { ...UNITY_STEM }; });
+    commitMix(unity, 1);
+  };
+
+  // --- Commands (keyboard shortcuts and MIDI) ---
+
+  const runCommand = ({ action, param, value }) => {
+    const stem = param != null ? stems[param - 1] : null;
+    const position = engineRef.current?.getCurrentTime() ?? currentTime;
+    switch (action) {
+      case 'togglePlay': if (!isLoading) togglePlay(); break;
+      case 'stop': stop(); break;
+      case 'fadeOut': fadeOutAndStop(); break;
+      case 'next': handleNext(); break;
+      case 'prev': handlePrev(); break;
+      case 'goToCue': if (param >= 1 && param <= cues.length) setCurrentCueIndex(param - 1); break;
+      case 'nudge': if (duration) seekTo(Math.max(0, Math.min(duration, position + param))); break;
+      case 'toggleLoop': if (loop) { setLoopCount(0); updateLoop({ ...loop, enabled: !loop.enabled }); } break;
+      case 'addMarker': addMarkerAtPlayhead(); break;
+      case 'prevMarker': jumpToMarker(findPrevMarker(markers, position)); break;
+      case 'nextMarker': jumpToMarker(findNextMarker(markers, position)); break;
+      case 'zoomIn': zoomTimeline(ZOOM_STEP); break;
+      case 'zoomOut': zoomTimeline(1 / ZOOM_STEP); break;
+      case 'toggleFollow': setIsFollowing(!isFollowing); break;
+      case 'tapLyric': tapLyric(); break;
+      case 'masterVolume': commitMix(mixerState, value); break;
+      case 'stemVolume': if (stem) updateStemState(stem.id, { volume: faderToGain(value) }); break;
+      case 'stemMute': if (stem) updateStemState(stem.id, { muted: !mixerState[stem.id]?.muted }); break;
+      case 'stemSolo': if (stem) updateStemState(stem.id, { soloed: !mixerState[stem.id]?.soloed }); break;
+      default: break;
+    }
+  };
+
+  // Keys and MIDI arrive outside React; the handlers are swapped after each render so they see current state
+  useEffect(() => {
+    runCommandRef.current = runCommand;
+    midiMessageRef.current = (data) => {
+      const message = parseMidiMessage(data);
+      if (!message) return;
+      if (midiPanelOpen) setLastMidiMessage(message);
+      if (midiLearningId) {
+        const trigger = learnMidiTrigger(message);
+        if (!trigger) return;
+        onUpdateMidiMappings(midiMappings.map(m => m.id === midiLearningId ? { ...m, trigger } : m));
+        setMidiLearningId(null);
+        return;
+      }
+      resolveMidiMessage(midiMappings, message).forEach(runCommand);
+    };
+  });
+
+  const addMidiMapping = (action, param) => {
+    const mapping = createMidiMapping(action, param);
+    onUpdateMidiMappings([...midiMappings, mapping]);
+    setMidiLearningId(mapping.id);
+  };
+
+  const deleteMidiMapping = (mappingId) => {
+    if (midiLearningId === mappingId) setMidiLearningId(null);
+    onUpdateMidiMappings(midiMappings.filter(m => m.id !== mappingId));
+  };
+
+  const updateRoutingRules = (rules) => onUpdateRouting({ ...routing, rules });
+
+  const addRoutingRule = () => {
+    const pattern = prompt('Route stems matching (* = wildcard):', 'Click');
+    if (!pattern?.trim()) return;
+    updateRoutingRules([...routing.rules, createRoutingRule(pattern.trim(), Math.min(1, MAX_PAIRS - 1))]);
   };
 
-  const formatTime = (time) => {
-    if (isNaN(time)) return "0:00";
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  const rebindShortcut = (actionId, key) => {
+    onUpdateShortcuts(getShortcutOverrides({ ...shortcutMap, [actionId]: key }));
   };
 
   return (
@@ -693,9 +3582,66 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
                 <h1 className="font-bold text-lg leading-none hidden md:block">encore!</h1>
                 <span className={`text-[10px] ${THEME.accentText} font-bold tracking-widest hidden md:block`}>PLAYER</span>
             </div>
+            {showName && (
+                <div className="min-w-0 md:pl-3 md:ml-1 md:border-l border-zinc-700">
+                    <div className="text-sm font-medium leading-tight truncate">{showName}</div>
+                    <div className={`text-[10px] ${THEME.textMuted} leading-tight truncate`}>{setlistName}</div>
+                </div>
+            )}
         </div>
 
         <div className="flex items-center gap-2 md:gap-4">
+            <button
+                onClick={() => setShortcutPanelOpen(true)}
+                className="p-1.5 rounded-lg border border-transparent text-zinc-500 hover:text-zinc-300 transition-colors"
+                title="Keyboard shortcuts"
+            >
+                <Settings size={18} />
+            </button>
+            <button
+                onClick={() => setMixdownOpen(true)}
+                disabled={!currentCue || isLoading}
+                className="p-1.5 rounded-lg border border-transparent text-zinc-500 hover:text-zinc-300 transition-colors disabled:opacity-30"
+                title="Render a mixdown to WAV"
+            >
+                <FileAudio size={18} />
+            </button>
+            <button
+                onClick={openStageWindow}
+                className="p-1.5 rounded-lg border border-transparent text-zinc-500 hover:text-zinc-300 transition-colors"
+                title="Open the stage view in a new window"
+            >
+                <Presentation size={18} />
+            </button>
+            <button
+                onClick={() => setLyricsEditorOpen(!lyricsEditorOpen)}
+                disabled={!currentCue}
+                className={`p-1.5 rounded-lg border transition-colors disabled:opacity-30 ${lyricsEditorOpen || lyrics.length > 0 ? 'bg-orange-500/15 border-orange-500/30 text-orange-400' : 'border-transparent text-zinc-500 hover:text-zinc-300'}`}
+                title="Lyrics"
+            >
+                <MicVocal size={18} />
+            </button>
+            <button
+                onClick={() => setRoutingPanelOpen(true)}
+                className={`p-1.5 rounded-lg border transition-colors ${routing.rules.length > 0 ? 'bg-orange-500/15 border-orange-500/30 text-orange-400' : 'border-transparent text-zinc-500 hover:text-zinc-300'}`}
+                title="Output routing"
+            >
+                <Cable size={18} />
+            </button>
+            <button
+                onClick={() => setMidiPanelOpen(true)}
+                className={`p-1.5 rounded-lg border transition-colors ${midiMappings.length > 0 ? 'bg-orange-500/15 border-orange-500/30 text-orange-400' : 'border-transparent text-zinc-500 hover:text-zinc-300'}`}
+                title="MIDI control"
+            >
+                <KeyboardMusic size={18} />
+            </button>
+            <button
+                onClick={onToggleShowMode}
+                className={`p-1.5 rounded-lg border transition-colors ${showMode ? 'bg-orange-500/15 border-orange-500/30 text-orange-400' : 'border-transparent text-zinc-500 hover:text-zinc-300'}`}
+                title="Show mode: cues open in their default scene"
+            >
+                <Theater size={18} />
+            </button>
             <button
                 onClick={() => setRepeatTrack(!repeatTrack)}
                 className={`p-1.5 rounded-lg border transition-colors ${repeatTrack ? 'bg-orange-500/15 border-orange-500/30 text-orange-400' : 'border-transparent text-zinc-500 hover:text-zinc-300'}`}
@@ -720,6 +3666,9 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
           transform transition-transform duration-200 ease-out
           ${sidebarOpen ? 'translate-x-0' : '-translate-x-full'} md:translate-x-0
         `}>
+            {sidebarHeader && (
+                <div className={`p-3 border-b ${THEME.header.split('border-')[1] || 'border-transparent'}`}>{sidebarHeader}</div>
+            )}
             <div className={`p-3 md:p-4 border-b ${THEME.header.split('border-')[1] || 'border-transparent'} text-xs font-bold ${THEME.textMuted} uppercase tracking-wider flex items-center justify-between`}>
                 <span className="flex items-center gap-2"><List size={14} /> Songs ({cues.length})</span>
                 <button onClick={() => setSidebarOpen(false)} className="md:hidden p-1 rounded hover:bg-white/10 text-zinc-400">
@@ -739,10 +3688,6 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
                           const reordered = [...cues];
                           const [moved] = reordered.splice(dragItem.current, 1);
                           reordered.splice(dragOverItem.current, 0, moved);
-                          // Update currentCueIndex to follow the active cue
-                          const activeCueId = currentCue?.id;
-                          const newIdx = reordered.findIndex(c => c.id === activeCueId);
-                          if (newIdx >= 0) setCurrentCueIndex(newIdx);
                           onReorderCues(reordered);
                           dragItem.current = null;
                           dragOverItem.current = null;
@@ -755,11 +3700,25 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
                         </div>
                         <div className={`text-sm font-mono w-5 text-right ${currentCueIndex === idx ? THEME.accentText : THEME.textMuted}`}>{idx + 1}</div>
                         <div className="flex-1 min-w-0">
-                            <div className={`text-sm font-medium truncate ${currentCueIndex === idx ? THEME.accentText : THEME.textSec}`}>{cue.name}</div>
-                            {currentCueIndex === idx && isPlaying && <span className={`text-[10px] ${THEME.accentText} flex items-center gap-1 mt-1`}><div className={`w-1 h-1 ${THEME.accentText.replace('text-', 'bg-')} rounded-full`}/> Playing</span>}
+                            <div
+                                onDoubleClick={(e) => { e.stopPropagation(); renameCue(cue); }}
+                                className={`text-sm font-medium truncate ${currentCueIndex === idx ? THEME.accentText : THEME.textSec}`}
+                                title="Double-click to rename"
+                            >
+                                {cue.name}
+                            </div>
+                            <div className="flex items-center gap-2 mt-1 text-[10px]">
+                                {currentCueIndex === idx && isPlaying && <span className={`${THEME.accentText} flex items-center gap-1`}><div className={`w-1 h-1 ${THEME.accentText.replace('text-', 'bg-')} rounded-full`}/> Playing</span>}
+                                {standby?.cueId === cue.id && currentCueIndex !== idx && (
+                                    <span className={`text-emerald-400 ${standby.ready ? '' : 'animate-pulse'}`}>{standby.ready ? 'Standing by' : 'Loading...'}</span>
+                                )}
+                                <span className={`flex items-center gap-1 truncate ${followsOn(cue.follow) ? THEME.textSec : 'text-zinc-600'}`} title="Follow action">
+                                    <ArrowRightLeft size={9} className="shrink-0" /> {describeFollow(cue.follow)}
+                                </span>
+                            </div>
                         </div>
                         <button
-                            onClick={(e) => { e.stopPropagation(); onRemoveCue(cue.id); if (currentCueIndex >= cues.length - 1 && currentCueIndex > 0) setCurrentCueIndex(prev => prev - 1); }}
+                            onClick={(e) => { e.stopPropagation(); onRemoveCue(cue.id); }}
                             className="p-1.5 rounded hover:bg-red-500/20 text-zinc-600 hover:text-red-400 transition-all shrink-0"
                             title="Remove cue"
                         >
@@ -770,12 +3729,32 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
             </div>
             {/* Sidebar actions */}
             <div className={`p-3 border-t ${THEME.header.split('border-')[1] || 'border-transparent'} space-y-2`}>
+                {peakProgress && (
+                    <div className={`flex items-center gap-1.5 text-[10px] ${THEME.textSec} animate-pulse`}>
+                        <Activity size={10} /> Analyzing waveforms {peakProgress.done + 1}/{peakProgress.total}
+                    </div>
+                )}
                 <button
                     onClick={() => addFolderInputRef.current?.click()}
                     className={`w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-medium ${THEME.buttonSec} transition-colors`}
                 >
                     <Plus size={14} /> Import Folder
                 </button>
+                {onLinkFolder && (
+                    <button
+                        onClick={onLinkFolder}
+                        className={`w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-medium ${THEME.buttonSec} transition-colors`}
+                        title="Play the files from disk instead of copying them into the browser"
+                    >
+                        <Link2 size={14} /> Link Folder
+                    </button>
+                )}
+                <button
+                    onClick={onAddSongs}
+                    className={`w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-medium ${THEME.buttonSec} transition-colors`}
+                >
+                    <ListMusic size={14} /> Add Songs from Show
+                </button>
                 <button
                     onClick={onClearAll}
                     className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-medium text-red-400 hover:bg-red-500/10 transition-colors"
@@ -802,44 +3781,189 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
             <div className={`px-3 md:px-4 py-2 md:py-4 border-b ${THEME.header.split('border-')[1]} bg-black/10 flex items-center justify-between z-20 gap-2`}>
                 <div className="min-w-0 flex-1">
                     <h2 className="text-base md:text-xl font-bold leading-tight truncate">{currentCue?.name || "No Song"}</h2>
-                    {isLoading && <span className={`${THEME.accentText} text-[10px] md:text-xs animate-pulse`}>Syncing & Generating Waveforms...</span>}
+                    {isLoading && (
+                        <div className="flex items-center gap-2">
+                            <span className={`${THEME.accentText} text-[10px] md:text-xs animate-pulse`}>
+                                Loading stems{loadProgress ? ` ${loadProgress.done}/${loadProgress.total}` : '...'}
+                            </span>
+                            {loadProgress?.total > 0 && (
+                                <div className="w-20 h-1 rounded-full bg-white/10 overflow-hidden">
+                                    <div className="h-full bg-orange-500 transition-all" style={{ width: `${(loadProgress.done / loadProgress.total) * 100}%` }} />
+                                </div>
+                            )}
+                        </div>
+                    )}
                     {error && <span className="text-red-400 text-[10px] md:text-xs">{error}</span>}
+                    {loop && !isLoading && (
+                        <LoopControls
+                            loop={loop}
+                            loopCount={loopCount}
+                            onToggle={() => { setLoopCount(0); updateLoop({ ...loop, enabled: !loop.enabled }); }}
+                            onPreRollChange={(preRoll) => updateLoop({ ...loop, preRoll })}
+                            onClear={() => updateLoop(null)}
+                        />
+                    )}
+                    {currentCue && !isLoading && (
+                        <FollowControl
+                            follow={follow}
+                            nextCueName={nextCue?.name}
+                            segueing={seguePhase === 'scheduled'}
+                            onChange={(nextFollow) => onUpdateCue(currentCue.id, { follow: nextFollow })}
+                        />
+                    )}
                 </div>
+                {stems.length > 0 && (
+                    <button
+                        onClick={resetMixToUnity}
+                        disabled={isUnityMix(serializeMix(mixerState, masterVolume))}
+                        className="p-1.5 rounded-lg text-zinc-500 hover:text-zinc-300 hover:bg-white/10 transition-colors shrink-0 disabled:opacity-30 disabled:pointer-events-none"
+                        title="Reset mix to unity"
+                    >
+                        <RotateCcw size={16} />
+                    </button>
+                )}
                 <div className="text-right shrink-0">
-                    <div className="text-lg md:text-2xl font-mono font-light">{formatTime(currentTime)} <span className={`${THEME.textMuted} text-sm md:text-lg`}>/ {formatTime(duration)}</span></div>
+                    <div className="text-lg md:text-2xl font-mono font-light">{formatTime(currentTime / playbackRate)} <span className={`${THEME.textMuted} text-sm md:text-lg`}>/ {formatTime(duration / playbackRate)}</span></div>
                 </div>
             </div>
 
+            {lyrics.some(line => line.time != null) && (
+                <LyricsBar lines={lyrics} currentIndex={currentLyricIndex} onSeek={seekTo} />
+            )}
+
+            {stems.length > 0 && (
+                <SceneBar
+                    scenes={scenes}
+                    defaultSceneId={currentCue.defaultSceneId}
+                    globalScenes={globalScenes}
+                    activeGlobalSceneId={activeGlobalSceneId}
+                    onRecall={recallScene}
+                    onSave={saveScene}
+                    onDelete={deleteScene}
+                    onSetDefault={(sceneId) => onUpdateCue(currentCue.id, { defaultSceneId: sceneId })}
+                    onToggleGlobal={toggleGlobalScene}
+                    onAddGlobal={addGlobalScene}
+                    onDeleteGlobal={deleteGlobalScene}
+                />
+            )}
+
             {/* DAW Lane Area */}
-            <div className="flex-1 overflow-y-auto custom-scrollbar p-2 md:p-4 space-y-1.5 md:space-y-2 relative">
+            <div className="flex-1 flex min-h-0 relative">
+            <div
+                ref={laneAreaRef}
+                className="flex-1 min-w-0 overflow-y-auto custom-scrollbar p-2 md:p-4 space-y-1.5 md:space-y-2 relative"
+                onPointerDownCapture={handleLanePointerDown}
+                onPointerMoveCapture={handleLanePointerMove}
+                onPointerUpCapture={handleLanePointerEnd}
+                onPointerCancelCapture={handleLanePointerEnd}
+            >
+                {stems.length > 0 && (
+                    <div className={`sticky -top-2 md:-top-4 z-30 ${THEME.bg} -mt-2 md:-mt-4 pt-2 md:pt-4`}>
+                        <TimeRuler
+                            view={timelineView}
+                            range={range}
+                            duration={duration}
+                            currentTime={currentTime}
+                            grid={grid}
+                            isFollowing={isFollowing}
+                            trackRef={timelineTrackRef}
+                            onZoom={zoomTimeline}
+                            onScroll={scrollTimeline}
+                            onToggleFollow={() => setIsFollowing(!isFollowing)}
+                            onUpdateGrid={updateGrid}
+                        />
+                        <MarkerRuler
+                            markers={markers}
+                            duration={duration}
+                            range={range}
+                            currentTime={currentTime}
+                            onAdd={addMarkerAtPlayhead}
+                            onMove={(markerId, time) => updateMarkers(updateMarker(markers, markerId, { time }))}
+                            onRename={(markerId, name) => updateMarkers(updateMarker(markers, markerId, { name }))}
+                            onDelete={(markerId) => updateMarkers(removeMarker(markers, markerId))}
+                            onJump={jumpToMarker}
+                            onLoopSection={loopSectionFromMarker}
+                        />
+                        <TrimRuler
+                            trim={trim}
+                            fades={fades}
+                            duration={duration}
+                            range={range}
+                            onMove={moveTrim}
+                            onClear={clearTrim}
+                            onUpdateFades={updateFades}
+                        />
+                    </div>
+                )}
                 {stems.length > 0 ? stems.map((stem) => (
                     <StemLane
                         key={stem.id}
                         stem={stem}
-                        volume={mixerState[stem.id]?.volume || 1}
-                        muted={mixerState[stem.id]?.muted || false}
+                        volume={mixerState[stem.id]?.volume ?? 1}
+                        muted={effectiveMixerState[stem.id]?.muted || false}
                         soloed={mixerState[stem.id]?.soloed || false}
                         isAnySolo={Object.values(mixerState).some(s => s.soloed)}
+                        sceneMuted={sceneMutes.has(stem.id)}
+                        channel={mixerState[stem.id] || UNITY_STEM}
                         onVolumeChange={(v) => updateStemState(stem.id, { volume: v })}
+                        onChannelChange={(updates) => updateStemState(stem.id, updates)}
+                        offset={stemOffsets?.[stem.id] || 0}
+                        onOffsetChange={(ms) => updateStemOffset(stem.id, ms)}
+                        automation={automation?.[stem.id]}
+                        onAutomationChange={(points) => updateStemAutomation(stem.id, points)}
+                        getLevel={() => {
+                            const level = engineRef.current?.getStemLevel(stem.id);
+                            return level ? [level] : [];
+                        }}
+                        metering={isPlaying}
                         onMuteToggle={() => updateStemState(stem.id, { muted: !mixerState[stem.id]?.muted })}
                         onSoloToggle={() => updateStemState(stem.id, { soloed: !mixerState[stem.id]?.soloed })}
-                        onSeek={handleWaveformSeek}
-                        playheadPosition={(currentTime / (duration || 1)) * 100}
+                        onSeek={seekTo}
+                        range={range}
+                        playheadPosition={timeToPercent(range, currentTime)}
+                        markerPositions={markerPositions}
+                        loopRegion={loopRegion}
+                        trimRegion={trimRegion}
+                        onSelectRegion={setLoopRegion}
                     />
                 )) : (
                     <div className={`text-center ${THEME.textMuted} py-20`}><Sliders size={48} className="mx-auto mb-4 opacity-20" /><p>No audio stems loaded</p></div>
                 )}
             </div>
+            {lyricsEditorOpen && currentCue && (
+                <LyricsEditor
+                    key={currentCue.id}
+                    cueName={currentCue.name}
+                    lines={lyrics}
+                    currentIndex={currentLyricIndex}
+                    tapIndex={lyricsTapIndex}
+                    currentTime={currentTime}
+                    onChange={updateLyrics}
+                    onArm={setLyricsTapIndex}
+                    onTap={tapLyric}
+                    onSeek={seekTo}
+                    onClose={() => setLyricsEditorOpen(false)}
+                />
+            )}
+            </div>
 
             {/* Transport Bar */}
             <div className={`${THEME.header} px-3 py-2 md:p-4 pb-[max(0.5rem,env(safe-area-inset-bottom))] z-30 shadow-2xl border-t shrink-0`}>
                 <div className="max-w-4xl mx-auto flex items-center gap-3 md:gap-6">
                     {/* Master Vol */}
-                    <div className="hidden md:flex items-center gap-3 w-32 group">
-                        <button onClick={() => setIsMasterMuted(!isMasterMuted)} className={`${THEME.textSec} hover:text-white`}>
-                            {isMasterMuted || masterVolume === 0 ? <VolumeX size={20} /> : <Volume2 size={20} />}
-                        </button>
-                        <input type="range" min="0" max="1" step="0.05" value={masterVolume} onChange={(e) => setMasterVolume(parseFloat(e.target.value))} className="w-full h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full"/>
+                    <div className="hidden md:flex flex-col gap-1.5 w-32">
+                        <div className="flex items-center gap-3 group">
+                            <button onClick={() => setIsMasterMuted(!isMasterMuted)} className={`${THEME.textSec} hover:text-white`}>
+                                {isMasterMuted || masterVolume === 0 ? <VolumeX size={20} /> : <Volume2 size={20} />}
+                            </button>
+                            <input type="range" min="0" max="1" step="0.05" value={masterVolume} onChange={(e) => commitMix(mixerState, parseFloat(e.target.value))} className="w-full h-1 bg-black/40 rounded-lg appearance-none cursor-pointer [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-3 [&::-webkit-slider-thumb]:h-3 [&::-webkit-slider-thumb]:bg-orange-500 [&::-webkit-slider-thumb]:rounded-full"/>
+                        </div>
+                        <LevelMeter
+                            getLevels={() => engineRef.current?.getOutputLevels()}
+                            active={isPlaying}
+                            channels={2}
+                            className="h-1.5 ml-8"
+                        />
                     </div>
 
                     {/* Controls */}
@@ -849,84 +3973,802 @@ const PlayerScreen = ({ cues, onBack, onRemoveCue, onClearAll, onAddFolder, onRe
                             {isPlaying ? <Pause size={24} fill="currentColor"/> : <Play size={28} fill="currentColor" className="ml-0.5"/>}
                         </button>
                         <Button variant="danger" onClick={stop} className="w-9 h-9 md:w-10 md:h-10 rounded-full"><Square size={12} fill="currentColor"/></Button>
+                        <Button
+                            variant="secondary"
+                            onClick={fadeOutAndStop}
+                            disabled={!isPlaying || isFadingOut}
+                            className={`w-9 h-9 md:w-10 md:h-10 rounded-full ${isPlaying && isFadingOut ? 'text-orange-300 animate-pulse' : ''}`}
+                            title={`Fade out over ${fades.stop ?? DEFAULT_FADES.stop}s and stop`}
+                        >
+                            <TrendingDown size={16}/>
+                        </Button>
                         <Button variant="secondary" onClick={handleNext} className="w-9 h-9 md:w-10 md:h-10 rounded-full"><SkipForward size={16}/></Button>
                     </div>
 
-                    <div className="hidden md:block w-32"></div>
+                    <div className="md:w-32 flex justify-end">
+                        <TempoControl tempo={tempo} playbackRate={playbackRate} isStretching={isStretching} onChange={updateTempo} />
+                    </div>
                 </div>
             </div>
         </div>
       </div>
+
+      {midiPanelOpen && (
+        <MidiPanel
+          mappings={midiMappings}
+          inputs={midiInputs}
+          midiError={midiError}
+          lastMessage={lastMidiMessage}
+          learningId={midiLearningId}
+          cueCount={cues.length}
+          stemCount={stems.length}
+          onAdd={addMidiMapping}
+          onLearn={setMidiLearningId}
+          onDelete={deleteMidiMapping}
+          onClose={() => { setMidiPanelOpen(false); setMidiLearningId(null); }}
+        />
+      )}
+      {routingPanelOpen && (
+        <RoutingPanel
+          routing={routing}
+          stems={stems}
+          outputChannels={outputChannels}
+          deviceSelectable={canSelectOutputDevice(contextRef.current)}
+          outputError={outputError}
+          onSelectDevice={(deviceId) => onUpdateRouting({ ...routing, deviceId })}
+          onRouteStem={(stemName, pair) => onUpdateRouting(routeStem(routing, stemName, pair))}
+          onUpdateRules={updateRoutingRules}
+          onAddRule={addRoutingRule}
+          onClose={() => setRoutingPanelOpen(false)}
+        />
+      )}
+      {onApplyUpdate && !isPlaying && <UpdatePrompt onApply={onApplyUpdate} />}
+      {mixdownOpen && currentCue && (
+        <MixdownDialog
+          cue={currentCue}
+          cues={cues}
+          mixerState={effectiveMixerState}
+          masterVolume={masterVolume}
+          loop={loop}
+          duration={duration}
+          globalScenes={globalScenes}
+          activeGlobalSceneId={activeGlobalSceneId}
+          onClose={() => setMixdownOpen(false)}
+        />
+      )}
+      {shortcutPanelOpen && (
+        <ShortcutPanel
+          shortcutMap={shortcutMap}
+          onRebind={rebindShortcut}
+          onReset={() => onUpdateShortcuts({})}
+          onClose={() => setShortcutPanelOpen(false)}
+        />
+      )}
     </div>
   );
 };
 
+/**
+ * Reads the stems of linked songs from their folders. Returns the cues with
+ * their files filled in and the problems found, or null when there are none:
+ * { folders, blocked: folders we may not read yet, report: [{ folderId, cueId,
+ * cueName, stems: [{ stemId, name, status, file }] }] } listing changed and
+ * missing files.
+ */
+const readLinkedFiles = async (cues) => {
+  const linked = cues.filter(cue => cue.folderId);
+  if (linked.length === 0) return { cues, linkIssues: null };
+  const folders = await loadLinkedFoldersFromDB([...new Set(linked.map(cue => cue.folderId))]);
+  const blocked = [];
+  const report = [];
+  const results = new Map(); // stemId -> { file, status }, per cue
+  for (const folder of folders) {
+    if (!(await hasReadPermission(folder.handle))) {
+      blocked.push(folder);
+      continue;
+    }
+    for (const cue of linked.filter(c => c.folderId === folder.id)) {
+      const stems = cue.stems.filter(stem => stem.link);
+      const resolved = await resolveLinkedStems(folder.handle, stems);
+      results.set(cue.id, new Map(resolved.map(r => [r.stemId, r])));
+      const problems = resolved.filter(r => r.status !== 'ok');
+      if (problems.length > 0) {
+        report.push({
+          folderId: folder.id,
+          cueId: cue.id,
+          cueName: cue.name,
+          stems: problems.map(r => ({ ...r, name: stems.find(stem => stem.id === r.stemId).name })),
+        });
+      }
+    }
+  }
+  // Changed files play as they are now; their old waveforms are drawn again
+  const nextCues = cues.map(cue => {
+    const byStem = results.get(cue.id);
+    if (!byStem) return cue;
+    return {
+      ...cue,
+      stems: cue.stems.map(stem => {
+        const found = byStem.get(stem.id);
+        if (!found) return stem;
+        return { ...stem, file: found.file, ...(found.status === 'updated' && { peaks: null }) };
+      }),
+    };
+  });
+  return { cues: nextCues, linkIssues: blocked.length > 0 || report.length > 0 ? { folders, blocked, report } : null };
+};
+
+// Loads a show's songs and resolves which of its setlists to open
+const readShow = async (show, setlistId) => {
+  const { cues: library, linkIssues } = await readLinkedFiles(await loadCuesFromDB(show.id));
+  const setlist = show.setlists.find(sl => sl.id === setlistId) || show.setlists[0];
+  return { library, setlistId: setlist?.id || null, linkIssues };
+};
+
 export default function App() {
-  const [cues, setCues] = useState([]);
+  const [shows, setShows] = useState([]);
+  const [activeShowId, setActiveShowId] = useState(null);
+  const [activeSetlistId, setActiveSetlistId] = useState(null);
+  const [library, setLibrary] = useState([]); // every song of the active show
   const [view, setView] = useState('player');
   const [loading, setLoading] = useState(false);
   const [dbLoaded, setDbLoaded] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [addingSongs, setAddingSongs] = useState(false);
+  const [pendingBundle, setPendingBundle] = useState(null);
+  const pendingCueUpdates = useRef({});
+  const [globalScenes, setGlobalScenes] = useState([]);
+  const [activeGlobalSceneId, setActiveGlobalSceneId] = useState(null);
+  const [showMode, setShowMode] = useState(false);
+  const [midiMappings, setMidiMappings] = useState([]);
+  const [shortcuts, setShortcuts] = useState({}); // overrides of the default keys
+  const [waitingWorker, setWaitingWorker] = useState(null); // a new version, installed and waiting
+  const [storagePersisted, setStoragePersisted] = useState(null);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [storagePanelOpen, setStoragePanelOpen] = useState(false);
+  const [linkIssues, setLinkIssues] = useState(null); // see readLinkedFiles
+  const [linkVersion, setLinkVersion] = useState(0); // bumped when linked files are read again
+  const [history, setHistory] = useState(EMPTY_HISTORY); // see history.js; cleared when another show opens
+  const [toast, setToast] = useState(null); // { message, action: 'undo' | 'redo' }
+  const [mixRevision, setMixRevision] = useState(0); // bumped when undo or redo changes a saved mix
+  const [trashOpen, setTrashOpen] = useState(false);
+  const historyKeysRef = useRef(null);
+
+  const activeShow = shows.find(show => show.id === activeShowId) || null;
+  const activeSetlist = activeShow?.setlists.find(sl => sl.id === activeSetlistId) || activeShow?.setlists[0] || null;
 
-  // Load saved cues from IndexedDB on mount
+  // The running order of the active setlist, resolved against the show's songs
+  const cues = useMemo(() => {
+    const byId = new Map(library.map(cue => [cue.id, cue]));
+    return (activeSetlist?.cueIds || []).map(id => byId.get(id)).filter(Boolean);
+  }, [library, activeSetlist]);
+
+  useEffect(() => registerServiceWorker(setWaitingWorker), []);
+
+  // Load shows and the last active show from IndexedDB on mount
   useEffect(() => {
-    loadCuesFromDB()
-      .then(saved => {
-        if (saved.length > 0) setCues(saved);
-        else setView('setup');
-        setDbLoaded(true);
+    const loadShows = async () => {
+      let savedShows = await loadShowsFromDB();
+      if (savedShows.length === 0) {
+        const show = createShow(DEFAULT_SHOW_NAME);
+        await saveShowToDB(show);
+        savedShows = [show];
+      }
+      const [showId, setlistId] = await Promise.all([
+        loadSettingFromDB('activeShowId'),
+        loadSettingFromDB('activeSetlistId'),
+      ]);
+      const show = savedShows.find(s => s.id === showId) || savedShows[0];
+      const opened = await readShow(show, setlistId);
+      setShows(savedShows);
+      setActiveShowId(show.id);
+      setActiveSetlistId(opened.setlistId);
+      setLibrary(opened.library);
+      setLinkIssues(opened.linkIssues);
+      if (opened.library.length === 0) setView('setup');
+      else requestPersistentStorage().then(setStoragePersisted);
+      estimateStorage().then(setStorageEstimate);
+      // Songs saved by earlier versions carry their audio inline; move it over in the background
+      migrateStemBlobs().catch(err => console.warn('Storage migration failed:', err));
+      emptyTrashInDB({ before: Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000 })
+        .catch(err => console.warn('Emptying the trash failed:', err));
+    };
+    loadShows()
+      .catch(err => {
+        console.warn('Failed to load from DB:', err);
+        if (err.name === 'BlockedError') alert(err.message);
+        setView('setup');
       })
-      .catch(err => { console.warn('Failed to load from DB:', err); setView('setup'); setDbLoaded(true); });
+      .finally(() => setDbLoaded(true));
+
+    Promise.all([
+      loadSettingFromDB('globalScenes', []),
+      loadSettingFromDB('activeGlobalSceneId'),
+      loadSettingFromDB('showMode', false),
+      loadSettingFromDB('midiMappings', []),
+      loadSettingFromDB('shortcuts', {}),
+    ])
+      .then(([scenes, activeId, savedShowMode, savedMidiMappings, savedShortcuts]) => {
+        setGlobalScenes(scenes);
+        setActiveGlobalSceneId(activeId);
+        setShowMode(savedShowMode);
+        setMidiMappings(savedMidiMappings);
+        setShortcuts(savedShortcuts);
+      })
+      .catch(err => console.warn('Failed to load settings:', err));
   }, []);
 
-  const processFolder = (e) => {
-    const files = Array.from(e.target.files);
-    const audioFiles = files.filter(f => f.type.startsWith('audio/'));
-    if (audioFiles.length === 0) { alert("No audio files found."); return null; }
+  // --- Waveform analysis ---
 
-    const folderName = prompt('Name this folder:', 'My Show');
-    if (!folderName) { setLoading(false); return null; }
+  // Stems without cached peaks (fresh imports, songs saved before peaks were kept)
+  // are analyzed one at a time; the effect checks again whenever a run finishes, for
+  // songs that arrived meanwhile
+  const analyzingPeaks = useRef(false);
+  const failedPeaks = useRef(new Set());
+  const [peakProgress, setPeakProgress] = useState(null); // { done, total } while analyzing
+  const [peakRuns, setPeakRuns] = useState(0); // bumped when a run finishes
 
-    const rawFiles = audioFiles.map((file, index) => ({
-      id: `local-${index}-${file.name}`, name: file.name, file: file
-    }));
-    return organizeFilesIntoCue(rawFiles, folderName);
+  useEffect(() => {
+    if (analyzingPeaks.current) return;
+    const pending = library.flatMap(cue => cue.stems
+      .filter(stem => stem.file && !stem.peaks && !failedPeaks.current.has(`${cue.id}:${stem.id}`))
+      .map(stem => ({ cueId: cue.id, stem })));
+    if (pending.length === 0) return;
+
+    const analyze = async () => {
+      for (const [index, { cueId, stem }] of pending.entries()) {
+        setPeakProgress({ done: index, total: pending.length });
+        try {
+          const peaks = await computePeaks(await decodeForPeaks(stem.file));
+          setLibrary(prev => prev.map(cue => cue.id === cueId
+            ? { ...cue, stems: cue.stems.map(s => s.id === stem.id ? { ...s, peaks } : s) }
+            : cue));
+          await saveStemPeaksToDB(cueId, stem.id, peaks);
+        } catch (err) {
+          console.warn(`Waveform analysis failed for "${stem.name}":`, err);
+          failedPeaks.current.add(`${cueId}:${stem.id}`);
+        }
+      }
+    };
+    analyzingPeaks.current = true;
+    analyze().finally(() => {
+      analyzingPeaks.current = false;
+      setPeakProgress(null);
+      setPeakRuns(runs => runs + 1);
+    });
+  }, [library, peakRuns]);
+
+  const updateSetting = (key, value, setter) => {
+    setter(value);
+    saveSettingToDB(key, value).catch(err => console.warn('Settings save failed:', err));
   };
 
-  const handleLocalConnect = (e) => {
+  const persistShow = (show) => {
+    setShows(prev => prev.map(s => s.id === show.id ? show : s));
+    saveShowToDB(show).catch(err => console.warn('DB save failed:', err));
+  };
+
+  const selectSetlist = (setlistId) => updateSetting('activeSetlistId', setlistId, setActiveSetlistId);
+
+  // --- Shows & setlists ---
+
+  const openShow = async (show, setlistId) => {
     setLoading(true);
-    const newCue = processFolder(e);
-    if (!newCue) { setLoading(false); return; }
-    setCues(prev => {
-      const merged = [...prev, newCue];
-      saveCuesToDB(merged).catch(err => console.warn('DB save failed:', err));
-      return merged;
-    });
-    setView('player');
-    setLoading(false);
+    try {
+      const opened = await readShow(show, setlistId);
+      if (show.id !== activeShowId) {
+        setHistory(EMPTY_HISTORY);
+        setToast(null);
+      }
+      setLibrary(opened.library);
+      setLinkIssues(opened.linkIssues);
+      updateSetting('activeShowId', show.id, setActiveShowId);
+      selectSetlist(opened.setlistId);
+      setView(opened.library.length > 0 ? 'player' : 'setup');
+    } catch (err) {
+      console.warn('Failed to open show:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSwitchShow = (showId) => {
+    const show = shows.find(s => s.id === showId);
+    if (show) openShow(show);
+  };
+
+  const handleCreateShow = () => {
+    const name = prompt('Name the new show:', 'New Show');
+    if (!name?.trim()) return;
+    const show = createShow(name.trim(), [], shows.length);
+    setShows(prev => [...prev, show]);
+    saveShowToDB(show)
+      .then(() => openShow(show))
+      .catch(err => console.warn('DB save failed:', err));
+  };
+
+  const handleRenameShow = () => {
+    const name = prompt('Rename show:', activeShow.name);
+    if (name?.trim()) editShow('Rename show', { ...activeShow, name: name.trim() });
+  };
+
+  const handleDeleteShow = async () => {
+    if (!confirm(`Delete the show "${activeShow.name}" and all of its songs?`)) return;
+    let remaining = shows.filter(s => s.id !== activeShow.id);
+    try {
+      await removeShowFromDB(activeShow.id);
+      refreshStorageEstimate();
+      if (remaining.length === 0) {
+        const show = createShow(DEFAULT_SHOW_NAME);
+        await saveShowToDB(show);
+        remaining = [show];
+      }
+      setShows(remaining);
+      openShow(remaining[0]);
+    } catch (err) {
+      console.warn('DB delete failed:', err);
+    }
+  };
+
+  const handleCreateSetlist = () => {
+    const name = prompt('Name the new setlist:', `Setlist ${activeShow.setlists.length + 1}`);
+    if (!name?.trim()) return;
+    const setlist = createSetlist(name.trim());
+    editShow(`Create setlist "${setlist.name}"`, { ...activeShow, setlists: [...activeShow.setlists, setlist] });
+    selectSetlist(setlist.id);
+    setAddingSongs(library.length > 0);
+  };
+
+  const handleRenameSetlist = () => {
+    const name = prompt('Rename setlist:', activeSetlist.name);
+    if (name?.trim()) editShow('Rename setlist', updateSetlist(activeShow, activeSetlist.id, { name: name.trim() }));
+  };
+
+  const handleDeleteSetlist = () => {
+    if (activeShow.setlists.length < 2) { alert('A show needs at least one setlist.'); return; }
+    if (!confirm(`Delete the setlist "${activeSetlist.name}"? Songs that are in no other setlist are removed from the show.`)) return;
+    const nextShow = { ...activeShow, setlists: activeShow.setlists.filter(sl => sl.id !== activeSetlist.id) };
+    commitShowEdit(`Delete setlist "${activeSetlist.name}"`, nextShow, activeSetlist.cueIds);
+    selectSetlist(nextShow.setlists[0].id);
+  };
+
+  // A song appears at most once per setlist
+  const handleAddSongsToSetlist = (cueIds) => {
+    setAddingSongs(false);
+    const added = cueIds.filter(id => !activeSetlist.cueIds.includes(id));
+    if (added.length === 0) return;
+    editShow(`Add ${countSongs(added.length)} to the setlist`, updateSetlist(activeShow, activeSetlist.id, { cueIds: [...activeSetlist.cueIds, ...added] }));
+  };
+
+  // Saves a show edit and moves songs that no setlist refers to any more to the trash
+  const commitShowEdit = (label, nextShow, touchedCueIds) => {
+    const orphaned = findUnreferencedCueIds(nextShow, touchedCueIds);
+    const removed = library.filter(cue => orphaned.includes(cue.id));
+    editShow(label, nextShow, { removed });
+    if (removed.length === 0) return;
+    const remaining = library.filter(cue => !orphaned.includes(cue.id));
+    setLibrary(remaining);
+    trashCuesInDB(orphaned).catch(err => console.warn('DB save failed:', err));
+    if (remaining.length === 0) setView('setup');
+  };
+
+  // --- Undo & redo ---
+
+  const recordEdit = (entry, { notify = true } = {}) => {
+    setHistory(prev => pushEntry(prev, entry));
+    if (notify) setToast({ message: entry.label, action: 'undo' });
+  };
+
+  // Saves a show edit as one undoable step; `songs` lists the songs it removed or added
+  const editShow = (label, nextShow, songs = {}) => {
+    persistShow(nextShow);
+    recordEdit(createEntry({ label, show: diffFields(activeShow, nextShow), ...songs }));
+  };
+
+  /**
+   * Puts one side of a history entry back in place. Returns the entry with the
+   * songs it just trashed as they are now (peaks, later edits), so applying it
+   * the other way brings those back rather than the copies from when it was recorded.
+   */
+  const applyEntry = (entry, direction) => {
+    const side = getSide(entry, direction);
+    if (side.show) persistShow({ ...activeShow, ...side.show });
+    side.cues.forEach(({ cueId, fields }) => saveCueFields(cueId, fields));
+    if (side.cues.some(({ fields }) => 'mix' in fields)) setMixRevision(revision => revision + 1);
+
+    const trashIds = side.trash.map(cue => cue.id);
+    const trashed = side.trash.map(cue => library.find(c => c.id === cue.id) || cue);
+    const restored = side.restore.filter(cue => !library.some(c => c.id === cue.id));
+    const nextLibrary = [...library.filter(cue => !trashIds.includes(cue.id)), ...restored];
+    if (trashIds.length > 0 || restored.length > 0) {
+      setLibrary(nextLibrary);
+      setView(nextLibrary.length > 0 ? 'player' : 'setup');
+    }
+    if (trashIds.length > 0) trashCuesInDB(trashIds).catch(err => console.warn('DB save failed:', err));
+    if (restored.length > 0) restoreCuesInDB(restored.map(cue => cue.id)).catch(err => console.warn('DB save failed:', err));
+    if (trashed.length === 0) return entry;
+    return direction === 'undo' ? { ...entry, added: trashed } : { ...entry, removed: trashed };
+  };
+
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  const handleUndo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry || loading) return;
+    const applied = applyEntry(entry, 'undo');
+    setHistory(prev => moveToFuture(prev, applied));
+    setToast({ message: `Undone: ${entry.label}`, action: 'redo' });
+  };
+
+  const handleRedo = () => {
+    const entry = history.future[0];
+    if (!entry || loading) return;
+    const applied = applyEntry(entry, 'redo');
+    setHistory(prev => moveToPast(prev, applied));
+    setToast({ message: `Redone: ${entry.label}`, action: 'undo' });
+  };
+
+  // Keys arrive outside React; the handlers are swapped after each render so they see current state
+  useEffect(() => {
+    historyKeysRef.current = { undo: handleUndo, redo: handleRedo };
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const key = keyFromEvent(e);
+      const action = UNDO_KEYS.includes(key) ? 'undo' : REDO_KEYS.includes(key) ? 'redo' : null;
+      if (!action) return;
+      e.preventDefault();
+      historyKeysRef.current?.[action]();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // --- Trash ---
+
+  // Songs come back at the end of the active setlist; resolves to whether the song came back.
+  // Its files are read first and the record only leaves the trash once everything else worked
+  const handleRestoreFromTrash = async (cue) => {
+    let restoredInDB = false;
+    try {
+      const { cues: [restored], linkIssues: issues } = await readLinkedFiles([{ ...cue, deletedAt: null }]);
+      await restoreCuesInDB([cue.id]);
+      restoredInDB = true;
+      editShow(`Restore "${cue.name}"`, updateSetlist(activeShow, activeSetlist.id, {
+        cueIds: [...activeSetlist.cueIds, cue.id],
+      }), { added: [restored] });
+      setLibrary(prev => [...prev, restored]);
+      setView('player');
+      if (issues) {
+        setLinkIssues(prev => prev ? {
+          folders: [...prev.folders, ...issues.folders.filter(folder => !prev.folders.some(f => f.id === folder.id))],
+          blocked: [...prev.blocked, ...issues.blocked.filter(folder => !prev.blocked.some(f => f.id === folder.id))],
+          report: [...prev.report, ...issues.report],
+        } : issues);
+      }
+      return true;
+    } catch (err) {
+      console.warn('Restoring from the trash failed:', err);
+      if (restoredInDB) trashCuesInDB([cue.id]).catch(e => console.warn('DB save failed:', e));
+      alert(`"${cue.name}" could not be restored.`);
+      return false;
+    }
+  };
+
+  // Removals recorded so far can't be undone once their songs are gone, so the history goes too
+  const handleEmptyTrash = async () => {
+    if (!confirm('Delete every song in the trash for good? This cannot be undone.')) return;
+    try {
+      await emptyTrashInDB({ showId: activeShow.id });
+      setHistory(EMPTY_HISTORY);
+      setToast(null);
+      refreshStorageEstimate();
+      setTrashOpen(false);
+    } catch (err) {
+      console.warn('Emptying the trash failed:', err);
+    }
+  };
+
+  // --- Storage ---
+
+  const refreshStorageEstimate = () => {
+    estimateStorage().then(setStorageEstimate);
+  };
+
+  // Asks before an import that would take browser storage past the warning level
+  const confirmRoomFor = async (filesBySong) => {
+    const bytes = filesBySong.flat().reduce((sum, file) => sum + (file?.size || 0), 0);
+    const estimate = await estimateStorage();
+    if (!isStorageLow(estimate, bytes)) return true;
+    return confirm(
+      `This import adds up to ${formatBytes(bytes)} of audio, but only ${formatBytes(Math.max(0, estimate.quota - estimate.usage))} ` +
+      'of browser storage is left. Import anyway?'
+    );
+  };
+
+  const handleRequestPersist = async () => {
+    const persisted = await requestPersistentStorage();
+    setStoragePersisted(persisted);
+    if (!persisted) alert('The browser declined. Installing encore! as an app usually lets it keep saved songs.');
+  };
+
+  // --- Show bundles ---
+
+  const handleExportShow = () => {
+    if (library.length === 0) { alert('This show has no songs to export yet.'); return; }
+    downloadBlob(createShowBundle(activeShow, library), bundleFileName(activeShow.name));
+  };
+
+  const handleImportShow = async (file) => {
+    try {
+      setPendingBundle(await readShowBundle(file));
+    } catch (err) {
+      console.warn('Show bundle rejected:', err);
+      alert(err.message);
+    }
+  };
+
+  // mode: 'new' adds a show, 'merge' adds the songs to the active show, 'replace' overwrites it
+  const handleConfirmBundle = async (mode) => {
+    const bundle = withFreshCueIds(pendingBundle);
+    if (!(await confirmRoomFor(bundle.cues.map(cue => cue.stems.map(stem => stem.file))))) return;
+    setPendingBundle(null);
+    setLoading(true);
+    let added = [];
+    let saved = false;
+    try {
+      let show;
+      if (mode === 'new') {
+        show = {
+          ...createShow(bundle.name, [], shows.length),
+          setlists: bundle.setlists.map(sl => createSetlist(sl.name, sl.cueIds)),
+          routing: { ...DEFAULT_ROUTING, rules: bundle.routingRules },
+        };
+      } else if (mode === 'merge') {
+        show = mergeSetlists(activeShow, bundle.setlists);
+      } else {
+        show = {
+          ...activeShow,
+          name: bundle.name,
+          setlists: bundle.setlists.map(sl => createSetlist(sl.name, sl.cueIds)),
+          routing: { ...DEFAULT_ROUTING, ...activeShow.routing, rules: bundle.routingRules },
+        };
+      }
+      // New songs are written first, so a failed import never leaves the show emptied;
+      // the shows in view only change once the show itself is saved
+      added = bundle.cues.map(cue => ({ ...cue, showId: show.id }));
+      await addCuesToDB(show.id, added, mode === 'merge' ? library.length : 0);
+      await saveShowToDB(show);
+      setShows(prev => mode === 'new' ? [...prev, show] : prev.map(s => s.id === show.id ? show : s));
+      saved = true;
+      if (mode === 'replace') await trashCuesInDB(library.map(cue => cue.id));
+      await openShow(show, mode === 'merge' ? activeSetlist?.id : null);
+      // Merging into or replacing the open show is undoable like any other import
+      if (mode !== 'new') {
+        recordEdit(createEntry({
+          label: mode === 'merge' ? `Merge "${bundle.name}"` : `Replace with "${bundle.name}"`,
+          show: diffFields(activeShow, show),
+          removed: mode === 'replace' ? library : [],
+          added,
+        }));
+      }
+    } catch (err) {
+      console.warn('Show import failed:', err);
+      // Songs written before the failure belong to no saved setlist
+      if (!saved && added.length > 0) {
+        removeCuesFromDB(added.map(cue => cue.id)).catch(e => console.warn('DB delete failed:', e));
+      }
+      alert('The show could not be saved. The browser may be out of storage space.');
+    } finally {
+      setLoading(false);
+      refreshStorageEstimate();
+    }
+  };
+
+  // --- Songs ---
+
+  const handleLocalConnect = (e) => {
+    const plan = planFolderImport(e.target.files);
     // Reset input so same folder can be re-selected
     e.target.value = '';
+    if (plan.songs.length === 0) { alert("No audio files found."); return; }
+    setPendingImport(plan);
   };
 
-  const handleRemoveCue = (cueId) => {
-    setCues(prev => {
-      const updated = prev.filter(c => c.id !== cueId);
-      saveCuesToDB(updated).catch(err => console.warn('DB save failed:', err));
-      if (updated.length === 0) setView('setup');
-      return updated;
+  // Links the songs instead of copying them: the folder is read again whenever the show opens
+  const handleLinkFolder = async () => {
+    let handle;
+    try {
+      handle = await pickFolder();
+    } catch (err) {
+      if (err.name !== 'AbortError') alert('The folder could not be opened.');
+      return;
+    }
+    let plan;
+    try {
+      plan = planFolderImport(await readFolderFiles(handle));
+    } catch (err) {
+      console.warn('Reading the folder failed:', err);
+      alert('The folder could not be read.');
+      return;
+    }
+    if (plan.songs.length === 0) { alert("No audio files found."); return; }
+    setPendingImport({ ...plan, folder: { id: `folder-${Date.now()}`, name: handle.name, handle } });
+  };
+
+  // --- Linked folders ---
+
+  // The player is remounted so the current song is loaded again from the new files
+  const rereadLinkedFiles = async () => {
+    const { cues: nextLibrary, linkIssues: issues } = await readLinkedFiles(library);
+    setLibrary(nextLibrary);
+    setLinkIssues(issues);
+    setLinkVersion(version => version + 1);
+  };
+
+  const handleAllowFolder = async (folder) => {
+    try {
+      if (await hasReadPermission(folder.handle, true)) await rereadLinkedFiles();
+    } catch (err) {
+      console.warn('Folder access failed:', err);
+      alert('The folder could not be read.');
+    }
+  };
+
+  const handleRelinkFolder = async (folder) => {
+    let handle;
+    try {
+      handle = await pickFolder();
+    } catch (err) {
+      if (err.name !== 'AbortError') alert('The folder could not be opened.');
+      return;
+    }
+    try {
+      await saveLinkedFolderToDB({ ...folder, name: handle.name, handle });
+      await rereadLinkedFiles();
+    } catch (err) {
+      console.warn('Relinking the folder failed:', err);
+      alert('The songs could not be read from that folder.');
+    }
+  };
+
+  // Takes the files as they are on disk now as the songs' stems, so they stop being reported
+  const handleAcceptUpdatedFiles = async () => {
+    const accepted = new Map(); // cueId -> { stemId: link }
+    linkIssues.report.forEach(entry => {
+      const cue = library.find(c => c.id === entry.cueId);
+      entry.stems.filter(stem => stem.status === 'updated').forEach(({ stemId, file }) => {
+        const link = cue.stems.find(stem => stem.id === stemId).link;
+        accepted.set(entry.cueId, { ...accepted.get(entry.cueId), [stemId]: { ...link, size: file.size, lastModified: file.lastModified } });
+      });
     });
+    try {
+      for (const [cueId, links] of accepted) await updateStemLinksInDB(cueId, links);
+    } catch (err) {
+      console.warn('DB save failed:', err);
+      return;
+    }
+    setLibrary(prev => prev.map(cue => {
+      const links = accepted.get(cue.id);
+      return links ? { ...cue, stems: cue.stems.map(stem => links[stem.id] ? { ...stem, link: links[stem.id] } : stem) } : cue;
+    }));
+    const report = linkIssues.report
+      .map(entry => ({ ...entry, stems: entry.stems.filter(stem => stem.status !== 'updated') }))
+      .filter(entry => entry.stems.length > 0);
+    setLinkIssues(report.length > 0 || linkIssues.blocked.length > 0 ? { ...linkIssues, report } : null);
+  };
+
+  // Lyrics that fail to read are skipped; the song still imports
+  const readSongLyrics = async (song) => {
+    if (!song.lyricsFile) return null;
+    try {
+      const lines = await readLyricsFile(song.lyricsFile);
+      return lines.length > 0 ? { lines } : null;
+    } catch (err) {
+      console.warn(`Could not read lyrics for "${song.name}":`, err);
+      return null;
+    }
+  };
+
+  const handleConfirmImport = async (songs) => {
+    // Linked songs are not copied, so they need no room
+    const folder = pendingImport?.folder || null;
+    if (!folder && !(await confirmRoomFor(songs.map(song => song.stems.map(stem => stem.file))))) return;
+    setPendingImport(null);
+    setLoading(true);
+    const newCues = await Promise.all(songs.map(async (song, index) => ({
+      ...organizeFilesIntoCue(
+        folder ? song.stems.map(stem => ({ ...stem, link: linkFor(stem.file) })) : song.stems,
+        song.name.trim(),
+        index
+      ),
+      showId: activeShow.id,
+      lyrics: await readSongLyrics(song),
+      ...(folder && { folderId: folder.id }),
+    })));
+    const merged = [...library, ...newCues];
+    setLibrary(merged);
+    editShow(`Import ${countSongs(newCues.length)}`, updateSetlist(activeShow, activeSetlist.id, {
+      cueIds: [...activeSetlist.cueIds, ...newCues.map(cue => cue.id)],
+    }), { added: newCues });
+    setView('player');
+    requestPersistentStorage().then(setStoragePersisted);
+    (folder ? saveLinkedFolderToDB(folder) : Promise.resolve())
+      .then(() => addCuesToDB(activeShow.id, newCues, library.length))
+      .catch(err => {
+        console.warn('DB save failed:', err);
+        alert('Some songs could not be saved. The browser may be out of storage space.');
+      })
+      .finally(() => {
+        setLoading(false);
+        refreshStorageEstimate();
+      });
+  };
+
+  const handleRemoveCue = (cueId) => {
+    const cue = library.find(c => c.id === cueId);
+    commitShowEdit(`Remove "${cue?.name}"`, updateSetlist(activeShow, activeSetlist.id, {
+      cueIds: activeSetlist.cueIds.filter(id => id !== cueId),
+    }), [cueId]);
   };
 
   const handleClearAll = () => {
-    setCues([]);
-    saveCuesToDB([]).catch(err => console.warn('DB clear failed:', err));
-    setView('setup');
+    const count = activeSetlist.cueIds.length;
+    if (count === 0 || !confirm(`Remove all ${countSongs(count)} from "${activeSetlist.name}"?`)) return;
+    commitShowEdit(`Clear "${activeSetlist.name}"`, updateSetlist(activeShow, activeSetlist.id, { cueIds: [] }), activeSetlist.cueIds);
+  };
+
+  // Renames and mixer changes are undoable; the song's other fields are not
+  const handleUpdateCue = (cueId, updates) => {
+    const cue = library.find(c => c.id === cueId);
+    const entry = cue && createCueEntry(cue, updates);
+    if (entry) recordEdit(entry, { notify: 'name' in updates });
+    saveCueFields(cueId, updates);
+  };
+
+  // Metadata edits (e.g. a mix on every slider step) are merged and written once they settle
+  const saveCueFields = (cueId, updates) => {
+    setLibrary(prev => prev.map(c => c.id === cueId ? { ...c, ...updates } : c));
+    const pending = pendingCueUpdates.current;
+    clearTimeout(pending[cueId]?.timer);
+    const merged = { ...pending[cueId]?.updates, ...updates };
+    pending[cueId] = {
+      updates: merged,
+      timer: setTimeout(() => {
+        delete pending[cueId];
+        updateCueInDB(cueId, merged).catch(err => console.warn('DB save failed:', err));
+      }, CUE_SAVE_DELAY),
+    };
   };
 
+  // Running order lives on the setlist; the song records themselves are untouched
   const handleReorderCues = (newCues) => {
-    setCues(newCues);
-    saveCuesToDB(newCues).catch(err => console.warn('DB save failed:', err));
+    editShow('Reorder songs', updateSetlist(activeShow, activeSetlist.id, { cueIds: newCues.map(cue => cue.id) }));
   };
 
+  const showSwitcher = (
+    <ShowSwitcher
+      shows={shows}
+      activeShow={activeShow}
+      activeSetlist={activeSetlist}
+      onSwitchShow={handleSwitchShow}
+      onCreateShow={handleCreateShow}
+      onRenameShow={handleRenameShow}
+      onDeleteShow={handleDeleteShow}
+      onSwitchSetlist={selectSetlist}
+      onCreateSetlist={handleCreateSetlist}
+      onRenameSetlist={handleRenameSetlist}
+      onDeleteSetlist={handleDeleteSetlist}
+      onExportShow={handleExportShow}
+      onImportShow={handleImportShow}
+      onOpenStorage={() => setStoragePanelOpen(true)}
+      onOpenTrash={() => setTrashOpen(true)}
+      storageLow={isStorageLow(storageEstimate)}
+    />
+  );
+
   return (
     <div className={`${THEME.bg} ${THEME.textMain} min-h-screen transition-colors duration-500`}>
       {(loading || !dbLoaded) && (
@@ -935,21 +4777,103 @@ export default function App() {
           <p className="text-orange-400 font-medium animate-pulse">{dbLoaded ? 'Organizing Stems...' : 'Loading...'}</p>
         </div>
       )}
+      {pendingImport && (
+        <ImportReview
+          plan={pendingImport}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+      {linkIssues && !pendingImport && (
+        <LinkedFolderDialog
+          issues={linkIssues}
+          onAllow={handleAllowFolder}
+          onRelink={handleRelinkFolder}
+          onAcceptUpdates={handleAcceptUpdatedFiles}
+          onClose={() => setLinkIssues(null)}
+        />
+      )}
+      {storagePanelOpen && (
+        <StoragePanel
+          shows={shows}
+          persisted={storagePersisted}
+          onRequestPersist={handleRequestPersist}
+          onClose={() => setStoragePanelOpen(false)}
+        />
+      )}
+      {trashOpen && activeShow && (
+        <TrashPanel
+          showId={activeShow.id}
+          onRestore={handleRestoreFromTrash}
+          onEmpty={handleEmptyTrash}
+          onClose={() => setTrashOpen(false)}
+        />
+      )}
+      {toast && (
+        <HistoryToast
+          toast={toast}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          onDismiss={dismissToast}
+        />
+      )}
+      {pendingBundle && (
+        <BundleImportDialog
+          bundle={pendingBundle}
+          activeShowName={activeShow?.name}
+          onImport={handleConfirmBundle}
+          onCancel={() => setPendingBundle(null)}
+        />
+      )}
+      {addingSongs && activeSetlist && (
+        <AddSongsPicker
+          library={library}
+          setlist={activeSetlist}
+          onConfirm={handleAddSongsToSetlist}
+          onCancel={() => setAddingSongs(false)}
+        />
+      )}
       {dbLoaded && view === 'setup' && (
         <SetupScreen
           onLocalConnect={handleLocalConnect}
-          hasSavedCues={cues.length > 0}
+          onLinkFolder={canLinkFolders() ? handleLinkFolder : null}
+          hasSavedCues={library.length > 0}
           onContinue={() => setView('player')}
+          showSwitcher={showSwitcher}
+          storagePersisted={storagePersisted}
         />
       )}
+      {dbLoaded && view === 'setup' && waitingWorker && <UpdatePrompt onApply={() => applyUpdate(waitingWorker)} />}
       {view === 'player' && (
         <PlayerScreen
+          key={`${activeShow?.id}:${activeSetlist?.id}:${linkVersion}`}
           cues={cues}
           onBack={() => setView('setup')}
           onRemoveCue={handleRemoveCue}
           onClearAll={handleClearAll}
           onAddFolder={handleLocalConnect}
+          onLinkFolder={canLinkFolders() ? handleLinkFolder : null}
           onReorderCues={handleReorderCues}
+          onUpdateCue={handleUpdateCue}
+          globalScenes={globalScenes}
+          activeGlobalSceneId={activeGlobalSceneId}
+          onUpdateGlobalScenes={(scenes) => updateSetting('globalScenes', scenes, setGlobalScenes)}
+          onSetActiveGlobalScene={(sceneId) => updateSetting('activeGlobalSceneId', sceneId, setActiveGlobalSceneId)}
+          showMode={showMode}
+          onToggleShowMode={() => updateSetting('showMode', !showMode, setShowMode)}
+          showName={activeShow?.name}
+          setlistName={activeSetlist?.name}
+          sidebarHeader={showSwitcher}
+          onAddSongs={() => setAddingSongs(true)}
+          midiMappings={midiMappings}
+          onUpdateMidiMappings={(mappings) => updateSetting('midiMappings', mappings, setMidiMappings)}
+          shortcuts={shortcuts}
+          onUpdateShortcuts={(overrides) => updateSetting('shortcuts', overrides, setShortcuts)}
+          routing={activeShow?.routing || DEFAULT_ROUTING}
+          onUpdateRouting={(routing) => persistShow({ ...activeShow, routing })}
+          peakProgress={peakProgress}
+          onApplyUpdate={waitingWorker ? () => applyUpdate(waitingWorker) : null}
+          mixRevision={mixRevision}
         />
       )}
     </div>
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Maximize, Minimize } from 'lucide-react';
+import { findCurrentMarker, findNextMarker } from './markers.js';
+import { STAGE_TIMEOUT, createStageChannel, getStageTime, getCountIn } from './stage.js';
+
+/* Encore! Stage View
+   The conductor's window: big clock, song and section, readable from the back
+   of the stage. Everything shown comes from the player's window (see stage.js).
+*/
+
+const formatClock = (time) => {
+  const total = Math.max(0, Math.floor(time));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export default function StageView() {
+  const [state, setState] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const lastHeardRef = useRef(0);
+
+  // Listen to the player; ask for a state straight away rather than waiting for the next heartbeat
+  useEffect(() => {
+    const channel = createStageChannel((message) => {
+      if (message.type === 'state') {
+        lastHeardRef.current = Date.now();
+        setState(message.state);
+        setConnected(true);
+      } else if (message.type === 'bye') {
+        setConnected(false);
+      }
+    });
+    channel?.postMessage({ type: 'hello' });
+    return () => channel?.close();
+  }, []);
+
+  // Redraw every frame so the clock and count-in run smoothly between states
+  useEffect(() => {
+    let frame;
+    const tick = () => {
+      const time = Date.now();
+      setNow(time);
+      if (time - lastHeardRef.current > STAGE_TIMEOUT) setConnected(false);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  useEffect(() => {
+    document.title = 'encore! stage';
+    const onChange = () => setIsFullscreen(!!document.fullscreenElement);
+    document.addEventListener('fullscreenchange', onChange);
+    return () => document.removeEventListener('fullscreenchange', onChange);
+  }, []);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else document.documentElement.requestFullscreen?.().catch(() => {});
+  };
+
+  const live = connected && state;
+  const time = state ? (live ? getStageTime(state, now) : state.time) : 0;
+  const rate = state?.rate || 1;
+  const markers = state?.markers || [];
+  const section = findCurrentMarker(markers, time);
+  const nextSection = findNextMarker(markers, time);
+  const countIn = live && state.playing ? getCountIn(state.grid, time) : null;
+  const flash = countIn && countIn.phase < 0.25;
+
+  return (
+    <div className={`h-screen w-screen overflow-hidden select-none flex flex-col transition-colors duration-75 ${flash ? (countIn.beat === 1 ? 'bg-orange-600 text-white' : 'bg-white text-black') : 'bg-black text-white'}`}>
+      <div className="flex items-center gap-4 px-[3vw] pt-[2vh] text-[2.5vh] font-semibold">
+        <span className={`flex items-center gap-2 ${live ? 'text-green-400' : 'text-red-400 animate-pulse'}`}>
+          <span className={`w-[1.5vh] h-[1.5vh] rounded-full ${live ? 'bg-green-400' : 'bg-red-400'}`} />
+          {live ? (state.playing ? 'PLAYING' : 'STOPPED') : 'WAITING FOR THE PLAYER'}
+        </span>
+        <span className="flex-1" />
+        {state?.cueNumber && <span className="opacity-60">Song {state.cueNumber} of {state.cueCount}</span>}
+        <button onClick={toggleFullscreen} className="opacity-40 hover:opacity-100" title={isFullscreen ? 'Exit full screen' : 'Full screen'}>
+          {isFullscreen ? <Minimize size={24} /> : <Maximize size={24} />}
+        </button>
+      </div>
+
+      {state ? (
+        <div className={`flex-1 flex flex-col justify-between px-[3vw] py-[2vh] min-h-0 ${live ? '' : 'opacity-40'}`}>
+          <div className="text-[9vh] leading-none font-black truncate">{state.cueName || 'No song'}</div>
+
+          {countIn ? (
+            <div className="flex-1 flex items-center justify-center text-[45vh] leading-none font-black font-mono">{countIn.beat}</div>
+          ) : (
+            <div className="flex-1 flex items-center justify-center gap-[4vw] min-h-0">
+              <div className="text-[28vh] leading-none font-bold font-mono tabular-nums">{formatClock(time / rate)}</div>
+              <div className="text-[12vh] leading-none font-mono tabular-nums text-yellow-300">-{formatClock((state.duration - time) / rate)}</div>
+            </div>
+          )}
+
+          <div className="flex items-end gap-[4vw]">
+            <div className="flex-1 min-w-0">
+              <div className="text-[3vh] uppercase tracking-widest opacity-60">Section</div>
+              <div className="text-[8vh] leading-tight font-bold text-sky-300 truncate">{section?.name || '—'}</div>
+              {nextSection && (
+                <div className="text-[4vh] opacity-70 truncate">
+                  {nextSection.name} in {formatClock((nextSection.time - time) / rate)}
+                </div>
+              )}
+            </div>
+            <div className="flex-1 min-w-0 text-right">
+              <div className="text-[3vh] uppercase tracking-widest opacity-60">Next song</div>
+              <div className="text-[6vh] leading-tight font-bold truncate">{state.nextCueName || 'End of set'}</div>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="flex-1 flex items-center justify-center text-[4vh] opacity-50 px-[3vw] text-center">
+          Open encore! in the other window to start the stage view.
+        </div>
+      )}
+    </div>
+  );
+}
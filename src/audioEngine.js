@@ -0,0 +1,689 @@
+/* Encore! Playback Engine
+   One AudioContext per player. Every stem is decoded into an AudioBuffer and
+   started on the same context time, so play, seek, stop and repeat stay
+   sample-locked. Kept free of React so it can be driven with a mocked context.
+
+   Graph: AudioBufferSourceNode -> stem GainNode -> automation GainNode
+          -> high-pass -> low/mid/high EQ -> StereoPanner -> ChannelSplitter
+          -> ChannelMerger -> master GainNode -> fade GainNode
+          -> output GainNode -> destination
+
+   The stem part of that chain (gain to panner) is createStemChain, which
+   offline rendering (mixdown.js) builds too, so a mixdown sounds like playback.
+
+   The automation and fade gains carry volume envelopes (see automation.js):
+   each stem's drawn automation and the cue's fades, scheduled along with every
+   pass. The mix itself never touches them.
+
+   Meters are AnalyserNodes hanging off each stem's splitter (post-fader, per
+   side) and off the output, one per output channel.
+
+   Every stem is a stereo pair; the merger places it on one output pair of a
+   multichannel destination (see configureOutput), which is all routing is.
+
+   The output gain is the deck fader: two engines sharing one context can be
+   crossfaded into each other for segues between cues.
+
+   Looping (whole-cue repeat or an A-B region) is done by queueing the next pass
+   of sources on the context clock at the exact end time of the current one.
+
+   All public times are in cue time (seconds of the original audio). At a
+   playback rate other than 1 the stems are played from time-stretched copies,
+   so a pass covering `d` seconds of cue time lasts `d / rate` on the clock.
+
+   A stem can be shifted against the others (setStemOffsets): a positive offset
+   starts it later, a negative one cuts into its head. The cue can be trimmed
+   (setTrim) to an in and out point; playback starts at the in point, and the
+   out point is where the cue ends, repeats and segues.
+*/
+
+import { stretchBuffers } from './timeStretch.js';
+import { getFadeEnvelope, scheduleEnvelope } from './automation.js';
+
+// Lead time between a transport call and the first sample, so every source
+// can be scheduled before the start time passes.
+const SCHEDULE_AHEAD = 0.05;
+// Time constant for gain changes; short enough to feel instant, long enough not to click.
+const GAIN_SMOOTHING = 0.01;
+// Shorter loop regions are ignored rather than hammering the scheduler.
+const MIN_LOOP_LENGTH = 0.1;
+
+const EQ_FILTERS = {
+  low: { type: 'lowshelf', frequency: 120 },
+  mid: { type: 'peaking', frequency: 1000, Q: 0.7 },
+  high: { type: 'highshelf', frequency: 8000 },
+};
+// With the high-pass off its cutoff sits below anything audible
+const HPF_OFF_FREQUENCY = 10;
+// Samples per meter reading, about 20 ms at 48 kHz
+const METER_WINDOW = 1024;
+
+export const createAudioContext = () => new (window.AudioContext || window.webkitAudioContext)();
+
+export const canSelectOutputDevice = (context) => typeof context?.setSinkId === 'function';
+
+// Points a context at an output device ('' = system default) and opens up all of its
+// channels for discrete routing. Resolves to the number of output channels.
+export const configureOutput = async (context, deviceId = '') => {
+  if (canSelectOutputDevice(context) && (typeof context.sinkId === 'string' ? context.sinkId : '') !== deviceId) {
+    await context.setSinkId(deviceId);
+  }
+  const destination = context.destination;
+  const channels = Math.max(2, destination.maxChannelCount || 2);
+  destination.channelCount = channels;
+  destination.channelCountMode = 'explicit';
+  destination.channelInterpretation = 'discrete';
+  return channels;
+};
+
+const DEFAULT_STEM_STATE = { volume: 1, muted: false, soloed: false, pan: 0, eq: {}, hpf: 0 };
+
+export const getStemGain = (state = DEFAULT_STEM_STATE, anySolo = false) => {
+  if (state.muted) return 0;
+  if (anySolo && !state.soloed) return 0;
+  return state.volume ?? 1;
+};
+
+// One stem's processing, shared with offline rendering (see mixdown.js):
+// gain -> automation -> high-pass -> low/mid/high EQ -> panner, the panner being the output
+export const createStemChain = (context) => {
+  // Mono stems are spread to both sides of their pair, surround ones folded down
+  const gain = context.createGain();
+  gain.channelCount = 2;
+  gain.channelCountMode = 'explicit';
+  gain.channelInterpretation = 'speakers';
+  const hpf = context.createBiquadFilter();
+  hpf.type = 'highpass';
+  hpf.frequency.value = HPF_OFF_FREQUENCY;
+  const eq = Object.fromEntries(Object.entries(EQ_FILTERS).map(([band, { type, frequency, Q }]) => {
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    if (Q) filter.Q.value = Q;
+    return [band, filter];
+  }));
+  const automation = context.createGain();
+  const panner = context.createStereoPanner();
+  [gain, automation, hpf, eq.low, eq.mid, eq.high, panner].reduce((from, to) => from.connect(to));
+  return { gain, automation, hpf, eq, panner };
+};
+
+// Sets a stem chain to a mixer state; `set` decides how a parameter gets there (default: at once)
+export const applyStemState = (chain, stemState, anySolo, set = (param, value) => { param.value = value; }) => {
+  const state = { ...DEFAULT_STEM_STATE, ...stemState };
+  set(chain.gain.gain, getStemGain(state, anySolo));
+  set(chain.panner.pan, state.pan);
+  Object.entries(chain.eq).forEach(([band, filter]) => set(filter.gain, state.eq?.[band] ?? 0));
+  set(chain.hpf.frequency, state.hpf > 0 ? state.hpf : HPF_OFF_FREQUENCY);
+};
+
+// Pass `context` to share one AudioContext between engines; it is then left open on dispose
+export const createAudioEngine = ({ context: sharedContext = null, createContext = createAudioContext, onEnded, onLoop } = {}) => {
+  let ctx = null;
+  let masterGain = null;
+  let fadeGain = null;
+  let outputGain = null;
+  let merger = null;
+  let outputChannels = 2;
+  let outputMeters = [];
+  let stemPairs = new Map(); // stemId -> output pair (0 = channels 1/2)
+  let tracks = new Map(); // stemId -> { buffer, gain, automation, hpf, eq, panner, splitter, meters }
+  let rate = 1;
+  let rateRequest = 0;
+  const stretchCache = new Map(); // rate -> Map(stemId -> stretched AudioBuffer)
+  let duration = 0;
+  let loadId = 0;
+  let offsets = new Map(); // stemId -> seconds the stem is shifted by
+  let trim = null; // { start, end }, end null for the end of the cue
+  let fades = null; // { in, out } in seconds
+  let automation = new Map(); // stemId -> [{ time, value }]
+
+  // A pass is one run of every stem from `offset` to `endOffset`. While looping,
+  // the next pass is queued on the context clock before the current one ends.
+  let passes = [];
+  let position = 0;
+  let playing = false;
+  let starting = false; // play() waiting for a suspended context to resume
+  let repeat = false;
+  let loop = null; // { start, end }
+  let loopCount = 0;
+  let fadingOut = false;
+
+  // --- Metering ---
+
+  const createMeter = () => {
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = METER_WINDOW;
+    return { analyser, data: new Float32Array(METER_WINDOW) };
+  };
+
+  const readMeter = ({ analyser, data }) => {
+    analyser.getFloatTimeDomainData(data);
+    let peak = 0;
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+      const sample = data[i];
+      if (Math.abs(sample) > peak) peak = Math.abs(sample);
+      sum += sample * sample;
+    }
+    return { peak, rms: Math.sqrt(sum / data.length) };
+  };
+
+  const loudest = (levels) => levels.reduce(
+    (max, level) => ({ peak: Math.max(max.peak, level.peak), rms: Math.max(max.rms, level.rms) }),
+    { peak: 0, rms: 0 }
+  );
+
+  const connectOutputMeters = () => {
+    const splitter = ctx.createChannelSplitter(outputChannels);
+    outputMeters = Array.from({ length: outputChannels }, (_, channel) => {
+      const meter = createMeter();
+      splitter.connect(meter.analyser, channel);
+      return meter;
+    });
+    outputGain.connect(splitter);
+  };
+
+  const ensureContext = () => {
+    if (!ctx) {
+      ctx = sharedContext || createContext();
+      merger = ctx.createChannelMerger(outputChannels);
+      masterGain = ctx.createGain();
+      fadeGain = ctx.createGain();
+      outputGain = ctx.createGain();
+      merger.connect(masterGain);
+      masterGain.connect(fadeGain);
+      fadeGain.connect(outputGain);
+      outputGain.connect(ctx.destination);
+      connectOutputMeters();
+    }
+    return ctx;
+  };
+
+  // Stems on a pair the output doesn't have play on the main pair
+  const routeTrack = (track, stemId) => {
+    const pair = stemPairs.get(stemId) ?? 0;
+    const left = pair * 2 + 1 < outputChannels ? pair * 2 : 0;
+    track.splitter.disconnect();
+    track.splitter.connect(merger, 0, left);
+    track.splitter.connect(merger, 1, left + 1);
+    track.meters.forEach((meter, side) => track.splitter.connect(meter.analyser, side));
+  };
+
+  // fadeTime > 0 glides linearly from the current level (scene recall); otherwise near-instant
+  const setParam = (param, value, fadeTime = 0) => {
+    const now = ctx.currentTime;
+    param.cancelScheduledValues(now);
+    if (fadeTime > 0) {
+      param.setValueAtTime(param.value, now);
+      param.linearRampToValueAtTime(value, now + fadeTime);
+    } else {
+      param.setTargetAtTime(value, now, GAIN_SMOOTHING);
+    }
+  };
+
+  const cancelPass = (pass) => {
+    pass.cancelled = true;
+    pass.sources.forEach(source => {
+      try { source.stop(); } catch { /* already stopped */ }
+      source.disconnect();
+    });
+  };
+
+  // The part of the cue that plays: { start, end } between the in and out points
+  const getPlayRange = () => {
+    const start = Math.max(0, Math.min(duration, trim?.start ?? 0));
+    const end = Math.max(start, Math.min(duration, trim?.end ?? duration));
+    return { start, end };
+  };
+
+  // Region that playback wraps around, if any; an A-B loop takes precedence over repeat
+  const getLoopRange = () => {
+    const played = getPlayRange();
+    if (loop) {
+      const start = Math.max(played.start, loop.start);
+      const end = Math.min(played.end, loop.end);
+      if (end - start >= MIN_LOOP_LENGTH) return { start, end };
+    }
+    return repeat && played.end > played.start ? played : null;
+  };
+
+  // Where a pass starting at `offset` should stop: the loop end if it lies ahead, else the out point
+  const getPassEnd = (offset, range = getLoopRange()) =>
+    range && offset < range.end ? range.end : getPlayRange().end;
+
+  const startPass = (offset, when, endOffset, isLoop = false) => {
+    const pass = { sources: [], offset, endOffset, rate, startedAt: when, endAt: when + (endOffset - offset) / rate, isLoop, cancelled: false };
+    const stretched = stretchCache.get(rate);
+    let longest = null;
+    let longestEnd = offset;
+    tracks.forEach((track, stemId) => {
+      // The span of cue time this stem covers in the pass, after its offset
+      const shift = offsets.get(stemId) || 0;
+      const from = Math.max(offset, shift);
+      const to = Math.min(endOffset, shift + track.buffer.duration);
+      if (to <= from) return;
+      const source = ctx.createBufferSource();
+      source.buffer = stretched ? stretched.get(stemId) : track.buffer;
+      source.connect(track.gain);
+      source.start(when + (from - offset) / rate, (from - shift) / rate, (to - from) / rate);
+      pass.sources.push(source);
+      if (to > longestEnd) {
+        longest = source;
+        longestEnd = to;
+      }
+    });
+    // The stem that plays longest in this pass defines its end. When none reaches
+    // it (offsets leave silence there) a silent source keeps the time instead.
+    if (!longest || longestEnd < endOffset) {
+      longest = ctx.createConstantSource();
+      longest.offset.value = 0;
+      longest.connect(masterGain);
+      longest.start(when);
+      longest.stop(pass.endAt);
+      pass.sources.push(longest);
+    }
+    longest.onended = () => handlePassEnded(pass);
+    getEnvelopes().forEach(([param, points]) => scheduleEnvelope(param, points, offset, endOffset, when, rate));
+    passes.push(pass);
+    return pass;
+  };
+
+  // Ends a running pass early, e.g. when a loop end is set ahead of the playhead
+  const truncatePass = (pass, endOffset) => {
+    const endAt = pass.startedAt + (endOffset - pass.offset) / pass.rate;
+    pass.sources.forEach(source => source.stop(Math.max(endAt, ctx.currentTime)));
+    pass.endOffset = endOffset;
+    pass.endAt = endAt;
+  };
+
+  // --- Envelopes ---
+
+  // Every parameter that carries an envelope, with the envelope it carries
+  const getEnvelopes = () => [
+    [fadeGain.gain, getFadeEnvelope(fades, getPlayRange())],
+    ...[...tracks].map(([stemId, track]) => [track.automation.gain, automation.get(stemId)]),
+  ];
+
+  // Lays every envelope out again from now on, over the passes still to play
+  const refreshEnvelopes = () => {
+    if (!playing || fadingOut) return;
+    const now = ctx.currentTime;
+    getEnvelopes().forEach(([param, points]) => {
+      param.cancelScheduledValues(now);
+      passes.forEach(pass => {
+        if (pass.endAt <= now) return;
+        const from = Math.max(now, pass.startedAt);
+        scheduleEnvelope(param, points, pass.offset + (from - pass.startedAt) * pass.rate, pass.endOffset, from, pass.rate);
+      });
+    });
+  };
+
+  const queueLoopPass = () => {
+    const range = getLoopRange();
+    const last = passes[passes.length - 1];
+    if (!range || !last || last.endOffset !== range.end) return;
+    startPass(range.start, last.endAt, range.end, true);
+  };
+
+  const handlePassEnded = (pass) => {
+    if (pass.cancelled) return;
+    passes = passes.filter(p => p !== pass);
+    if (passes.length > 0) {
+      if (passes[0].isLoop) onLoop?.(++loopCount);
+      if (passes.length === 1) queueLoopPass();
+      return;
+    }
+    playing = false;
+    position = fadingOut ? getPlayRange().start : pass.endOffset;
+    fadingOut = false;
+    onEnded?.();
+  };
+
+  // Re-plans everything after the running pass when repeat or the loop region changes
+  const reschedule = () => {
+    if (!playing || fadingOut) return;
+    const now = ctx.currentTime;
+    passes.filter(p => p.startedAt > now).forEach(cancelPass);
+    passes = passes.filter(p => !p.cancelled);
+    const current = passes[passes.length - 1];
+    if (!current) return;
+
+    const range = getLoopRange();
+    const desiredEnd = getPassEnd(getCurrentTime(), range);
+    if (desiredEnd < current.endOffset) truncatePass(current, desiredEnd);
+    else if (desiredEnd > current.endOffset) startPass(current.endOffset, current.endAt, desiredEnd);
+    queueLoopPass();
+    refreshEnvelopes();
+  };
+
+  const stopPasses = () => {
+    passes.forEach(cancelPass);
+    passes = [];
+    fadingOut = false;
+  };
+
+  const getCurrentTime = () => {
+    if (!playing || passes.length === 0) return position;
+    const now = ctx.currentTime;
+    // Latest pass that has already started; queued repeats start in the future
+    const current = [...passes].reverse().find(p => p.startedAt <= now) || passes[0];
+    const elapsed = Math.max(0, now - current.startedAt) * current.rate;
+    return Math.min(current.endOffset, current.offset + elapsed);
+  };
+
+  const startAt = (offset, when = ctx.currentTime + SCHEDULE_AHEAD) => {
+    loopCount = 0;
+    getEnvelopes().forEach(([param]) => param.cancelScheduledValues(ctx.currentTime));
+    startPass(offset, Math.max(when, ctx.currentTime), getPassEnd(offset));
+    queueLoopPass();
+  };
+
+  const unload = () => {
+    stopPasses();
+    tracks.forEach(track => {
+      [track.gain, track.automation, track.hpf, ...Object.values(track.eq), track.panner, track.splitter].forEach(node => node.disconnect());
+    });
+    tracks = new Map();
+    offsets = new Map();
+    automation = new Map();
+    stretchCache.clear();
+    rate = 1;
+    duration = 0;
+    position = 0;
+    playing = false;
+    starting = false;
+  };
+
+  // Decodes every stem; resolves to false if a newer load() superseded this one.
+  // Stems without a file (a linked file gone missing) are left out and stay silent.
+  // onProgress(decoded, total) is called as each stem finishes.
+  const load = async (stems, { onProgress } = {}) => {
+    const id = ++loadId;
+    unload();
+    const context = ensureContext();
+
+    let done = 0;
+    const playable = stems.filter(stem => stem.file);
+    const decoded = await Promise.all(playable.map(async (stem) => {
+      const arrayBuffer = await stem.file.arrayBuffer();
+      const buffer = await context.decodeAudioData(arrayBuffer);
+      if (id === loadId) onProgress?.(++done, playable.length);
+      return [stem.id, buffer];
+    }));
+    if (id !== loadId) return false;
+
+    decoded.forEach(([stemId, buffer]) => {
+      const chain = createStemChain(context);
+      const splitter = context.createChannelSplitter(2);
+      chain.panner.connect(splitter);
+      const track = { buffer, ...chain, splitter, meters: [createMeter(), createMeter()] };
+      routeTrack(track, stemId);
+      tracks.set(stemId, track);
+    });
+    updateDuration();
+    return true;
+  };
+
+  // The cue runs until its latest stem ends, offsets included
+  const updateDuration = () => {
+    duration = 0;
+    tracks.forEach((track, stemId) => {
+      duration = Math.max(duration, (offsets.get(stemId) || 0) + track.buffer.duration);
+    });
+  };
+
+  // `when` schedules the start at a context time, e.g. the exact end of another engine's cue
+  const play = async ({ when } = {}) => {
+    if (playing || starting || tracks.size === 0) return;
+    ensureContext();
+    if (ctx.state === 'suspended') {
+      // A second play() meanwhile is ignored; a pause or stop meanwhile calls this one off
+      starting = true;
+      await ctx.resume();
+      if (!starting) return;
+      starting = false;
+    }
+    const { start, end } = getPlayRange();
+    const offset = position < start || position >= end ? start : position;
+    playing = true;
+    startAt(offset, when);
+  };
+
+  const pause = () => {
+    starting = false;
+    if (!playing) return;
+    position = getCurrentTime();
+    playing = false;
+    stopPasses();
+  };
+
+  // Fades the deck out over `seconds` and stops there; the playhead then goes
+  // back to the in point, as after stop()
+  const fadeOut = (seconds) => {
+    if (!playing || fadingOut) return;
+    const now = ctx.currentTime;
+    // The pass playing now, or the first one if playback hasn't quite begun
+    const current = [...passes].reverse().find(p => p.startedAt <= now) || passes[0];
+    passes.filter(p => p !== current).forEach(cancelPass);
+    passes = [current];
+    truncatePass(current, Math.min(current.endOffset, getCurrentTime() + seconds * current.rate));
+    refreshEnvelopes();
+    fadingOut = true;
+    const param = fadeGain.gain;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(0, Math.max(current.endAt, now));
+  };
+
+  const stop = () => {
+    starting = false;
+    playing = false;
+    stopPasses();
+    position = getPlayRange().start;
+  };
+
+  const seek = (time) => {
+    const { start, end } = getPlayRange();
+    const target = Math.max(start, Math.min(end, time));
+    if (!playing) {
+      position = target;
+      return;
+    }
+    stopPasses();
+    startAt(target);
+  };
+
+  const setRepeat = (enabled) => {
+    repeat = enabled;
+    reschedule();
+  };
+
+  // range: { start, end } in seconds, or null to clear the A-B loop
+  const setLoop = (range) => {
+    loop = range ? { start: range.start, end: range.end } : null;
+    loopCount = 0;
+    reschedule();
+  };
+
+  // offsets: Map stemId -> seconds (positive plays the stem later). Playback
+  // carries on from where it is with the stems realigned.
+  const setStemOffsets = (nextOffsets) => {
+    offsets = new Map(nextOffsets);
+    updateDuration();
+    if (!playing) {
+      position = Math.min(position, duration);
+      return;
+    }
+    const offset = Math.min(getCurrentTime(), getPlayRange().end);
+    stopPasses();
+    startAt(offset);
+  };
+
+  // automation: { [stemId]: [{ time, value }] }, the cue's drawn stem envelopes
+  const setAutomation = (nextAutomation) => {
+    automation = new Map(Object.entries(nextAutomation || {}));
+    refreshEnvelopes();
+  };
+
+  // fades: { in, out } in seconds, at the in and out points
+  const setFades = (nextFades) => {
+    fades = nextFades ? { in: nextFades.in || 0, out: nextFades.out || 0 } : null;
+    refreshEnvelopes();
+  };
+
+  // range: { start, end } in seconds (end null for the end of the cue), or null for all of it
+  const setTrim = (range) => {
+    trim = range ? { start: range.start ?? 0, end: range.end ?? null } : null;
+    if (playing) {
+      reschedule();
+      return;
+    }
+    const { start, end } = getPlayRange();
+    if (position < start || position > end) position = start;
+  };
+
+  /**
+   * Changes tempo without changing pitch. Stretching happens once per rate and
+   * is cached; resolves to false if a newer load() or setRate() superseded it.
+   * With atLoopBoundary the new rate takes over at the next loop wrap instead of
+   * restarting playback immediately.
+   */
+  const setRate = async (nextRate, { atLoopBoundary = false } = {}) => {
+    if (tracks.size === 0) return false;
+    const request = ++rateRequest;
+    const load = loadId;
+    if (nextRate !== 1 && !stretchCache.has(nextRate)) {
+      const originals = new Map([...tracks].map(([stemId, track]) => [stemId, track.buffer]));
+      const stretched = await stretchBuffers(originals, nextRate, (channels, length, sampleRate) =>
+        ctx.createBuffer(channels, length, sampleRate)
+      );
+      if (load !== loadId) return false;
+      stretchCache.set(nextRate, stretched);
+    }
+    if (request !== rateRequest) return false;
+
+    const previous = rate;
+    rate = nextRate;
+    // Keep only what the current rate and any still-running pass need
+    stretchCache.forEach((_, r) => {
+      if (r !== rate && !passes.some(p => p.rate === r)) stretchCache.delete(r);
+    });
+    if (playing && previous !== rate) {
+      if (atLoopBoundary && getLoopRange()) {
+        reschedule();
+      } else {
+        const offset = getCurrentTime();
+        stopPasses();
+        startAt(offset);
+      }
+    }
+    return true;
+  };
+
+  const setMix = (mixerState, { masterVolume = 1, masterMuted = false, fadeTime = 0 } = {}) => {
+    if (!ctx) return;
+    const anySolo = Object.values(mixerState).some(s => s.soloed);
+    tracks.forEach((track, stemId) => {
+      applyStemState(track, mixerState[stemId], anySolo, (param, value) => setParam(param, value, fadeTime));
+    });
+    setParam(masterGain.gain, masterMuted ? 0 : masterVolume, fadeTime);
+  };
+
+  // pairs: Map stemId -> output pair; channels: output channels the destination was configured with
+  const setRouting = (pairs, channels = outputChannels) => {
+    ensureContext();
+    stemPairs = new Map(pairs);
+    if (channels !== outputChannels) {
+      outputChannels = channels;
+      merger.disconnect();
+      merger = ctx.createChannelMerger(outputChannels);
+      merger.connect(masterGain);
+      outputGain.disconnect();
+      outputGain.connect(ctx.destination);
+      connectOutputMeters();
+    }
+    tracks.forEach(routeTrack);
+  };
+
+  // Post-fader level of one stem, its louder side: { peak, rms } as linear amplitude
+  const getStemLevel = (stemId) => {
+    const track = tracks.get(stemId);
+    return track ? loudest(track.meters.map(readMeter)) : null;
+  };
+
+  // Deck output as [left, right]; on a multichannel output each side is its loudest channel
+  const getOutputLevels = () => {
+    const levels = outputMeters.map(readMeter);
+    return [0, 1].map(side => loudest(levels.filter((_, channel) => channel % 2 === side)));
+  };
+
+  // Context time at which playback runs out, or null while stopped, looping or fading out
+  const getEndTime = () => {
+    if (!playing || fadingOut || getLoopRange()) return null;
+    const last = passes[passes.length - 1];
+    return last && last.endOffset >= getPlayRange().end ? last.endAt : null;
+  };
+
+  // Deck fader, independent of the mix. The level holds at `from` (default: the
+  // current level) until `at`, then moves to `level`, gliding over `fadeTime`.
+  const setOutputLevel = (level, { at, fadeTime = 0, from } = {}) => {
+    ensureContext();
+    const param = outputGain.gain;
+    const now = ctx.currentTime;
+    const start = Math.max(at ?? now, now);
+    const hold = from ?? param.value;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(hold, now);
+    if (fadeTime > 0) {
+      param.setValueAtTime(hold, start);
+      param.linearRampToValueAtTime(level, start + fadeTime);
+    } else {
+      param.setValueAtTime(level, start);
+    }
+  };
+
+  const dispose = () => {
+    loadId++;
+    unload();
+    if (ctx) {
+      merger.disconnect();
+      masterGain.disconnect();
+      fadeGain.disconnect();
+      outputGain.disconnect();
+      outputMeters = [];
+      if (!sharedContext) ctx.close();
+      ctx = null;
+    }
+  };
+
+  return {
+    load,
+    play,
+    pause,
+    stop,
+    fadeOut,
+    seek,
+    setRepeat,
+    setLoop,
+    setRate,
+    setStemOffsets,
+    setTrim,
+    setAutomation,
+    setFades,
+    setMix,
+    setRouting,
+    dispose,
+    getCurrentTime,
+    getEndTime,
+    setOutputLevel,
+    getStemLevel,
+    getOutputLevels,
+    getContextTime: () => (ctx ? ctx.currentTime : 0),
+    getDuration: () => duration,
+    getPlayRange,
+    getRate: () => rate,
+    isPlaying: () => playing,
+    isFadingOut: () => fadingOut,
+  };
+};
@@ -0,0 +1,89 @@
+/* Encore! Automation
+   Volume envelopes that play along with the timeline. Two kinds are stored on
+   the cue record:
+
+   fades: { in, out, stop } in seconds: a fade up from the in point, a fade down
+   into the out point, and how long the manual "fade out and stop" takes.
+
+   automation: { [stemId]: [{ time, value }] }: breakpoints drawn on a stem's
+   lane, sorted by time, value being a gain from 0 to 1 on top of the mix.
+
+   An envelope is a list of such points joined by straight lines and held flat
+   before the first and after the last; no points means a steady 1. The engine
+   schedules envelopes on the context clock pass by pass (scheduleEnvelope), so
+   they stay in step with seeks, loops and tempo changes.
+*/
+
+export const DEFAULT_FADES = { in: 0, out: 0, stop: 5 };
+export const MAX_FADE = 60;
+
+export const envelopeValueAt = (points, time) => {
+  if (!points?.length) return 1;
+  if (time <= points[0].time) return points[0].value;
+  const next = points.findIndex(point => point.time > time);
+  if (next === -1) return points[points.length - 1].value;
+  const from = points[next - 1];
+  const to = points[next];
+  return from.value + ((time - from.time) / (to.time - from.time)) * (to.value - from.value);
+};
+
+// The cue's fades as an envelope over the played range ({ start, end }), or null without any
+export const getFadeEnvelope = (fades, { start, end }) => {
+  const length = end - start;
+  let fadeIn = Math.max(0, fades?.in || 0);
+  let fadeOut = Math.max(0, fades?.out || 0);
+  if (!(length > 0) || (!fadeIn && !fadeOut)) return null;
+  // Fades longer than the cue share it out between them
+  if (fadeIn + fadeOut > length) {
+    const scale = length / (fadeIn + fadeOut);
+    fadeIn *= scale;
+    fadeOut *= scale;
+  }
+  return [
+    ...(fadeIn ? [{ time: start, value: 0 }, { time: start + fadeIn, value: 1 }] : []),
+    ...(fadeOut ? [{ time: end - fadeOut, value: 1 }, { time: end, value: 0 }] : []),
+  ];
+};
+
+// --- Scheduling ---
+
+/**
+ * Puts the stretch of an envelope from `offset` to `endOffset` (cue time) onto
+ * an AudioParam, `offset` falling on context time `when`; `rate` is the
+ * playback rate. Anything already scheduled from `when` on should be cancelled first.
+ */
+export const scheduleEnvelope = (param, points, offset, endOffset, when, rate = 1) => {
+  const at = (time) => when + (time - offset) / rate;
+  param.setValueAtTime(envelopeValueAt(points, offset), when);
+  if (!points?.length) return;
+  points.forEach(point => {
+    if (point.time > offset && point.time < endOffset) param.linearRampToValueAtTime(point.value, at(point.time));
+  });
+  param.linearRampToValueAtTime(envelopeValueAt(points, endOffset), at(endOffset));
+};
+
+// --- Editing ---
+
+const clampValue = (value) => Math.max(0, Math.min(1, value));
+
+// Inserts a point in time order: { points, index } with where it went
+export const addPoint = (points = [], time, value) => {
+  const after = points.findIndex(point => point.time > time);
+  const index = after === -1 ? points.length : after;
+  return { points: [...points.slice(0, index), { time, value: clampValue(value) }, ...points.slice(index)], index };
+};
+
+// A point can't be dragged past its neighbours, so every index stays put
+export const movePoint = (points, index, time, value) => {
+  const min = index > 0 ? points[index - 1].time : 0;
+  const max = index < points.length - 1 ? points[index + 1].time : Infinity;
+  return points.map((point, i) => i === index ? { time: Math.max(min, Math.min(max, time)), value: clampValue(value) } : point);
+};
+
+export const removePoint = (points, index) => points.filter((_, i) => i !== index);
+
+// A stem left with no points is dropped from the cue's automation
+export const setStemAutomation = (automation, stemId, points) => {
+  const { [stemId]: _previous, ...rest } = automation || {};
+  return points.length > 0 ? { ...rest, [stemId]: points } : rest;
+};
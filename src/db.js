@@ -0,0 +1,449 @@
+/* Encore! Storage
+   IndexedDB persistence for shows, their songs (cue records), the songs' audio
+   and app settings.
+
+   Audio lives in its own store, one record per distinct file keyed by the
+   SHA-256 of its contents, so a stem imported twice (or shared between shows)
+   is stored once. Cue records only carry { blobHash, size } per stem and are
+   small enough to rewrite freely. Audio is written once when a song is added
+   and deleted when the last song using it goes.
+
+   Songs imported from a linked folder store no audio at all: the cue carries
+   the folder's folderId, its stems a link to their file (see linkedFolders.js),
+   and the folder's directory handle is kept in the folders store.
+
+   Removed songs go to the trash first: their record gains deletedAt and keeps
+   its audio, so the removal can be undone, even after a reload. Songs are only
+   deleted for good when the trash is emptied or after TRASH_RETENTION_DAYS.
+
+   Versions:
+   1  cues
+   2  + settings
+   3  + shows; cues gain a showId index, existing cues move into a default show
+   4  + blobs; stems saved before keep their audio inline until migrateStemBlobs()
+   5  + folders
+*/
+
+import { createShow, DEFAULT_SHOW_NAME } from './shows.js';
+
+const DB_NAME = 'encore-db';
+const DB_VERSION = 5;
+const STORE_NAME = 'cues';
+const SETTINGS_STORE = 'settings';
+const SHOWS_STORE = 'shows';
+const BLOBS_STORE = 'blobs';
+const FOLDERS_STORE = 'folders';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+const txDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = resolve;
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// v3: the single flat cue list becomes the songs and running order of a default show
+const migrateCuesIntoDefaultShow = (tx) => {
+  const cueStore = tx.objectStore(STORE_NAME);
+  const request = cueStore.getAll();
+  request.onsuccess = () => {
+    const records = (request.result || []).sort(byOrder);
+    const show = createShow(DEFAULT_SHOW_NAME, records.map(r => r.id));
+    records.forEach(record => cueStore.put({ ...record, showId: show.id }));
+    tx.objectStore(SHOWS_STORE).put(show);
+  };
+};
+
+// One connection, shared by every call. Another tab opening a newer version asks
+// for it to be closed (onversionchange); the next call then opens a fresh one
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+  const opening = new Promise((resolve, reject) => {
+    const forget = () => { if (dbPromise === opening) dbPromise = null; };
+    let blocked = false;
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      const tx = e.target.transaction;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      }
+      const cueStore = tx.objectStore(STORE_NAME);
+      if (!cueStore.indexNames.contains('showId')) {
+        cueStore.createIndex('showId', 'showId');
+      }
+      if (!db.objectStoreNames.contains(SHOWS_STORE)) {
+        db.createObjectStore(SHOWS_STORE, { keyPath: 'id' });
+        migrateCuesIntoDefaultShow(tx);
+      }
+      // Hashing is async and cannot run inside the upgrade, so v4 only adds the store
+      if (!db.objectStoreNames.contains(BLOBS_STORE)) {
+        db.createObjectStore(BLOBS_STORE, { keyPath: 'hash' });
+      }
+      if (!db.objectStoreNames.contains(FOLDERS_STORE)) {
+        db.createObjectStore(FOLDERS_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // The upgrade got through after all, but this attempt was already given up on
+      if (blocked) { db.close(); return; }
+      db.onversionchange = () => {
+        db.close();
+        forget();
+      };
+      db.onclose = forget;
+      resolve(db);
+    };
+    request.onerror = () => {
+      forget();
+      reject(request.error);
+    };
+    // An older version of the app, open in another tab, is holding on to the database
+    request.onblocked = () => {
+      blocked = true;
+      forget();
+      const error = new Error('encore! is open in another tab with an older version. Close that tab, then reload this one.');
+      error.name = 'BlockedError';
+      reject(error);
+    };
+  });
+  dbPromise = opening;
+  return opening;
+};
+
+// --- Audio blobs ---
+
+const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Stores each distinct blob once; the audio of an already known hash is not rewritten
+const putBlobs = (tx, blobs) => {
+  const store = tx.objectStore(BLOBS_STORE);
+  blobs.forEach(({ hash, blob }) => {
+    const request = store.getKey(hash);
+    request.onsuccess = () => {
+      if (request.result === undefined) store.put({ hash, blob, size: blob.size, type: blob.type });
+    };
+  });
+};
+
+const deleteUnused = (store, used) => {
+  const keysRequest = store.getAllKeys();
+  keysRequest.onsuccess = () => keysRequest.result.forEach(key => { if (!used.has(key)) store.delete(key); });
+};
+
+// Deletes blobs and linked folders no cue record refers to any more; runs in the
+// transaction that removed the cues
+const deleteOrphans = (tx) => {
+  const cuesRequest = tx.objectStore(STORE_NAME).getAll();
+  cuesRequest.onsuccess = () => {
+    const records = cuesRequest.result;
+    deleteUnused(tx.objectStore(BLOBS_STORE), new Set(records.flatMap(record => record.stems.map(s => s.blobHash).filter(Boolean))));
+    deleteUnused(tx.objectStore(FOLDERS_STORE), new Set(records.map(record => record.folderId).filter(Boolean)));
+  };
+};
+
+// --- Songs (cue records) ---
+
+// Hashes a cue's audio ahead of the transaction, which would otherwise close while waiting.
+// One stem at a time, as each is read into memory whole; stems already referring to a
+// stored blob keep that reference, linked stems are not stored at all
+const hashStems = async (stems) => {
+  const hashed = [];
+  for (const stem of stems) {
+    const blob = stem.link ? null : stem.file || stem.blob || null;
+    hashed.push(blob
+      ? { stem, blob, hash: await hashBlob(blob), size: blob.size }
+      : { stem, blob, hash: stem.blobHash || null, size: stem.size || 0 });
+  }
+  return hashed;
+};
+
+const toRecord = (cue, showId, order, hashedStems) => {
+  // Per-cue metadata (mix, scenes, markers, ...) is stored as-is alongside the stems
+  const { stems: _stems, ...meta } = cue;
+  return {
+    ...meta,
+    showId,
+    order,
+    stems: hashedStems.map(({ stem, hash, size }) => ({
+      id: stem.id,
+      stemName: stem.stemName,
+      name: stem.name,
+      blobHash: hash,
+      size,
+      link: stem.link || null,
+      peaks: stem.peaks || null,
+    })),
+  };
+};
+
+// Stems saved before v4 carry their audio inline as `blob`; linked stems come
+// without a file until it is read from their folder
+const fromRecord = (record, blobsByHash) => {
+  const { order: _order, stems, ...meta } = record;
+  return {
+    ...meta,
+    mix: meta.mix || null,
+    stems: stems.map(s => ({
+      id: s.id,
+      stemName: s.stemName,
+      name: s.name,
+      file: s.blobHash ? blobsByHash.get(s.blobHash) || null : s.blob || null,
+      link: s.link || null,
+      peaks: s.peaks || null,
+    })),
+  };
+};
+
+/**
+ * Adds new songs to a show, numbering them from `firstOrder`. Each song is
+ * written in its own transaction, so a failure (e.g. out of space) keeps the
+ * songs saved before it and never touches existing ones. Existing records are
+ * left alone: edits go through updateCueInDB, running order lives on the show.
+ */
+export const addCuesToDB = async (showId, cues, firstOrder = 0) => {
+  const db = await openDB();
+  for (const [index, cue] of cues.entries()) {
+    const hashedStems = await hashStems(cue.stems);
+    const tx = db.transaction([STORE_NAME, BLOBS_STORE], 'readwrite');
+    putBlobs(tx, hashedStems.filter(h => h.blob));
+    tx.objectStore(STORE_NAME).put(toRecord(cue, showId, firstOrder + index, hashedStems));
+    await txDone(tx);
+  }
+};
+
+// Reads a show's songs with their audio: those in the trash or the others
+const readCues = async (showId, trashed) => {
+  const db = await openDB();
+  const tx = db.transaction([STORE_NAME, BLOBS_STORE], 'readonly');
+  const all = (await requestResult(tx.objectStore(STORE_NAME).index('showId').getAll(showId))) || [];
+  const records = all.filter(record => Boolean(record.deletedAt) === trashed);
+  const blobStore = tx.objectStore(BLOBS_STORE);
+  const hashes = [...new Set(records.flatMap(record => record.stems.map(s => s.blobHash).filter(Boolean)))];
+  const entries = await Promise.all(hashes.map(async (hash) => [hash, (await requestResult(blobStore.get(hash)))?.blob]));
+  const blobsByHash = new Map(entries);
+  return records.sort(byOrder).map(record => fromRecord(record, blobsByHash));
+};
+
+export const loadCuesFromDB = (showId) => readCues(showId, false);
+
+// Merges metadata fields into a single cue record without touching the others
+export const updateCueInDB = async (cueId, updates) => {
+  const db = await openDB();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const request = store.get(cueId);
+  request.onsuccess = () => {
+    if (request.result) store.put({ ...request.result, ...updates });
+  };
+  return txDone(tx);
+};
+
+// Waveform peaks arrive per stem, after the song itself was saved
+export const saveStemPeaksToDB = async (cueId, stemId, peaks) => {
+  const db = await openDB();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const request = store.get(cueId);
+  request.onsuccess = () => {
+    const record = request.result;
+    if (!record) return;
+    store.put({ ...record, stems: record.stems.map(s => s.id === stemId ? { ...s, peaks } : s) });
+  };
+  return txDone(tx);
+};
+
+// Accepts changed files of a linked song as the new state of its stems. links: { [stemId]: link }
+export const updateStemLinksInDB = async (cueId, links) => {
+  const db = await openDB();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const request = store.get(cueId);
+  request.onsuccess = () => {
+    const record = request.result;
+    if (!record) return;
+    store.put({ ...record, stems: record.stems.map(s => links[s.id] ? { ...s, link: links[s.id] } : s) });
+  };
+  return txDone(tx);
+};
+
+// Deletes songs and whatever audio or folder only they were using
+export const removeCuesFromDB = async (cueIds) => {
+  const db = await openDB();
+  const tx = db.transaction([STORE_NAME, BLOBS_STORE, FOLDERS_STORE], 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  cueIds.forEach(id => store.delete(id));
+  deleteOrphans(tx);
+  return txDone(tx);
+};
+
+// --- Trash ---
+
+const setDeletedAt = async (cueIds, deletedAt) => {
+  const db = await openDB();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  cueIds.forEach(id => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, deletedAt });
+    };
+  });
+  return txDone(tx);
+};
+
+export const trashCuesInDB = (cueIds) => setDeletedAt(cueIds, Date.now());
+
+export const restoreCuesInDB = (cueIds) => setDeletedAt(cueIds, null);
+
+// A show's songs in the trash, most recently removed first; each keeps its deletedAt
+export const loadTrashFromDB = async (showId) =>
+  (await readCues(showId, true)).sort((a, b) => b.deletedAt - a.deletedAt);
+
+/**
+ * Deletes songs in the trash for good, with whatever audio only they were
+ * using: those of one show (or all shows when showId is null) removed before
+ * `before` (a timestamp).
+ */
+export const emptyTrashInDB = async ({ showId = null, before = Infinity } = {}) => {
+  const db = await openDB();
+  const records = await requestResult(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll());
+  const expired = records
+    .filter(record => record.deletedAt && record.deletedAt < before && (!showId || record.showId === showId))
+    .map(record => record.id);
+  if (expired.length > 0) await removeCuesFromDB(expired);
+  return expired.length;
+};
+
+// Moves audio stored inline by earlier versions into the blob store, one song at a time.
+// Each record is re-read in its transaction so edits made meanwhile are kept
+export const migrateStemBlobs = async () => {
+  const db = await openDB();
+  const records = await requestResult(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll());
+  for (const record of records.filter(r => r.stems.some(s => s.blob))) {
+    const hashedStems = await hashStems(record.stems);
+    const hashesById = new Map(hashedStems.map(h => [h.stem.id, h]));
+    const tx = db.transaction([STORE_NAME, BLOBS_STORE], 'readwrite');
+    putBlobs(tx, hashedStems.filter(h => h.blob));
+    const store = tx.objectStore(STORE_NAME);
+    const request = store.get(record.id);
+    request.onsuccess = () => {
+      const current = request.result;
+      if (!current) return;
+      store.put({
+        ...current,
+        stems: current.stems.map(({ blob, ...stem }) => {
+          const hashed = hashesById.get(stem.id);
+          return blob && hashed ? { ...stem, blobHash: hashed.hash, size: hashed.size } : { ...stem, blob };
+        }),
+      });
+    };
+    await txDone(tx);
+  }
+};
+
+// --- Linked folders ---
+
+// folder: { id, name, handle }; saving under an existing id relinks its songs
+export const saveLinkedFolderToDB = async (folder) => {
+  const db = await openDB();
+  const tx = db.transaction(FOLDERS_STORE, 'readwrite');
+  tx.objectStore(FOLDERS_STORE).put(folder);
+  return txDone(tx);
+};
+
+export const loadLinkedFoldersFromDB = async (folderIds) => {
+  const db = await openDB();
+  const store = db.transaction(FOLDERS_STORE, 'readonly').objectStore(FOLDERS_STORE);
+  const folders = await Promise.all(folderIds.map(id => requestResult(store.get(id))));
+  return folders.filter(Boolean);
+};
+
+// --- Usage ---
+
+/**
+ * How much audio each show keeps, in bytes: { shows: Map<showId, { songs, trashed,
+ * bytes }>, total }. Songs in the trash still hold on to their audio. Audio
+ * shared between shows counts towards each of them but only once towards the total.
+ */
+export const getStorageUsageFromDB = async () => {
+  const db = await openDB();
+  const records = await requestResult(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll());
+  const shows = new Map();
+  const sizes = new Map();
+  records.forEach(record => {
+    const usage = shows.get(record.showId) || { songs: 0, trashed: 0, bytes: 0, hashes: new Set() };
+    if (record.deletedAt) usage.trashed += 1;
+    else usage.songs += 1;
+    record.stems.forEach(stem => {
+      const key = stem.blobHash || `${record.id}:${stem.id}`;
+      const size = stem.blobHash ? stem.size : stem.blob?.size || 0;
+      if (!usage.hashes.has(key)) usage.bytes += size;
+      usage.hashes.add(key);
+      sizes.set(key, size);
+    });
+    shows.set(record.showId, usage);
+  });
+  const total = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  return { shows: new Map([...shows].map(([id, { songs, trashed, bytes }]) => [id, { songs, trashed, bytes }])), total };
+};
+
+// --- Shows ---
+
+export const loadShowsFromDB = async () => {
+  const db = await openDB();
+  const shows = await requestResult(db.transaction(SHOWS_STORE, 'readonly').objectStore(SHOWS_STORE).getAll());
+  return (shows || []).sort(byOrder);
+};
+
+export const saveShowToDB = async (show) => {
+  const db = await openDB();
+  const tx = db.transaction(SHOWS_STORE, 'readwrite');
+  tx.objectStore(SHOWS_STORE).put(show);
+  return txDone(tx);
+};
+
+// Deletes a show together with all of its songs and their audio
+export const removeShowFromDB = async (showId) => {
+  const db = await openDB();
+  const tx = db.transaction([SHOWS_STORE, STORE_NAME, BLOBS_STORE, FOLDERS_STORE], 'readwrite');
+  tx.objectStore(SHOWS_STORE).delete(showId);
+  const cueStore = tx.objectStore(STORE_NAME);
+  const keysRequest = cueStore.index('showId').getAllKeys(showId);
+  keysRequest.onsuccess = () => {
+    keysRequest.result.forEach(key => cueStore.delete(key));
+    deleteOrphans(tx);
+  };
+  return txDone(tx);
+};
+
+// --- Settings ---
+
+export const loadSettingFromDB = async (key, fallback = null) => {
+  const db = await openDB();
+  const result = await requestResult(db.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE).get(key));
+  return result ? result.value : fallback;
+};
+
+export const saveSettingToDB = async (key, value) => {
+  const db = await openDB();
+  const tx = db.transaction(SETTINGS_STORE, 'readwrite');
+  tx.objectStore(SETTINGS_STORE).put({ key, value });
+  return txDone(tx);
+};
@@ -0,0 +1,128 @@
+/* Encore! Folder Import
+   Turns the flat file list of a directory picker (a folder <input>, or the
+   files of a linked folder, see linkedFolders.js) into one planned cue per
+   song subfolder ("Subfolders = Songs. Files = Stems."). An .lrc or .txt file
+   next to the stems becomes the song's lyrics. Nothing here touches IndexedDB;
+   the plan is shown for review before it is saved.
+*/
+
+import { isLyricsFile, pickLyricsFile } from './lyrics.js';
+
+const AUDIO_EXTENSIONS = /\.(wav|wave|aif|aiff|mp3|m4a|aac|flac|ogg|oga|opus|webm)$/i;
+
+export const isAudioFile = (file) =>
+  (file.type || '').startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name);
+
+// "2 - Opening" sorts before "10 - Finale"
+export const naturalCompare = (a, b) =>
+  a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const pathSegments = (file) => (file.relativePath || file.webkitRelativePath || file.name).split('/').filter(Boolean);
+
+const toStems = (entries) => entries
+  .map((entry, index) => ({
+    id: `local-${index}-${entry.stemName}`,
+    name: entry.file.name,
+    stemName: entry.stemName,
+    file: entry.file,
+  }))
+  .sort((a, b) => naturalCompare(a.stemName, b.stemName));
+
+/**
+ * Groups selected files by their first-level subfolder.
+ * Returns { rootName, songs: [{ key, name, stems, lyricsFile, warnings, include }], skipped: [{ path, reason }] }.
+ */
+export const planFolderImport = (fileList) => {
+  const files = Array.from(fileList);
+  const groups = new Map(); // subfolder -> { entries, nested }
+  const looseEntries = [];
+  const lyricsFiles = new Map(); // subfolder (null = loose) -> [File]
+  const nonAudio = [];
+  let rootName = 'My Show';
+
+  files.forEach(file => {
+    const segments = pathSegments(file);
+    if (segments.length > 1) rootName = segments[0];
+    // Hidden/system files (".DS_Store", "._Vocals.wav") are never stems
+    if (segments.some(s => s.startsWith('.'))) return;
+
+    const isLoose = segments.length <= 2;
+    const folder = isLoose ? null : segments[1];
+
+    if (!isAudioFile(file)) {
+      // Only lyrics right beside the stems count; deeper ones are likely notes or old takes
+      if (isLyricsFile(file) && (isLoose || segments.length === 3)) {
+        lyricsFiles.set(folder, [...(lyricsFiles.get(folder) || []), file]);
+      } else {
+        nonAudio.push({ folder, path: segments.join('/') });
+      }
+      return;
+    }
+
+    if (isLoose) {
+      looseEntries.push({ file, stemName: file.name });
+      return;
+    }
+
+    if (!groups.has(folder)) groups.set(folder, { entries: [], nested: false });
+    const group = groups.get(folder);
+    const inner = segments.slice(2);
+    if (inner.length > 1) group.nested = true;
+    group.entries.push({ file, stemName: inner.join('/') });
+  });
+
+  const songs = [...groups.entries()]
+    .sort(([a], [b]) => naturalCompare(a, b))
+    .map(([folder, group]) => ({
+      key: folder,
+      name: folder,
+      stems: toStems(group.entries),
+      lyricsFile: pickLyricsFile(lyricsFiles.get(folder) || []),
+      warnings: group.nested ? ['Contains nested folders; their files were added as stems of this song.'] : [],
+      include: true,
+    }));
+
+  if (looseEntries.length > 0) {
+    if (songs.length === 0) {
+      // A single song folder was picked directly
+      songs.push({
+        key: rootName,
+        name: rootName,
+        stems: toStems(looseEntries),
+        lyricsFile: pickLyricsFile(lyricsFiles.get(null) || []),
+        warnings: [],
+        include: true,
+      });
+    } else {
+      songs.push({
+        key: `${rootName}/`,
+        name: rootName,
+        stems: toStems(looseEntries),
+        lyricsFile: null,
+        warnings: ['Loose files in the show folder, outside any song subfolder.'],
+        include: false,
+      });
+    }
+  }
+
+  // Lyrics files that didn't become a song's lyrics (a second one, or no song to go with)
+  const usedLyrics = new Set(songs.map(song => song.lyricsFile).filter(Boolean));
+  lyricsFiles.forEach((files, folder) => {
+    files
+      .filter(file => !usedLyrics.has(file))
+      .forEach(file => nonAudio.push({ folder, path: pathSegments(file).join('/') }));
+  });
+
+  // Subfolders without any audio are reported once rather than file by file
+  const skipped = [];
+  const emptyFolders = new Set();
+  nonAudio.forEach(({ folder, path }) => {
+    if (folder && !groups.has(folder)) emptyFolders.add(folder);
+    else skipped.push({ path, reason: 'Not an audio file' });
+  });
+  [...emptyFolders].sort(naturalCompare).forEach(folder => {
+    skipped.push({ path: `${rootName}/${folder}`, reason: 'Subfolder contains no audio files' });
+  });
+
+  return { rootName, songs, skipped };
+};
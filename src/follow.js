@@ -0,0 +1,31 @@
+/* Encore! Follow Actions
+   What happens when a cue plays out, stored on the cue record as
+   follow: { action, delay, fadeDuration }.
+
+   stop       playback stops at the end of the cue (the default)
+   continue   the next cue starts `delay` seconds after this one ends
+   crossfade  the next cue fades in over `fadeDuration` seconds while this one fades out
+*/
+
+export const FOLLOW_ACTIONS = ['stop', 'continue', 'crossfade'];
+export const DEFAULT_FOLLOW = { action: 'stop', delay: 0, fadeDuration: 3 };
+
+export const followsOn = (follow) => !!follow && follow.action !== 'stop';
+
+export const describeFollow = (follow = DEFAULT_FOLLOW) => {
+  if (follow.action === 'continue') return follow.delay > 0 ? `Continue +${follow.delay}s` : 'Segue';
+  if (follow.action === 'crossfade') return `Crossfade ${follow.fadeDuration}s`;
+  return 'Stop';
+};
+
+/**
+ * Context times for a transition out of a cue that runs out at `endAt`.
+ * startAt: when the next cue starts; fadeDuration: length of the crossfade (0 for a cut).
+ */
+export const getSegueTiming = (follow, endAt) => {
+  if (follow.action === 'crossfade') {
+    const fadeDuration = Math.max(0, follow.fadeDuration || 0);
+    return { startAt: endAt - fadeDuration, fadeDuration };
+  }
+  return { startAt: endAt + Math.max(0, follow.delay || 0), fadeDuration: 0 };
+};
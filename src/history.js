@@ -0,0 +1,98 @@
+/* Encore! History
+   Undo and redo for edits to the active show: songs removed or imported, the
+   running order, renames and mixer changes. Each entry holds both sides of
+   one edit, so it can be applied either way:
+
+   { label, show, removed, added, cues, key, at }
+
+   show: { before, after } with only the show fields the edit changed
+   (setlists, name, ...), or null.
+   removed / added: the songs (cue objects) the edit moved to the trash or
+   brought in; undoing restores the removed ones and trashes the added ones.
+   cues: [{ cueId, before, after }], fields of a song as they were and became.
+
+   Mixer changes arrive on every slider step, so an edit with the same key as
+   the last entry, made within COALESCE_TIME of it, extends that entry
+   instead of adding another.
+*/
+
+export const HISTORY_LIMIT = 100;
+export const COALESCE_TIME = 1000;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+export const UNDO_KEYS = ['Ctrl+Z', 'Meta+Z'];
+export const REDO_KEYS = ['Ctrl+Shift+Z', 'Meta+Shift+Z', 'Ctrl+Y'];
+
+// Song fields whose edits are undoable, with what the edit is called
+const CUE_FIELD_LABELS = {
+  name: 'Rename song',
+  mix: 'Mixer change',
+  scenes: 'Scene change',
+  defaultSceneId: 'Scene change',
+};
+
+export const createEntry = ({ label, show = null, removed = [], added = [], cues = [], key = null }) => ({
+  label, show, removed, added, cues, key, at: Date.now(),
+});
+
+// The fields that differ between two versions of a record, as { before, after }; null when none do
+export const diffFields = (before, after) => {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => before[key] !== after[key]);
+  if (keys.length === 0) return null;
+  return {
+    before: Object.fromEntries(keys.map(key => [key, before[key]])),
+    after: Object.fromEntries(keys.map(key => [key, after[key]])),
+  };
+};
+
+// An entry for an edit to a song's fields, or null when none of them is undoable
+export const createCueEntry = (cue, updates) => {
+  const fields = Object.keys(updates).filter(field => field in CUE_FIELD_LABELS);
+  if (fields.length === 0) return null;
+  return createEntry({
+    label: CUE_FIELD_LABELS[fields[0]],
+    cues: [{
+      cueId: cue.id,
+      before: Object.fromEntries(fields.map(field => [field, cue[field]])),
+      after: Object.fromEntries(fields.map(field => [field, updates[field]])),
+    }],
+    key: `${cue.id}:${[...fields].sort().join(',')}`,
+  });
+};
+
+// A new edit clears what could be redone
+export const pushEntry = (history, entry) => {
+  const last = history.past[history.past.length - 1];
+  if (entry.key && last?.key === entry.key && entry.at - last.at < COALESCE_TIME) {
+    const merged = {
+      ...last,
+      cues: last.cues.map((edit, i) => ({ ...edit, after: entry.cues[i].after })),
+      at: entry.at,
+    };
+    return { past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+};
+
+// `applied` is the entry as it was undone (or redone), with fresh copies of the songs it moved
+export const moveToFuture = (history, applied) => ({
+  past: history.past.slice(0, -1),
+  future: [applied, ...history.future],
+});
+
+export const moveToPast = (history, applied) => ({
+  past: [...history.past, applied],
+  future: history.future.slice(1),
+});
+
+// Which side of an entry an undo or redo puts back
+export const getSide = (entry, direction) => {
+  const undo = direction === 'undo';
+  return {
+    show: entry.show && (undo ? entry.show.before : entry.show.after),
+    cues: entry.cues.map(edit => ({ cueId: edit.cueId, fields: undo ? edit.before : edit.after })),
+    trash: undo ? entry.added : entry.removed,
+    restore: undo ? entry.removed : entry.added,
+  };
+};
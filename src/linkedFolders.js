@@ -0,0 +1,76 @@
+/* Encore! Linked Folders
+   The alternative to copying audio into IndexedDB: a show folder picked with
+   the File System Access API is kept as a directory handle, and its songs'
+   stems are re-read from disk every time the show opens. Each linked stem
+   records where it was and what it looked like when linked:
+   link: { path, size, lastModified }, path relative to the folder.
+
+   A stem whose file is gone is reported 'missing' and plays silent; one whose
+   file changed (a new mix from the arranger) is 'updated' and plays the new
+   file straight away, with the change reported until it is accepted.
+*/
+
+export const canLinkFolders = () => typeof window.showDirectoryPicker === 'function';
+
+// Rejects with an AbortError when the user cancels
+export const pickFolder = () => window.showDirectoryPicker({ id: 'encore-show-folder', mode: 'read' });
+
+/**
+ * Every file under a directory handle, for planFolderImport. Each File gets a
+ * `relativePath` ("Show/Song/Vocals.wav") standing in for the webkitRelativePath
+ * a folder <input> would set.
+ */
+export const readFolderFiles = async (handle) => {
+  const files = [];
+  const walk = async (directory, prefix) => {
+    for await (const entry of directory.values()) {
+      const path = `${prefix}/${entry.name}`;
+      if (entry.kind === 'directory') {
+        await walk(entry, path);
+      } else {
+        const file = await entry.getFile();
+        file.relativePath = path;
+        files.push(file);
+      }
+    }
+  };
+  await walk(handle, handle.name);
+  return files;
+};
+
+// The link for a file read by readFolderFiles: its path without the folder's own name
+export const linkFor = (file) => ({
+  path: file.relativePath.split('/').slice(1).join('/'),
+  size: file.size,
+  lastModified: file.lastModified,
+});
+
+// Access granted in an earlier session usually has to be asked for again, which
+// only works from a click; `request` is for that case
+export const hasReadPermission = async (handle, request = false) => {
+  const options = { mode: 'read' };
+  if ((await handle.queryPermission(options)) === 'granted') return true;
+  return request && (await handle.requestPermission(options)) === 'granted';
+};
+
+const getFileAt = async (handle, path) => {
+  const segments = path.split('/');
+  let directory = handle;
+  for (const name of segments.slice(0, -1)) directory = await directory.getDirectoryHandle(name);
+  return (await directory.getFileHandle(segments[segments.length - 1])).getFile();
+};
+
+/**
+ * Looks up linked stems in a folder: [{ stemId, file, status }], status being
+ * 'ok', 'updated' (size or modification time differ from the link) or 'missing'.
+ */
+export const resolveLinkedStems = async (handle, stems) => Promise.all(stems.map(async (stem) => {
+  try {
+    const file = await getFileAt(handle, stem.link.path);
+    const changed = file.size !== stem.link.size || file.lastModified !== stem.link.lastModified;
+    return { stemId: stem.id, file, status: changed ? 'updated' : 'ok' };
+  } catch (err) {
+    if (err.name !== 'NotFoundError' && err.name !== 'TypeMismatchError') console.warn(`Could not read "${stem.link.path}":`, err);
+    return { stemId: stem.id, file: null, status: 'missing' };
+  }
+}));
@@ -0,0 +1,93 @@
+/* Encore! Lyrics
+   Read-along lines for a cue, stored on the cue record as
+   lyrics: { lines: [{ id, time, text }] } with time in seconds of cue time, or
+   null for a line that hasn't been timed yet. Timed lines are kept in order,
+   so the line being sung is always the last one timed before the playhead.
+
+   Accepted text:
+   - LRC: "[01:02.50]Line", several time tags per line allowed, [offset:ms] honoured
+   - Timed script: "1:02.5 Line" (or "01:02:03 Line" with hours), one per line
+   - Plain lines, which come in untimed and are tapped in while listening
+*/
+
+export const LYRICS_EXTENSIONS = /\.(lrc|txt)$/i;
+
+export const isLyricsFile = (file) => LYRICS_EXTENSIONS.test(file.name);
+
+// LRC files win over plain text when a song folder has both
+export const pickLyricsFile = (files) =>
+  files.find(file => /\.lrc$/i.test(file.name)) || files[0] || null;
+
+const LRC_TIME_TAG = /\[(\d+):(\d{1,2}(?:[.:]\d+)?)\]/g;
+const HAS_LRC_TIME_TAG = /\[\d+:\d{1,2}(?:[.:]\d+)?\]/;
+const LRC_OFFSET_TAG = /^\[offset:\s*([+-]?\d+)\]$/i;
+// Other LRC header tags ([ar:Artist], [ti:Title], ...) carry no lines
+const LRC_META_TAG = /^\[[a-z]+:.*\]$/i;
+const SCRIPT_TIME = /^(?:(\d+):)?(\d+):(\d{1,2}(?:\.\d+)?)\s+(.*)$/;
+
+const toSeconds = (minutes, seconds) => Number(minutes) * 60 + Number(seconds.replace(':', '.'));
+
+let nextLineId = 0;
+const createLine = (time, text) => ({ id: `line-${Date.now()}-${nextLineId++}`, time, text });
+
+const isInOrder = (lines) => lines.every((line, i) => i === 0 || line.time >= lines[i - 1].time);
+
+const parseLrc = (rows) => {
+  // A positive offset makes the lyrics come in earlier
+  const offsetTag = rows.map(row => row.match(LRC_OFFSET_TAG)).find(Boolean);
+  const offset = offsetTag ? Number(offsetTag[1]) / 1000 : 0;
+  const lines = [];
+  rows.forEach(row => {
+    if (LRC_META_TAG.test(row)) return;
+    const text = row.replace(LRC_TIME_TAG, '').trim();
+    const times = [...row.matchAll(LRC_TIME_TAG)].map(match => toSeconds(match[1], match[2]));
+    if (times.length === 0) lines.push(createLine(null, text));
+    times.forEach(time => lines.push(createLine(Math.max(0, time - offset), text)));
+  });
+  // Repeated tags ("[00:10][01:10]Chorus") put lines out of order; untimed ones then go last
+  const timed = lines.filter(line => line.time != null);
+  if (isInOrder(timed)) return lines;
+  return [...timed.sort((a, b) => a.time - b.time), ...lines.filter(line => line.time == null)];
+};
+
+// Script and plain lines keep the order they were written in, so tapping works top to bottom
+const parseScript = (rows) => rows.map(row => {
+  const script = row.match(SCRIPT_TIME);
+  if (!script) return createLine(null, row);
+  const [, hours, minutes, seconds, text] = script;
+  return createLine(Number(hours || 0) * 3600 + toSeconds(minutes, seconds), text.trim());
+});
+
+export const parseLyrics = (text) => {
+  const rows = text.replace(/\r\n?/g, '\n').split('\n').map(row => row.trim()).filter(Boolean);
+  return rows.some(row => HAS_LRC_TIME_TAG.test(row)) ? parseLrc(rows) : parseScript(rows);
+};
+
+export const readLyricsFile = async (file) => parseLyrics(await file.text());
+
+export const formatLyricTime = (time) => {
+  const minutes = Math.floor(time / 60);
+  const seconds = (time - minutes * 60).toFixed(2).padStart(5, '0');
+  return `${String(minutes).padStart(2, '0')}:${seconds}`;
+};
+
+// Untimed lines are written without a tag, which parseLyrics reads back as untimed
+export const serializeLrc = (lines) =>
+  lines.map(line => line.time != null ? `[${formatLyricTime(line.time)}]${line.text}` : line.text).join('\n');
+
+// Index of the line being sung at `time`: the last timed line at or before it, or -1
+export const findCurrentLine = (lines, time) => {
+  let current = -1;
+  lines.forEach((line, index) => {
+    if (line.time != null && line.time <= time) current = index;
+  });
+  return current;
+};
+
+// Stamps one line with a time; lines whose times would now be out of order lose them
+export const setLineTime = (lines, index, time) => lines.map((line, i) => {
+  if (i === index) return { ...line, time };
+  if (line.time == null) return line;
+  if ((i > index && line.time < time) || (i < index && line.time > time)) return { ...line, time: null };
+  return line;
+});
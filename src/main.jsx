@@ -2,9 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import StageView from './StageView.jsx'
+import { isStageWindow } from './stage.js'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isStageWindow() ? <StageView /> : <App />}
   </StrictMode>,
 )
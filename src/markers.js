@@ -0,0 +1,31 @@
+/* Encore! Markers
+   Named positions inside a cue ("Verse 2", "Dance break"), stored on the cue
+   record as markers: [{ id, name, time }] and always kept sorted by time.
+*/
+
+export const sortMarkers = (markers) => [...markers].sort((a, b) => a.time - b.time);
+
+let nextMarkerId = 0;
+
+export const addMarker = (markers, time, name) => sortMarkers([
+  ...markers,
+  { id: `marker-${Date.now()}-${nextMarkerId++}`, name: name || `Marker ${markers.length + 1}`, time },
+]);
+
+export const updateMarker = (markers, markerId, updates) =>
+  sortMarkers(markers.map(m => m.id === markerId ? { ...m, ...updates } : m));
+
+export const removeMarker = (markers, markerId) => markers.filter(m => m.id !== markerId);
+
+// Small tolerance so "previous" from just after a marker skips back past it
+const JUMP_TOLERANCE = 0.5;
+
+export const findPrevMarker = (markers, time) =>
+  [...markers].reverse().find(m => m.time < time - JUMP_TOLERANCE) || null;
+
+export const findNextMarker = (markers, time) =>
+  markers.find(m => m.time > time + 0.05) || null;
+
+// The section the playhead is in: the last marker at or before it
+export const findCurrentMarker = (markers, time) =>
+  [...markers].reverse().find(m => m.time <= time) || null;
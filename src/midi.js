@@ -0,0 +1,129 @@
+/* Encore! MIDI Control
+   Maps notes, control changes and program changes from a MIDI controller (foot
+   switch, pad, fader box) onto player actions. Mappings are stored as
+   { id, action, param, trigger: { type, channel, number } }.
+
+   Everything except connectMidiInputs works on raw message bytes, so mapping
+   logic can be driven with synthetic messages, e.g. [0xB0, 7, 100] for CC 7 on
+   channel 1.
+*/
+
+// kind: 'trigger' fires once per press, 'toggle' flips a state per press,
+// 'continuous' follows a CC value (0..1). param: what the action needs to know.
+export const MIDI_ACTIONS = [
+  { action: 'togglePlay', label: 'Play / Pause', kind: 'trigger' },
+  { action: 'stop', label: 'Stop', kind: 'trigger' },
+  { action: 'fadeOut', label: 'Fade out and stop', kind: 'trigger' },
+  { action: 'next', label: 'Next cue', kind: 'trigger' },
+  { action: 'prev', label: 'Previous cue', kind: 'trigger' },
+  { action: 'goToCue', label: 'Go to cue', kind: 'trigger', param: 'cue' },
+  { action: 'masterVolume', label: 'Master volume', kind: 'continuous' },
+  { action: 'stemVolume', label: 'Stem volume', kind: 'continuous', param: 'stem' },
+  { action: 'stemMute', label: 'Stem mute', kind: 'toggle', param: 'stem' },
+  { action: 'stemSolo', label: 'Stem solo', kind: 'toggle', param: 'stem' },
+];
+
+// CC switches (sustain pedals, foot switches) count as pressed from this value up
+const CC_PRESS_THRESHOLD = 64;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const getMidiAction = (action) => MIDI_ACTIONS.find(a => a.action === action) || null;
+
+export const noteName = (number) => `${NOTE_NAMES[number % 12]}${Math.floor(number / 12) - 1}`;
+
+/**
+ * Decodes a channel message. Returns { type: 'note' | 'cc' | 'program', channel (1-16),
+ * number, value } or null for everything else. Note-offs (including note-on with
+ * velocity 0) come back as notes with value 0.
+ */
+export const parseMidiMessage = (data) => {
+  const [status, number = 0, value = 0] = data;
+  const channel = (status & 0x0f) + 1;
+  switch (status & 0xf0) {
+    case 0x90: return { type: 'note', channel, number, value };
+    case 0x80: return { type: 'note', channel, number, value: 0 };
+    case 0xb0: return { type: 'cc', channel, number, value };
+    case 0xc0: return { type: 'program', channel, number, value: 127 };
+    default: return null;
+  }
+};
+
+const isPress = (message) => message.type === 'program' || (message.type === 'note' ? message.value > 0 : message.value >= CC_PRESS_THRESHOLD);
+
+// The control a message came from, for MIDI learn. Any CC value counts (a fader may never
+// cross the press threshold); note-offs are ignored so a key is learned on the way down.
+export const learnMidiTrigger = (message) =>
+  message && !(message.type === 'note' && message.value === 0)
+    ? { type: message.type, channel: message.channel, number: message.number }
+    : null;
+
+const matchesTrigger = (trigger, message) =>
+  !!trigger && trigger.type === message.type && trigger.channel === message.channel && trigger.number === message.number;
+
+/**
+ * Commands a message fires: [{ action, param, value }]. Continuous actions get the
+ * CC value scaled to 0..1 on every message; triggers and toggles fire once per press.
+ */
+export const resolveMidiMessage = (mappings, message) => {
+  if (!message) return [];
+  return mappings
+    .filter(mapping => matchesTrigger(mapping.trigger, message))
+    .flatMap(mapping => {
+      const kind = getMidiAction(mapping.action)?.kind;
+      if (kind === 'continuous') {
+        return message.type === 'cc' ? [{ action: mapping.action, param: mapping.param, value: message.value / 127 }] : [];
+      }
+      return kind && isPress(message) ? [{ action: mapping.action, param: mapping.param, value: 1 }] : [];
+    });
+};
+
+export const describeMidiTrigger = (trigger) => {
+  if (!trigger) return 'Not learned';
+  const control = trigger.type === 'note' ? `Note ${noteName(trigger.number)}`
+    : trigger.type === 'cc' ? `CC ${trigger.number}`
+    : `Program ${trigger.number + 1}`;
+  return `${control} · ch ${trigger.channel}`;
+};
+
+export const describeMidiMapping = (mapping) => {
+  const label = getMidiAction(mapping.action)?.label || mapping.action;
+  if (mapping.param == null) return label;
+  return getMidiAction(mapping.action)?.param === 'cue' ? `${label} ${mapping.param}` : `${label} · lane ${mapping.param}`;
+};
+
+let nextMappingId = 0;
+export const createMidiMapping = (action, param = null) => ({
+  id: `midi-${Date.now()}-${nextMappingId++}`,
+  action,
+  param,
+  trigger: null,
+});
+
+// --- Browser MIDI ---
+
+/**
+ * Listens to every MIDI input, including ones plugged in later.
+ * onMessage receives raw bytes; onInputsChange the names of the connected inputs.
+ * Resolves to a disconnect function; rejects if Web MIDI is unavailable or denied.
+ */
+export const connectMidiInputs = async (onMessage, onInputsChange) => {
+  if (!navigator.requestMIDIAccess) throw new Error('Web MIDI is not supported in this browser.');
+  const access = await navigator.requestMIDIAccess();
+  const handleMessage = (e) => onMessage(e.data);
+
+  const attach = () => {
+    const names = [];
+    access.inputs.forEach(input => {
+      input.onmidimessage = handleMessage;
+      names.push(input.name);
+    });
+    onInputsChange?.(names);
+  };
+  attach();
+  access.onstatechange = attach;
+
+  return () => {
+    access.onstatechange = null;
+    access.inputs.forEach(input => { input.onmidimessage = null; });
+  };
+};
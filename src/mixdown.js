@@ -0,0 +1,164 @@
+/* Encore! Mixdown
+   Renders a cue's stems with a mixer state to a stereo WAV: the stems go
+   through the same chain as playback (createStemChain) in an
+   OfflineAudioContext, always at the cue's original tempo. Stems that the mix
+   silences are not even decoded. The master mute is ignored; the master
+   volume is not. Stem offsets, the cue's fades and drawn stem automation all
+   apply just as they do in playback.
+*/
+
+import { createStemChain, applyStemState, getStemGain } from './audioEngine.js';
+import { getFadeEnvelope, scheduleEnvelope } from './automation.js';
+import { getTrimRange } from './timeline.js';
+
+export const SAMPLE_RATES = [44100, 48000];
+export const BIT_DEPTHS = [16, 24];
+
+// How often a render stops to report how far it got, in seconds of audio
+const PROGRESS_STEP = 5;
+
+// "1:23.5", "83.5" -> seconds; null when it isn't a time
+export const parseClock = (text) => {
+  const match = text.trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  return Number(match[1] || 0) * 60 + Number(match[2]);
+};
+
+export const mixdownFileName = (...parts) =>
+  `${parts.filter(Boolean).join(' - ').trim().replace(/[\\/:*?"<>|]+/g, '-') || 'mixdown'}.wav`;
+
+/**
+ * Renders stems ([{ id, file }]) mixed by `mixerState` to an AudioBuffer.
+ * range: { start, end } in seconds of the cue (end null for the end), or null for all of it.
+ * offsets: Map stemId -> seconds, as for the engine's setStemOffsets.
+ * fades, trim and automation are the cue's own (see automation.js and timeline.js).
+ * onProgress(0-1) is called as the render advances.
+ */
+export const renderMixdown = async ({
+  stems,
+  mixerState,
+  masterVolume = 1,
+  range = null,
+  offsets = new Map(),
+  fades = null,
+  trim = null,
+  automation = {},
+  sampleRate = 48000,
+  onProgress,
+}) => {
+  const anySolo = Object.values(mixerState).some(state => state.soloed);
+  const audible = stems.filter(stem => stem.file && getStemGain(mixerState[stem.id], anySolo) > 0);
+  if (audible.length === 0) throw new Error('Every stem is muted in this mix.');
+
+  // One stem at a time, each resampled to the output rate as it is decoded
+  const decodeContext = new OfflineAudioContext(2, 1, sampleRate);
+  const buffers = [];
+  for (const stem of audible) {
+    buffers.push({ id: stem.id, buffer: await decodeContext.decodeAudioData(await stem.file.arrayBuffer()) });
+  }
+
+  const duration = Math.max(...buffers.map(({ id, buffer }) => (offsets.get(id) || 0) + buffer.duration));
+  const start = Math.max(0, range?.start ?? 0);
+  const end = Math.min(duration, range?.end ?? duration);
+  if (end - start <= 0) throw new Error('There is nothing to render in this range.');
+
+  const length = Math.ceil((end - start) * sampleRate);
+  const context = new OfflineAudioContext(2, length, sampleRate);
+  const master = context.createGain();
+  master.gain.value = masterVolume;
+  const fade = context.createGain();
+  scheduleEnvelope(fade.gain, getFadeEnvelope(fades, getTrimRange(trim, duration)), start, end, 0);
+  master.connect(fade);
+  fade.connect(context.destination);
+  buffers.forEach(({ id, buffer }) => {
+    const shift = offsets.get(id) || 0;
+    const from = Math.max(start, shift);
+    const to = Math.min(end, shift + buffer.duration);
+    if (to <= from) return;
+    const chain = createStemChain(context);
+    applyStemState(chain, mixerState[id], anySolo);
+    scheduleEnvelope(chain.automation.gain, automation[id], start, end, 0);
+    chain.panner.connect(master);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(chain.gain);
+    source.start(from - start, from - shift, to - from);
+  });
+
+  if (onProgress) {
+    const rendered = end - start;
+    for (let time = PROGRESS_STEP; time < rendered; time += PROGRESS_STEP) {
+      context.suspend(time).then(() => {
+        onProgress(time / rendered);
+        context.resume();
+      });
+    }
+  }
+  const result = await context.startRendering();
+  onProgress?.(1);
+  return result;
+};
+
+// --- WAV ---
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+};
+
+// 16-bit output is dithered (triangular, one LSB) so quiet passages don't turn to grit
+export const encodeWav = (buffer, bitDepth = 16) => {
+  const channels = buffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = buffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const data = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+  const max = 2 ** (bitDepth - 1) - 1;
+  const dither = bitDepth === 16;
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const noise = dither ? Math.random() - Math.random() : 0;
+      const sample = Math.max(-max - 1, Math.min(max, Math.round(data[channel][i] * max + noise)));
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample, true);
+      } else {
+        view.setUint8(offset, sample & 0xff);
+        view.setUint8(offset + 1, (sample >> 8) & 0xff);
+        view.setUint8(offset + 2, (sample >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+// --- Saving ---
+
+export const canPickOutputFolder = () => typeof window.showDirectoryPicker === 'function';
+
+// For batch renders: one folder to write every file into. Rejects with an AbortError when cancelled
+export const pickOutputFolder = () =>
+  window.showDirectoryPicker({ id: 'encore-mixdown', mode: 'readwrite', startIn: 'music' });
+
+export const writeToFolder = async (folder, fileName, blob) => {
+  const handle = await folder.getFileHandle(fileName, { create: true });
+  const writable = await handle.createWritable();
+  await writable.write(blob);
+  await writable.close();
+};
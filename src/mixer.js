@@ -0,0 +1,115 @@
+/* Encore! Mixer State
+   Shape of a cue's saved mix as stored on the cue record:
+   { stems: { [stemId]: { volume, muted, soloed, pan, eq: { low, mid, high }, hpf } }, masterVolume }
+
+   volume is linear gain (1 = 0 dB; stems can be boosted up to MAX_GAIN_DB),
+   pan runs from -1 (left) to 1 (right), EQ band gains are in dB and hpf is the
+   high-pass cutoff in Hz (0 = off). Mixes saved before pan and EQ existed come
+   back centered and flat.
+*/
+
+export const FLAT_EQ = { low: 0, mid: 0, high: 0 };
+export const UNITY_STEM = { volume: 1, muted: false, soloed: false, pan: 0, eq: FLAT_EQ, hpf: 0 };
+
+// Mixer state for a cue's stems, restored from its saved mix where present
+export const buildMixerState = (stems, savedMix) => {
+  const state = {};
+  stems.forEach(stem => {
+    const saved = savedMix?.stems?.[stem.id];
+    state[stem.id] = { ...UNITY_STEM, ...saved, eq: { ...FLAT_EQ, ...saved?.eq } };
+  });
+  return state;
+};
+
+export const serializeMix = (mixerState, masterVolume) => {
+  const stems = {};
+  Object.entries(mixerState).forEach(([stemId, { volume, muted, soloed, pan, eq, hpf }]) => {
+    stems[stemId] = { volume, muted, soloed, pan, eq, hpf };
+  });
+  return { stems, masterVolume };
+};
+
+// Pan, EQ and high-pass all at their neutral settings
+export const isFlatStem = (stem) =>
+  !stem.pan && !stem.hpf && Object.values(stem.eq || {}).every(gain => !gain);
+
+export const isUnityMix = (mix) => !mix || (
+  (mix.masterVolume ?? 1) === 1 &&
+  Object.values(mix.stems || {}).every(s => s.volume === 1 && !s.muted && !s.soloed && isFlatStem(s))
+);
+
+// --- Gain ---
+
+export const MIN_GAIN_DB = -60;
+export const MAX_GAIN_DB = 12;
+
+export const dbToGain = (db) => Math.pow(10, db / 20);
+export const gainToDb = (gain) => gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+
+// Faders run evenly in dB from MIN_GAIN_DB to MAX_GAIN_DB; the very bottom is silence
+export const faderToGain = (position) =>
+  position <= 0 ? 0 : dbToGain(MIN_GAIN_DB + Math.min(1, position) * (MAX_GAIN_DB - MIN_GAIN_DB));
+
+export const gainToFader = (gain) =>
+  gain > 0 ? Math.max(0, Math.min(1, (gainToDb(gain) - MIN_GAIN_DB) / (MAX_GAIN_DB - MIN_GAIN_DB))) : 0;
+
+export const formatGain = (gain) => {
+  const db = gainToDb(gain);
+  if (db <= MIN_GAIN_DB) return '-∞ dB';
+  return `${db > 0.05 ? '+' : ''}${db.toFixed(1)} dB`;
+};
+
+export const formatPan = (pan) => {
+  if (Math.abs(pan) < 0.005) return 'C';
+  return `${pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(pan) * 100)}`;
+};
+
+// --- EQ ---
+
+export const EQ_BANDS = [
+  { id: 'low', label: 'Low', frequency: '120 Hz' },
+  { id: 'mid', label: 'Mid', frequency: '1 kHz' },
+  { id: 'high', label: 'High', frequency: '8 kHz' },
+];
+export const EQ_RANGE_DB = 15;
+export const HPF_OPTIONS = [0, 40, 80, 120, 200, 400];
+
+// --- Scenes ---
+// Cue scene:    { id, name, mix }                       recalled on one cue
+// Global scene: { id, name, mutePatterns: ['Guide'] }   overlaid on every cue
+
+let nextSceneId = 0;
+export const createScene = (name, mix) => ({ id: `scene-${Date.now()}-${nextSceneId++}`, name, mix });
+
+export const createGlobalScene = (name, mutePatterns) => ({
+  id: `global-${Date.now()}-${nextSceneId++}`,
+  name,
+  mutePatterns: mutePatterns.map(p => p.trim()).filter(Boolean),
+});
+
+// Case-insensitive; plain text matches anywhere in the name, "*" is a wildcard
+export const matchesStemPattern = (stemName, pattern) => {
+  const name = stemName.toLowerCase();
+  const needle = pattern.toLowerCase();
+  if (!needle.includes('*')) return name.includes(needle);
+  const escaped = needle.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(name);
+};
+
+export const getGlobalSceneMutes = (stems, scene) => {
+  const muted = new Set();
+  if (!scene) return muted;
+  stems.forEach(stem => {
+    if (scene.mutePatterns.some(pattern => matchesStemPattern(stem.stemName, pattern))) muted.add(stem.id);
+  });
+  return muted;
+};
+
+// The cue's own mix with a global scene's mutes on top; the cue mix itself is left untouched
+export const applyGlobalScene = (mixerState, stems, scene) => {
+  const muted = getGlobalSceneMutes(stems, scene);
+  if (muted.size === 0) return mixerState;
+  const state = { ...mixerState };
+  muted.forEach(stemId => { state[stemId] = { ...state[stemId], muted: true }; });
+  return state;
+};
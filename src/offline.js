@@ -0,0 +1,80 @@
+/* Encore! Offline
+   Installs the service worker (sw.js, production builds only) so the app loads
+   without a network, asks the browser to keep our IndexedDB audio rather than
+   evict it when space runs low, and reports how close we are to the quota.
+
+   Updates are two-step: a new version installs in the background and is handed
+   to onUpdateReady as the waiting worker; nothing changes until
+   applyUpdate() is called, which swaps versions and reloads.
+*/
+
+// A long-running show still notices new releases
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Returns a cleanup that stops the periodic update checks
+export const registerServiceWorker = (onUpdateReady) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+  let stopped = false;
+  let timer = null;
+
+  // With no controller this is the first install, not an update
+  const reportWhenInstalled = (worker) => {
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller && !stopped) onUpdateReady(worker);
+    });
+  };
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then(registration => {
+    if (stopped) return;
+    if (registration.waiting && navigator.serviceWorker.controller) onUpdateReady(registration.waiting);
+    reportWhenInstalled(registration.installing);
+    registration.addEventListener('updatefound', () => reportWhenInstalled(registration.installing));
+    timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+  }).catch(err => console.warn('Service worker registration failed:', err));
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+// Activates the waiting version and reloads onto it
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'skipWaiting' });
+};
+
+// Resolves to whether our storage is now safe from eviction
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) return false;
+  try {
+    return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+  } catch (err) {
+    console.warn('Persistent storage request failed:', err);
+    return false;
+  }
+};
+
+// Past this share of the quota, imports ask first and the storage panel warns
+export const QUOTA_WARNING_SHARE = 0.8;
+
+// { usage, quota } in bytes for our whole origin, or null where the browser won't say
+export const estimateStorage = async () => {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return quota > 0 ? { usage, quota } : null;
+  } catch (err) {
+    console.warn('Storage estimate failed:', err);
+    return null;
+  }
+};
+
+export const isStorageLow = (estimate, extraBytes = 0) =>
+  !!estimate && estimate.usage + extraBytes > estimate.quota * QUOTA_WARNING_SHARE;
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(bytes < 10 * 1024 ** 2 ? 1 : 0)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+};
@@ -0,0 +1,122 @@
+/* Encore! Waveform Peaks
+   Min/max peaks of every stem, computed once (right after import, or the first
+   time an older song is opened) in a Web Worker and stored on the stem record,
+   so opening a cue draws its waveforms from cache instead of decoding audio.
+
+   peaks: { sampleRate, frames, levels: [{ samplesPerPeak, channels: [Int8Array] }] }
+   Each channel array holds min,max pairs scaled to -127..127. Levels run from
+   fine to coarse; a renderer picks the coarsest one that still has enough detail.
+*/
+
+export const PEAK_RESOLUTIONS = [256, 1024, 4096, 16384];
+// Stereo is drawn as two halves; anything wider shows its first two channels
+const MAX_DISPLAY_CHANNELS = 2;
+const DECODE_SAMPLE_RATE = 44100;
+
+const toByte = (value) => Math.max(-127, Math.min(127, Math.round(value * 127)));
+
+// Min/max start at zero so silence stays a flat line
+const peaksFromSamples = (data, samplesPerPeak) => {
+  const count = Math.ceil(data.length / samplesPerPeak);
+  const out = new Int8Array(count * 2);
+  for (let p = 0; p < count; p++) {
+    let min = 0;
+    let max = 0;
+    const end = Math.min(data.length, (p + 1) * samplesPerPeak);
+    for (let i = p * samplesPerPeak; i < end; i++) {
+      const value = data[i];
+      if (value < min) min = value;
+      else if (value > max) max = value;
+    }
+    out[p * 2] = toByte(min);
+    out[p * 2 + 1] = toByte(max);
+  }
+  return out;
+};
+
+// Coarser levels are folded from the previous level rather than rescanning the samples
+const foldPeaks = (peaks, factor) => {
+  const source = peaks.length / 2;
+  const count = Math.ceil(source / factor);
+  const out = new Int8Array(count * 2);
+  for (let p = 0; p < count; p++) {
+    let min = 0;
+    let max = 0;
+    const end = Math.min(source, (p + 1) * factor);
+    for (let i = p * factor; i < end; i++) {
+      if (peaks[i * 2] < min) min = peaks[i * 2];
+      if (peaks[i * 2 + 1] > max) max = peaks[i * 2 + 1];
+    }
+    out[p * 2] = min;
+    out[p * 2 + 1] = max;
+  }
+  return out;
+};
+
+export const buildPeakLevels = (channels, resolutions = PEAK_RESOLUTIONS) => {
+  const [finest, ...coarser] = resolutions;
+  const levels = [{ samplesPerPeak: finest, channels: channels.map(data => peaksFromSamples(data, finest)) }];
+  coarser.forEach(samplesPerPeak => {
+    const previous = levels[levels.length - 1];
+    const factor = samplesPerPeak / previous.samplesPerPeak;
+    levels.push({ samplesPerPeak, channels: previous.channels.map(peaks => foldPeaks(peaks, factor)) });
+  });
+  return levels;
+};
+
+export const getPeakCount = (level) => level.channels[0].length / 2;
+
+// The coarsest level with at least `minPeaks` peaks, or the finest one there is
+export const selectPeakLevel = (peaks, minPeaks) =>
+  [...peaks.levels].reverse().find(level => getPeakCount(level) >= minPeaks) || peaks.levels[0];
+
+// --- Analysis ---
+
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./peaksWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const { id, peaks, error } = e.data;
+      const job = jobs.get(id);
+      jobs.delete(id);
+      if (error) job?.reject(new Error(error));
+      else job?.resolve(peaks);
+    };
+    // A worker that fails to load or crashes takes its pending jobs with it; the next job starts a fresh one
+    worker.onerror = worker.onmessageerror = (e) => {
+      e.preventDefault?.();
+      const failed = [...jobs.values()];
+      jobs.clear();
+      worker.terminate();
+      worker = null;
+      failed.forEach(job => job.reject(new Error(e.message || 'Waveform analysis stopped.')));
+    };
+  }
+  return worker;
+};
+
+// Peaks of a decoded AudioBuffer; the samples are copied and handed to the worker
+export const computePeaks = (buffer) => new Promise((resolve, reject) => {
+  const id = ++nextJobId;
+  const channels = Array.from(
+    { length: Math.min(buffer.numberOfChannels, MAX_DISPLAY_CHANNELS) },
+    (_, ch) => buffer.getChannelData(ch).slice()
+  );
+  jobs.set(id, { resolve, reject });
+  getWorker().postMessage(
+    { id, channels, sampleRate: buffer.sampleRate, resolutions: PEAK_RESOLUTIONS },
+    channels.map(data => data.buffer)
+  );
+});
+
+let decodeContext = null;
+
+// Decodes a stem only for analysis; one offline context serves every stem
+export const decodeForPeaks = async (file) => {
+  decodeContext ??= new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+  return decodeContext.decodeAudioData(await file.arrayBuffer());
+};
@@ -0,0 +1,18 @@
+/* Encore! Peaks Worker
+   Builds waveform peak levels off the main thread (see peaks.js).
+   In:  { id, channels: [Float32Array], sampleRate, resolutions }
+   Out: { id, peaks } or { id, error }
+*/
+
+import { buildPeakLevels } from './peaks.js';
+
+self.onmessage = (e) => {
+  const { id, channels, sampleRate, resolutions } = e.data;
+  try {
+    const levels = buildPeakLevels(channels, resolutions);
+    const peaks = { sampleRate, frames: channels[0]?.length || 0, levels };
+    self.postMessage({ id, peaks }, levels.flatMap(level => level.channels.map(data => data.buffer)));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
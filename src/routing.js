@@ -0,0 +1,53 @@
+/* Encore! Output Routing
+   Sends stems to output channel pairs of a multichannel interface (click and
+   guide to the in-ears, music to FOH). Saved per show as
+   routing: { deviceId, rules: [{ id, pattern, pair }] }.
+
+   A rule matches stem names like global scenes do (case-insensitive substring,
+   * wildcard); the first matching rule wins and everything else plays on the
+   main pair. Pairs the current output doesn't have fold back onto the main
+   pair, so a show routed for an 8-channel interface still plays on stereo.
+*/
+
+import { matchesStemPattern } from './mixer.js';
+
+export const MAIN_PAIR = 0;
+// Pairs offered in the routing matrix, whether or not the current device has them
+export const MAX_PAIRS = 8;
+export const DEFAULT_ROUTING = { deviceId: '', rules: [] };
+
+export const getPairCount = (channels) => Math.max(1, Math.floor(channels / 2));
+
+export const describePair = (pair) => `Out ${pair * 2 + 1}/${pair * 2 + 2}`;
+
+let nextRuleId = 0;
+export const createRoutingRule = (pattern, pair) => ({ id: `route-${Date.now()}-${nextRuleId++}`, pattern, pair });
+
+export const findRoutingRule = (routing, stemName) =>
+  routing.rules.find(rule => rule.pattern.trim() && matchesStemPattern(stemName, rule.pattern.trim())) || null;
+
+// stemId -> pair actually used on an output with `channels` channels
+export const resolveStemPairs = (stems, routing, channels) => {
+  const pairCount = getPairCount(channels);
+  return new Map(stems.map(stem => {
+    const pair = findRoutingRule(routing, stem.stemName)?.pair ?? MAIN_PAIR;
+    return [stem.id, pair < pairCount ? pair : MAIN_PAIR];
+  }));
+};
+
+// Routes one stem by its exact name; an existing rule for that name is updated in place
+export const routeStem = (routing, stemName, pair) => {
+  const existing = routing.rules.find(rule => rule.pattern === stemName);
+  const rules = existing
+    ? routing.rules.map(rule => rule === existing ? { ...rule, pair } : rule)
+    : [createRoutingRule(stemName, pair), ...routing.rules];
+  return { ...routing, rules };
+};
+
+export const listOutputDevices = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'audiooutput' && device.deviceId !== 'default')
+    .map((device, index) => ({ id: device.deviceId, name: device.label || `Output ${index + 1}` }));
+};
@@ -0,0 +1,102 @@
+/* Encore! Keyboard Shortcuts
+   Keys are stored as combo strings such as "Space", "Shift+Enter", "M" or
+   "Ctrl+ArrowLeft". Users override the defaults per action; the saved setting
+   only holds the overrides, so new actions pick up their default key.
+
+   Each action names the player command it runs ({ action, param }), the same
+   commands MIDI mappings trigger.
+*/
+
+const NUDGE_SECONDS = 5;
+const FINE_NUDGE_SECONDS = 1;
+const STEM_KEYS = 9;
+
+const stemActions = (kind, label, modifier) => Array.from({ length: STEM_KEYS }, (_, i) => ({
+  id: `${kind}${i + 1}`,
+  label: `${label} lane ${i + 1}`,
+  group: 'Mixer',
+  command: { action: kind, param: i + 1 },
+  defaultKey: `${modifier}${i + 1}`,
+}));
+
+// repeat: keeps firing while the key is held
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / Pause', group: 'Transport', command: { action: 'togglePlay' }, defaultKey: 'Space' },
+  { id: 'stop', label: 'Stop', group: 'Transport', command: { action: 'stop' }, defaultKey: 'Escape' },
+  { id: 'fadeOut', label: 'Fade out and stop', group: 'Transport', command: { action: 'fadeOut' }, defaultKey: 'Shift+Escape' },
+  { id: 'next', label: 'Go to next cue', group: 'Transport', command: { action: 'next' }, defaultKey: 'Enter' },
+  { id: 'prev', label: 'Previous cue / restart', group: 'Transport', command: { action: 'prev' }, defaultKey: 'Shift+Enter' },
+  { id: 'nudgeBack', label: `Back ${NUDGE_SECONDS}s`, group: 'Transport', command: { action: 'nudge', param: -NUDGE_SECONDS }, defaultKey: 'ArrowLeft', repeat: true },
+  { id: 'nudgeForward', label: `Forward ${NUDGE_SECONDS}s`, group: 'Transport', command: { action: 'nudge', param: NUDGE_SECONDS }, defaultKey: 'ArrowRight', repeat: true },
+  { id: 'nudgeBackFine', label: `Back ${FINE_NUDGE_SECONDS}s`, group: 'Transport', command: { action: 'nudge', param: -FINE_NUDGE_SECONDS }, defaultKey: 'Shift+ArrowLeft', repeat: true },
+  { id: 'nudgeForwardFine', label: `Forward ${FINE_NUDGE_SECONDS}s`, group: 'Transport', command: { action: 'nudge', param: FINE_NUDGE_SECONDS }, defaultKey: 'Shift+ArrowRight', repeat: true },
+  { id: 'toggleLoop', label: 'A-B loop on / off', group: 'Transport', command: { action: 'toggleLoop' }, defaultKey: 'L' },
+  { id: 'addMarker', label: 'Add marker at playhead', group: 'Markers', command: { action: 'addMarker' }, defaultKey: 'M' },
+  { id: 'prevMarker', label: 'Previous marker', group: 'Markers', command: { action: 'prevMarker' }, defaultKey: '[' },
+  { id: 'nextMarker', label: 'Next marker', group: 'Markers', command: { action: 'nextMarker' }, defaultKey: ']' },
+  { id: 'zoomIn', label: 'Zoom in', group: 'Timeline', command: { action: 'zoomIn' }, defaultKey: '=', repeat: true },
+  { id: 'zoomOut', label: 'Zoom out', group: 'Timeline', command: { action: 'zoomOut' }, defaultKey: '-', repeat: true },
+  { id: 'toggleFollow', label: 'Follow playhead on / off', group: 'Timeline', command: { action: 'toggleFollow' }, defaultKey: 'F' },
+  { id: 'tapLyric', label: 'Tap lyric line (while editing lyrics)', group: 'Lyrics', command: { action: 'tapLyric' }, defaultKey: 'T' },
+  ...stemActions('stemMute', 'Mute', ''),
+  ...stemActions('stemSolo', 'Solo', 'Shift+'),
+];
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+/**
+ * The combo string for a keydown, or null for a lone modifier. Letters are
+ * upper-cased and digits read from the physical key, so Shift+1 stays "Shift+1"
+ * on every layout; other printable characters already carry Shift in them ("{").
+ */
+export const keyFromEvent = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key = e.key;
+  let shiftable = key.length > 1;
+  if (/^Digit\d$/.test(e.code)) {
+    key = e.code.slice(5);
+    shiftable = true;
+  } else if (key === ' ') {
+    key = 'Space';
+    shiftable = true;
+  } else if (key.length === 1 && key.toLowerCase() !== key.toUpperCase()) {
+    key = key.toUpperCase();
+    shiftable = true;
+  }
+  const modifiers = [
+    e.ctrlKey && 'Ctrl',
+    e.altKey && 'Alt',
+    e.metaKey && 'Meta',
+    e.shiftKey && shiftable && 'Shift',
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+};
+
+// Defaults with the user's overrides applied: { actionId: key | null }
+export const buildShortcutMap = (overrides = {}) =>
+  Object.fromEntries(SHORTCUT_ACTIONS.map(a => [a.id, a.id in overrides ? overrides[a.id] : a.defaultKey]));
+
+// Only what differs from the defaults is saved
+export const getShortcutOverrides = (shortcutMap) =>
+  Object.fromEntries(SHORTCUT_ACTIONS.filter(a => shortcutMap[a.id] !== a.defaultKey).map(a => [a.id, shortcutMap[a.id]]));
+
+// Keys bound to more than one action: Map key -> [actionId]
+export const findShortcutConflicts = (shortcutMap) => {
+  const byKey = new Map();
+  Object.entries(shortcutMap).forEach(([actionId, key]) => {
+    if (key) byKey.set(key, [...(byKey.get(key) || []), actionId]);
+  });
+  return new Map([...byKey].filter(([, actionIds]) => actionIds.length > 1));
+};
+
+// The action a key runs; a conflicting key runs nothing until the conflict is resolved
+export const resolveShortcut = (shortcutMap, key) => {
+  if (!key) return null;
+  const matches = SHORTCUT_ACTIONS.filter(a => shortcutMap[a.id] === key);
+  return matches.length === 1 ? matches[0] : null;
+};
+
+const KEY_LABELS = { Space: '␣ Space', Enter: '↵ Enter', Escape: 'Esc', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+export const describeShortcut = (key) =>
+  key ? key.split('+').map(part => KEY_LABELS[part] || part).join(' + ') : '—';
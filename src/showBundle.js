@@ -0,0 +1,140 @@
+/* Encore! Show Bundles
+   A whole show in a single file, for moving it between machines: a JSON
+   manifest (setlists, routing rules, song names, mixes, scenes, markers and any
+   other per-cue metadata) followed by the audio of every stem. The output
+   device is left out; it belongs to the machine, not the show.
+
+   Layout: MAGIC | manifest length (uint32, little-endian) | manifest (UTF-8 JSON) | stem audio...
+   Each stem in the manifest records the offset and size of its audio, counted
+   from the end of the manifest. Audio is read back as slices of the file, so
+   importing never holds a whole bundle in memory.
+
+   Versions:
+   1  initial format
+*/
+
+export const BUNDLE_EXTENSION = '.encore';
+export const BUNDLE_VERSION = 1;
+const MAGIC = 'ENCORE-SHOW';
+const HEADER_SIZE = MAGIC.length + 4;
+
+const fail = (message) => { throw new Error(message); };
+
+const isString = (value) => typeof value === 'string';
+const isSize = (value) => Number.isInteger(value) && value >= 0;
+
+// --- Export ---
+
+export const createShowBundle = (show, cues) => {
+  const audio = [];
+  let offset = 0;
+  const manifestCues = cues.map(cue => {
+    // Linked songs travel with their audio like any other; the folder stays behind
+    const { stems, showId: _showId, order: _order, folderId: _folderId, ...meta } = cue;
+    return {
+      ...meta,
+      stems: stems.map(stem => {
+        const blob = stem.file || new Blob([]);
+        const entry = { id: stem.id, stemName: stem.stemName, name: stem.name, type: blob.type, offset, size: blob.size };
+        audio.push(blob);
+        offset += blob.size;
+        return entry;
+      }),
+    };
+  });
+
+  const manifest = {
+    format: MAGIC,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    show: {
+      name: show.name,
+      setlists: show.setlists.map(sl => ({ name: sl.name, cueIds: sl.cueIds })),
+      routingRules: show.routing?.rules || [],
+    },
+    cues: manifestCues,
+  };
+  const json = new TextEncoder().encode(JSON.stringify(manifest));
+  const length = new DataView(new ArrayBuffer(4));
+  length.setUint32(0, json.length, true);
+  return new Blob([MAGIC, length, json, ...audio], { type: 'application/octet-stream' });
+};
+
+export const bundleFileName = (showName) =>
+  `${showName.trim().replace(/[\\/:*?"<>|]+/g, '-') || 'show'}${BUNDLE_EXTENSION}`;
+
+// --- Import ---
+
+const validateManifest = (manifest, audioSize) => {
+  const corrupt = (detail) => fail(`The show bundle is corrupt: ${detail}.`);
+  if (!manifest || manifest.format !== MAGIC || !Number.isInteger(manifest.version)) corrupt('the manifest is unreadable');
+  if (manifest.version > BUNDLE_VERSION) {
+    fail(`This show bundle was made by a newer version of Encore! (format ${manifest.version}, this app reads up to ${BUNDLE_VERSION}). Update the app to import it.`);
+  }
+  const { show, cues } = manifest;
+  if (!show || !isString(show.name) || !Array.isArray(show.setlists)) corrupt('the show details are missing');
+  if (!Array.isArray(cues)) corrupt('the song list is missing');
+
+  const cueIds = new Set();
+  cues.forEach(cue => {
+    if (!cue || !isString(cue.id) || !isString(cue.name) || !Array.isArray(cue.stems)) corrupt('a song entry is incomplete');
+    cue.stems.forEach(stem => {
+      if (!stem || !isString(stem.id) || !isSize(stem.offset) || !isSize(stem.size)) corrupt(`a stem of "${cue.name}" is incomplete`);
+      if (stem.offset + stem.size > audioSize) corrupt(`the audio of "${cue.name}" is cut off`);
+    });
+    cueIds.add(cue.id);
+  });
+  show.setlists.forEach(sl => {
+    if (!sl || !isString(sl.name) || !Array.isArray(sl.cueIds)) corrupt('a setlist entry is incomplete');
+    if (sl.cueIds.some(id => !cueIds.has(id))) corrupt(`the setlist "${sl.name}" refers to a song that is not in the bundle`);
+  });
+};
+
+/**
+ * Reads and validates a bundle file.
+ * Resolves to { name, exportedAt, setlists: [{ name, cueIds }], routingRules, cues } where every
+ * stem's `file` is a Blob slice of the bundle; rejects with a readable message.
+ */
+export const readShowBundle = async (file) => {
+  const notABundle = () => fail(`"${file.name}" is not an Encore! show bundle.`);
+  if (file.size < HEADER_SIZE) notABundle();
+  const header = await file.slice(0, HEADER_SIZE).arrayBuffer();
+  if (new TextDecoder().decode(header.slice(0, MAGIC.length)) !== MAGIC) notABundle();
+
+  const audioStart = HEADER_SIZE + new DataView(header).getUint32(MAGIC.length, true);
+  if (audioStart > file.size) fail('The show bundle is corrupt: the file is cut off.');
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(await file.slice(HEADER_SIZE, audioStart).arrayBuffer()));
+  } catch {
+    fail('The show bundle is corrupt: the manifest is unreadable.');
+  }
+  validateManifest(manifest, file.size - audioStart);
+
+  return {
+    name: manifest.show.name,
+    exportedAt: manifest.exportedAt || null,
+    setlists: manifest.show.setlists.map(sl => ({ name: sl.name, cueIds: sl.cueIds })),
+    routingRules: Array.isArray(manifest.show.routingRules)
+      ? manifest.show.routingRules.filter(rule => rule && isString(rule.pattern) && isSize(rule.pair))
+      : [],
+    cues: manifest.cues.map(cue => ({
+      ...cue,
+      stems: cue.stems.map(({ offset, size, type, ...stem }) => ({
+        ...stem,
+        file: file.slice(audioStart + offset, audioStart + offset + size, type || ''),
+      })),
+    })),
+  };
+};
+
+// Imported songs get new ids so a bundle can sit next to (or be merged into) the show it came from
+export const withFreshCueIds = (bundle) => {
+  const stamp = Date.now();
+  const ids = new Map(bundle.cues.map((cue, index) => [cue.id, `cue-import-${stamp}-${index}`]));
+  return {
+    ...bundle,
+    setlists: bundle.setlists.map(sl => ({ ...sl, cueIds: sl.cueIds.map(id => ids.get(id)) })),
+    cues: bundle.cues.map(cue => ({ ...cue, id: ids.get(cue.id) })),
+  };
+};
@@ -0,0 +1,53 @@
+/* Encore! Shows & Setlists
+   A show owns its songs (cue records with their stems). Setlists are running
+   orders inside a show that reference songs by id, so one song can appear in
+   "Act 1" and "Concert version" without duplicating its audio.
+
+   Show record: { id, name, order, setlists: [{ id, name, cueIds }], routing }
+   (routing: see routing.js)
+*/
+
+export const DEFAULT_SHOW_NAME = 'My Show';
+export const DEFAULT_SETLIST_NAME = 'Running Order';
+
+let idCounter = 0;
+const uniqueId = (prefix) => `${prefix}-${Date.now()}-${idCounter++}`;
+
+export const createSetlist = (name, cueIds = []) => ({ id: uniqueId('setlist'), name, cueIds });
+
+export const createShow = (name, cueIds = [], order = 0) => ({
+  id: uniqueId('show'),
+  name,
+  order,
+  setlists: [createSetlist(DEFAULT_SETLIST_NAME, cueIds)],
+});
+
+export const updateSetlist = (show, setlistId, updates) => ({
+  ...show,
+  setlists: show.setlists.map(sl => sl.id === setlistId ? { ...sl, ...updates } : sl),
+});
+
+export const removeCueIdsFromShow = (show, cueIds) => {
+  const removed = new Set(cueIds);
+  return {
+    ...show,
+    setlists: show.setlists.map(sl => ({ ...sl, cueIds: sl.cueIds.filter(id => !removed.has(id)) })),
+  };
+};
+
+// Songs no setlist of the show refers to any more
+export const findUnreferencedCueIds = (show, cueIds) => {
+  const referenced = new Set(show.setlists.flatMap(sl => sl.cueIds));
+  return cueIds.filter(id => !referenced.has(id));
+};
+
+// Adds setlists to a show; one named like an existing setlist extends it instead
+export const mergeSetlists = (show, setlists) => {
+  const merged = show.setlists.map(sl => ({ ...sl }));
+  setlists.forEach(incoming => {
+    const existing = merged.find(sl => sl.name === incoming.name);
+    if (existing) existing.cueIds = [...existing.cueIds, ...incoming.cueIds.filter(id => !existing.cueIds.includes(id))];
+    else merged.push(createSetlist(incoming.name, incoming.cueIds));
+  });
+  return { ...show, setlists: merged };
+};
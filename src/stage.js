@@ -0,0 +1,52 @@
+/* Encore! Stage View
+   A pop-out window for the MD on stage (the app opened with ?stage), fed by the
+   player over a BroadcastChannel. Messages:
+   - { type: 'state', state } from the player, on every change and as a heartbeat
+   - { type: 'hello' } from a stage window that has just opened, asking for a state
+   - { type: 'bye' } from a player that is going away (reload, close)
+   state: { cueName, cueNumber, cueCount, nextCueName, markers, grid, duration,
+            rate, playing, time, sentAt }, time in cue seconds at sentAt (Date.now()).
+
+   Neither side keeps a connection: a reloaded player simply starts posting
+   again, and a stage window that hears nothing for STAGE_TIMEOUT shows itself
+   as waiting until it does.
+*/
+
+export const STAGE_CHANNEL = 'encore-stage';
+export const STAGE_HEARTBEAT = 250;
+export const STAGE_TIMEOUT = 3000;
+
+// Count-in beats are shown for at most this many bars before bar 1
+const COUNT_IN_BARS = 2;
+
+export const isStageWindow = () => new URLSearchParams(window.location.search).has('stage');
+
+export const openStageWindow = () =>
+  window.open(`${window.location.pathname}?stage`, STAGE_CHANNEL, 'popup,width=1280,height=720');
+
+// null where BroadcastChannel is missing; callers then run without a stage view
+export const createStageChannel = (onMessage) => {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  const channel = new BroadcastChannel(STAGE_CHANNEL);
+  channel.onmessage = (e) => onMessage(e.data);
+  return channel;
+};
+
+// Where the player is now, carried forward from the last state while it plays
+export const getStageTime = (state, now = Date.now()) => {
+  if (!state.playing) return state.time;
+  return Math.min(state.duration, state.time + ((now - state.sentAt) / 1000) * state.rate);
+};
+
+// The beat being counted in before bar 1 of the cue's grid: { beat, phase } with
+// phase 0-1 through the beat, or null outside the count-in or without a tempo
+export const getCountIn = (grid, time) => {
+  if (!grid?.bpm || !(grid.offset > 0) || time >= grid.offset) return null;
+  const beatsLeft = (grid.offset - time) / (60 / grid.bpm);
+  const beatsToBarOne = Math.ceil(beatsLeft - 1e-9);
+  if (beatsToBarOne > grid.beatsPerBar * COUNT_IN_BARS) return null;
+  return {
+    beat: grid.beatsPerBar - ((beatsToBarOne - 1) % grid.beatsPerBar),
+    phase: beatsToBarOne - beatsLeft,
+  };
+};
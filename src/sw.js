@@ -0,0 +1,44 @@
+/* Encore! Service Worker
+   Keeps the app loadable with no network. The build (see vite.config.js) fills in
+   PRECACHE with every file it emitted and VERSION with a hash of them, so each
+   release installs into its own cache.
+
+   A new version never takes over by itself: it installs, then waits until the
+   page asks it to (the player only offers that while stopped), so a show is
+   never reloaded or left running on a mix of old and new files.
+*/
+
+const VERSION = self.__ENCORE_VERSION__;
+const PRECACHE = self.__ENCORE_PRECACHE__;
+const CACHE_NAME = `encore-${VERSION}`;
+const APP_SHELL = './index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('encore-') && name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skipWaiting') self.skipWaiting();
+});
+
+// Cache first: the copy installed with this version is the one to run, network or not
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Every page of the app (the player, ?stage) is the same index.html
+    const cached = request.mode === 'navigate'
+      ? await cache.match(APP_SHELL)
+      : await cache.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+  })());
+});
@@ -0,0 +1,119 @@
+/* Encore! Time Stretch
+   Tempo change without pitch change using WSOLA (waveform-similarity
+   overlap-add). Splice points are searched once on a mono guide mixed from
+   every stem and then applied to every channel of every stem, so the stems
+   stay sample-aligned with each other after stretching.
+*/
+
+const FRAME_SECONDS = 0.046; // ~2048 samples at 44.1 kHz
+const GUIDE_DECIMATION = 8;
+const FRAMES_PER_YIELD = 4000;
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const frameSizeFor = (sampleRate) => 2 ** Math.round(Math.log2(sampleRate * FRAME_SECONDS));
+
+const hannWindow = (size) => {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  return window;
+};
+
+// Block-summed mono mix of all channels; coarse, but enough to find similar waveforms
+export const buildGuide = (channels, decimation = GUIDE_DECIMATION) => {
+  const length = Math.ceil(Math.max(0, ...channels.map(c => c.length)) / decimation);
+  const guide = new Float32Array(length);
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) guide[(i / decimation) | 0] += data[i];
+  });
+  return guide;
+};
+
+const correlate = (guide, a, b, length) => {
+  let score = 0;
+  for (let i = 0; i < length; i++) score += (guide[a + i] || 0) * (guide[b + i] || 0);
+  return score;
+};
+
+/**
+ * Chooses where each output frame reads from the input.
+ * rate < 1 slows down (longer output), rate > 1 speeds up.
+ */
+export const planStretch = async (guide, inputLength, rate, frameSize, decimation = GUIDE_DECIMATION) => {
+  const hop = frameSize / 2;
+  const outputLength = Math.ceil(inputLength / rate);
+  const frameCount = Math.ceil(outputLength / hop) + 1;
+  const positions = new Int32Array(frameCount);
+  const compareLength = hop / decimation;
+  const tolerance = Math.floor(frameSize / 4 / decimation);
+
+  for (let k = 1; k < frameCount; k++) {
+    // Samples that would naturally follow the previous frame, vs. where the tempo says to read
+    const natural = (positions[k - 1] + hop) / decimation;
+    const target = Math.round((k * hop * rate) / decimation);
+    let best = target;
+    let bestScore = correlate(guide, natural, target, compareLength);
+    for (let delta = -tolerance; delta <= tolerance; delta++) {
+      const candidate = target + delta;
+      if (delta === 0 || candidate < 0) continue;
+      const score = correlate(guide, natural, candidate, compareLength);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    positions[k] = best * decimation;
+    if (k % FRAMES_PER_YIELD === 0) await nextTask();
+  }
+
+  return { positions, hop, frameSize };
+};
+
+export const applyStretch = (data, plan, outputLength, window = hannWindow(plan.frameSize)) => {
+  const { positions, hop, frameSize } = plan;
+  const output = new Float32Array(outputLength);
+  for (let k = 0; k < positions.length; k++) {
+    const readAt = positions[k];
+    const writeAt = k * hop;
+    if (writeAt >= outputLength) break;
+    for (let i = 0; i < frameSize; i++) {
+      const o = writeAt + i;
+      const index = readAt + i;
+      if (o >= outputLength || index >= data.length) break;
+      // The first frame has nothing to overlap with, so its fade-in is skipped
+      const gain = k === 0 && i < hop ? 1 : window[i];
+      output[o] += data[index] * gain;
+    }
+  }
+  return output;
+};
+
+/**
+ * Stretches a set of AudioBuffers together.
+ * buffers: Map of stemId -> AudioBuffer (same sample rate), createBuffer: (channels, length, sampleRate) => AudioBuffer.
+ * Resolves to a Map of stemId -> stretched AudioBuffer.
+ */
+export const stretchBuffers = async (buffers, rate, createBuffer) => {
+  const list = [...buffers.values()];
+  if (list.length === 0) return new Map();
+  const sampleRate = list[0].sampleRate;
+  const frameSize = frameSizeFor(sampleRate);
+  const channels = list.flatMap(buffer =>
+    Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch))
+  );
+  const inputLength = Math.max(...list.map(b => b.length));
+  const plan = await planStretch(buildGuide(channels), inputLength, rate, frameSize);
+  const window = hannWindow(frameSize);
+
+  const stretched = new Map();
+  for (const [stemId, buffer] of buffers) {
+    const outputLength = Math.ceil(buffer.length / rate);
+    const result = createBuffer(buffer.numberOfChannels, outputLength, sampleRate);
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+      result.getChannelData(ch).set(applyStretch(buffer.getChannelData(ch), plan, outputLength, window));
+      await nextTask();
+    }
+    stretched.set(stemId, result);
+  }
+  return stretched;
+};
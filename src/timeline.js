@@ -0,0 +1,155 @@
+/* Encore! Timeline
+   The visible stretch of a cue: zoom 1 shows the whole cue, zoom N a 1/N slice
+   of it starting `start` seconds in. The lanes, the time ruler and the marker
+   ruler all draw from the same view, so they zoom and scroll together.
+
+   A cue's musical grid is stored on the cue record as
+   grid: { bpm, beatsPerBar, offset }, offset being where bar 1 starts (s).
+
+   So are its in and out points, trim: { start, end } in seconds (end null for
+   the end of the cue; no trim at all is stored as null), and the per-stem
+   alignment, stemOffsets: { [stemId]: ms }, positive to play a stem later.
+*/
+
+export const DEFAULT_VIEW = { zoom: 1, start: 0 };
+export const MAX_ZOOM = 64;
+export const ZOOM_STEP = 1.5;
+
+export const DEFAULT_GRID = { bpm: null, beatsPerBar: 4, offset: 0 };
+export const MIN_BPM = 20;
+export const MAX_BPM = 400;
+export const BEATS_PER_BAR_OPTIONS = [2, 3, 4, 5, 6, 7];
+
+const clampZoom = (zoom) => Math.max(1, Math.min(MAX_ZOOM, zoom));
+
+// The window the view shows, in seconds: { start, span }
+export const getVisibleRange = (view, duration) => ({ start: view.start, span: duration / view.zoom });
+
+export const clampView = (view, duration) => {
+  const zoom = clampZoom(view.zoom);
+  const start = Math.max(0, Math.min(duration - duration / zoom, view.start));
+  return zoom === view.zoom && start === view.start ? view : { zoom, start };
+};
+
+// Zooms by `factor` keeping the point at `anchor` (0-1 across the lane) where it is
+export const zoomView = (view, duration, factor, anchor = 0.5) => {
+  const zoom = clampZoom(view.zoom * factor);
+  const time = view.start + anchor * (duration / view.zoom);
+  return clampView({ zoom, start: time - anchor * (duration / zoom) }, duration);
+};
+
+export const panView = (view, duration, seconds) => clampView({ ...view, start: view.start + seconds }, duration);
+
+// Once the playhead passes this share of the window (or leaves it), the view turns the page...
+const FOLLOW_EDGE = 0.9;
+// ...and puts it this far in from the left
+const FOLLOW_LEAD = 0.1;
+
+export const followPlayhead = (view, duration, time) => {
+  const { start, span } = getVisibleRange(view, duration);
+  if (view.zoom === 1 || (time >= start && time <= start + span * FOLLOW_EDGE)) return view;
+  return clampView({ ...view, start: time - span * FOLLOW_LEAD }, duration);
+};
+
+export const timeToPercent = (range, time) => range.span > 0 ? ((time - range.start) / range.span) * 100 : 0;
+
+export const timeAtFraction = (range, fraction) => range.start + fraction * range.span;
+
+// --- Ruler ---
+
+// Labelled ticks stay at least this many pixels apart
+const MIN_LABEL_SPACING = 64;
+// Unlabelled ticks are left out when they would be closer than this
+const MIN_TICK_SPACING = 6;
+const TIME_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+const BAR_STEPS = [1, 2, 4, 8, 16, 32, 64];
+
+export const formatRulerTime = (time, step) => {
+  const decimals = step >= 1 ? 0 : (step * 10) % 1 === 0 ? 1 : 2;
+  const minutes = Math.floor(time / 60 + 1e-9);
+  const seconds = Math.max(0, time - minutes * 60).toFixed(decimals);
+  return `${minutes}:${seconds.padStart(decimals ? decimals + 3 : 2, '0')}`;
+};
+
+// Ticks every `step` seconds from `origin`, within the range and not before the origin
+const ticksBetween = (range, origin, step, makeTick) => {
+  const end = range.start + range.span;
+  const first = Math.max(0, Math.ceil((range.start - origin) / step - 1e-9));
+  const ticks = [];
+  for (let i = first; origin + i * step <= end + 1e-9; i++) ticks.push(makeTick(origin + i * step, i));
+  return ticks;
+};
+
+// Minutes:seconds ticks for a window drawn `width` pixels wide: [{ time, label }]
+export const getTimeTicks = (range, width) => {
+  if (!(range.span > 0) || !width) return [];
+  const pxPerSecond = width / range.span;
+  const step = TIME_STEPS.find(s => s * pxPerSecond >= MIN_LABEL_SPACING) || TIME_STEPS[TIME_STEPS.length - 1];
+  const labels = ticksBetween(range, 0, step, time => ({ time, label: formatRulerTime(time, step) }));
+  const minor = (step / 2) * pxPerSecond >= MIN_TICK_SPACING
+    ? ticksBetween(range, step / 2, step, time => ({ time, label: null }))
+    : [];
+  return [...labels, ...minor];
+};
+
+// Bar (or bar.beat, when zoomed in far enough) ticks for a cue with a known tempo
+export const getGridTicks = (range, width, grid) => {
+  if (!grid?.bpm || !(range.span > 0) || !width) return [];
+  const pxPerSecond = width / range.span;
+  const beat = 60 / grid.bpm;
+  const bar = beat * grid.beatsPerBar;
+  const origin = grid.offset || 0;
+
+  if (beat * pxPerSecond >= MIN_LABEL_SPACING) {
+    return ticksBetween(range, origin, beat, (time, i) => {
+      const beatInBar = i % grid.beatsPerBar;
+      const barNumber = Math.floor(i / grid.beatsPerBar) + 1;
+      return { time, label: beatInBar === 0 ? `${barNumber}` : `${barNumber}.${beatInBar + 1}`, major: beatInBar === 0 };
+    });
+  }
+
+  const bars = BAR_STEPS.find(n => n * bar * pxPerSecond >= MIN_LABEL_SPACING) || BAR_STEPS[BAR_STEPS.length - 1];
+  const labels = ticksBetween(range, origin, bars * bar, (time, i) => ({ time, label: `${i * bars + 1}`, major: true }));
+  const minorStep = bars === 1 ? beat : bar;
+  const minor = minorStep * pxPerSecond >= MIN_TICK_SPACING
+    ? ticksBetween(range, origin, minorStep, time => ({ time, label: null })).filter(tick =>
+        labels.every(label => Math.abs(label.time - tick.time) > 1e-6))
+    : [];
+  return [...labels, ...minor];
+};
+
+// --- Trim ---
+
+// The in and out points never close up tighter than this
+export const MIN_TRIM_LENGTH = 1;
+
+// Where a cue starts and ends once trimmed: { start, end } in seconds
+export const getTrimRange = (trim, duration) => {
+  const start = Math.max(0, Math.min(duration, trim?.start ?? 0));
+  return { start, end: Math.max(start, Math.min(duration, trim?.end ?? duration)) };
+};
+
+// Moves the in ('start') or the out ('end') point to `time`. A trim that leaves
+// the whole cue in is null.
+export const moveTrimPoint = (trim, duration, edge, time) => {
+  const { start, end } = getTrimRange(trim, duration);
+  const next = edge === 'start'
+    ? { start: Math.max(0, Math.min(time, end - MIN_TRIM_LENGTH)), end }
+    : { start, end: Math.min(duration, Math.max(time, start + MIN_TRIM_LENGTH)) };
+  if (next.start <= 0 && next.end >= duration) return null;
+  return { start: next.start, end: next.end >= duration ? null : next.end };
+};
+
+// --- Stem offsets ---
+
+export const MAX_STEM_OFFSET_MS = 10000;
+
+// A cue's stemOffsets the way the engine takes them: Map stemId -> seconds
+export const getStemOffsetMap = (stemOffsets) =>
+  new Map(Object.entries(stemOffsets || {}).map(([stemId, ms]) => [stemId, ms / 1000]));
+
+export const setStemOffset = (stemOffsets, stemId, ms) => {
+  const { [stemId]: _previous, ...rest } = stemOffsets || {};
+  const clamped = Math.max(-MAX_STEM_OFFSET_MS, Math.min(MAX_STEM_OFFSET_MS, Math.round(ms) || 0));
+  return clamped ? { ...rest, [stemId]: clamped } : rest;
+};
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAudioEngine } from '../src/audioEngine.js';
+import { createFakeContext, createFakeStem } from './fakeAudioContext.js';
+
+// Sources start this far ahead of the clock (the engine's SCHEDULE_AHEAD)
+const AHEAD = 0.05;
+
+const setup = async (durations = [10, 8], events = {}) => {
+  const context = createFakeContext();
+  const engine = createAudioEngine({ context, ...events });
+  await engine.load(durations.map((duration, i) => createFakeStem(`stem${i + 1}`, duration)));
+  return { context, engine };
+};
+
+test('the cue runs as long as its longest stem', async () => {
+  const { engine } = await setup([10, 8]);
+  assert.equal(engine.getDuration(), 10);
+  assert.equal(engine.getCurrentTime(), 0);
+});
+
+test('play advances with the context clock and ends at the end of the cue', async () => {
+  let ended = 0;
+  const { context, engine } = await setup([10, 8], { onEnded: () => { ended++; } });
+  await engine.play();
+  assert.equal(engine.isPlaying(), true);
+  context.advance(3 + AHEAD);
+  assert.ok(Math.abs(engine.getCurrentTime() - 3) < 1e-9);
+  context.advance(10);
+  assert.equal(ended, 1);
+  assert.equal(engine.isPlaying(), false);
+  assert.equal(engine.getCurrentTime(), 10);
+});
+
+test('pause keeps the position and play carries on from it', async () => {
+  const { context, engine } = await setup();
+  await engine.play();
+  context.advance(2 + AHEAD);
+  engine.pause();
+  assert.equal(engine.isPlaying(), false);
+  assert.equal(context.playingSources().length, 0);
+  context.advance(5);
+  assert.ok(Math.abs(engine.getCurrentTime() - 2) < 1e-9);
+  await engine.play();
+  context.advance(1 + AHEAD);
+  assert.ok(Math.abs(engine.getCurrentTime() - 3) < 1e-9);
+});
+
+test('seek jumps while playing and is clamped to the cue', async () => {
+  const { context, engine } = await setup();
+  await engine.play();
+  context.advance(1);
+  engine.seek(6);
+  context.advance(1 + AHEAD);
+  assert.ok(Math.abs(engine.getCurrentTime() - 7) < 1e-9);
+  // One source per stem, the ones from before the seek stopped
+  assert.equal(context.playingSources().length, 2);
+  engine.pause();
+  engine.seek(-5);
+  assert.equal(engine.getCurrentTime(), 0);
+  engine.seek(99);
+  assert.equal(engine.getCurrentTime(), 10);
+});
+
+test('an A-B loop wraps playback and counts its passes', async () => {
+  const loops = [];
+  let ended = 0;
+  const { context, engine } = await setup([10, 8], { onLoop: (count) => loops.push(count), onEnded: () => { ended++; } });
+  engine.setLoop({ start: 2, end: 4 });
+  await engine.play();
+  context.advance(4.5 + AHEAD);
+  assert.deepEqual(loops, [1]);
+  assert.ok(Math.abs(engine.getCurrentTime() - 2.5) < 1e-9);
+  context.advance(4);
+  assert.deepEqual(loops, [1, 2, 3]);
+  assert.equal(ended, 0);
+  const time = engine.getCurrentTime();
+  assert.ok(time >= 2 && time < 4);
+});
+
+test('clearing the loop lets the cue play out to its end', async () => {
+  let ended = 0;
+  const { context, engine } = await setup([10, 8], { onEnded: () => { ended++; } });
+  engine.setLoop({ start: 2, end: 4 });
+  await engine.play();
+  context.advance(3 + AHEAD);
+  engine.setLoop(null);
+  context.advance(3);
+  assert.ok(Math.abs(engine.getCurrentTime() - 6) < 1e-9);
+  context.advance(10);
+  assert.equal(ended, 1);
+});
+
+test('stop goes back to the in point', async () => {
+  const { context, engine } = await setup();
+  engine.setTrim({ start: 1.5, end: null });
+  await engine.play();
+  context.advance(2 + AHEAD);
+  assert.ok(Math.abs(engine.getCurrentTime() - 3.5) < 1e-9);
+  engine.stop();
+  assert.equal(engine.isPlaying(), false);
+  assert.equal(engine.getCurrentTime(), 1.5);
+});
+
+test('a second play() while the context resumes starts playback only once', async () => {
+  const { context, engine } = await setup();
+  context.state = 'suspended';
+  await Promise.all([engine.play(), engine.play()]);
+  assert.equal(engine.isPlaying(), true);
+  assert.equal(context.playingSources().length, 2);
+});
+
+test('a stop while the context resumes calls the play off', async () => {
+  const { context, engine } = await setup();
+  context.state = 'suspended';
+  const playing = engine.play();
+  engine.stop();
+  await playing;
+  assert.equal(engine.isPlaying(), false);
+  assert.equal(context.playingSources().length, 0);
+});
@@ -0,0 +1,95 @@
+/* Encore! Test helpers
+   A stand-in for AudioContext, just enough for the engine: nodes connect and
+   disconnect, parameters keep their value, and the clock only moves when a
+   test calls advance(), which ends sources whose time is up.
+*/
+
+const createParam = (value = 0) => ({
+  value,
+  setValueAtTime(next) { this.value = next; },
+  linearRampToValueAtTime(next) { this.value = next; },
+  setTargetAtTime(next) { this.value = next; },
+  cancelScheduledValues() {},
+});
+
+const createNode = (extra = {}) => ({
+  connect: (target) => target,
+  disconnect: () => {},
+  ...extra,
+});
+
+export const createFakeBuffer = (duration, sampleRate = 48000) => ({
+  duration,
+  sampleRate,
+  numberOfChannels: 2,
+  length: Math.round(duration * sampleRate),
+  getChannelData: () => new Float32Array(Math.round(duration * sampleRate)),
+});
+
+// A stem whose "file" decodes to a buffer of `duration` seconds
+export const createFakeStem = (id, duration) => ({
+  id,
+  name: `${id}.wav`,
+  file: { arrayBuffer: async () => createFakeBuffer(duration) },
+});
+
+export const createFakeContext = () => {
+  const sources = [];
+
+  const createSource = (extra) => {
+    const source = createNode({
+      startedAt: null,
+      endsAt: Infinity,
+      ended: false,
+      onended: null,
+      start(when = context.currentTime, offset, duration) {
+        source.startedAt = when;
+        if (duration !== undefined) source.endsAt = when + duration;
+      },
+      stop(when = context.currentTime) {
+        source.endsAt = Math.min(source.endsAt, when);
+      },
+      ...extra,
+    });
+    sources.push(source);
+    return source;
+  };
+
+  const context = {
+    currentTime: 0,
+    state: 'running',
+    sampleRate: 48000,
+    destination: createNode({ maxChannelCount: 2 }),
+    createGain: () => createNode({ gain: createParam(1) }),
+    createBiquadFilter: () => createNode({ type: 'peaking', frequency: createParam(), gain: createParam(), Q: createParam() }),
+    createStereoPanner: () => createNode({ pan: createParam() }),
+    createChannelSplitter: () => createNode(),
+    createChannelMerger: () => createNode(),
+    createAnalyser: () => createNode({ fftSize: 2048, getFloatTimeDomainData: () => {} }),
+    createBufferSource: () => createSource({ buffer: null, playbackRate: createParam(1) }),
+    createConstantSource: () => createSource({ offset: createParam(1) }),
+    createBuffer: (channels, length, sampleRate) => createFakeBuffer(length / sampleRate, sampleRate),
+    decodeAudioData: async (data) => data,
+    resume: async () => { context.state = 'running'; },
+    close: async () => { context.state = 'closed'; },
+
+    // Moves the clock on, ending (in time order) every source whose time is up
+    advance(seconds) {
+      const target = context.currentTime + seconds;
+      for (;;) {
+        const due = sources
+          .filter(s => !s.ended && s.startedAt !== null && s.endsAt <= target)
+          .sort((a, b) => a.endsAt - b.endsAt)[0];
+        if (!due) break;
+        context.currentTime = Math.max(context.currentTime, due.endsAt);
+        due.ended = true;
+        due.onended?.();
+      }
+      context.currentTime = target;
+    },
+
+    // Sources that have started and not yet ended
+    playingSources: () => sources.filter(s => !s.ended && s.startedAt !== null && s.endsAt > context.currentTime),
+  };
+  return context;
+};
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseMidiMessage,
+  learnMidiTrigger,
+  resolveMidiMessage,
+  createMidiMapping,
+  describeMidiTrigger,
+} from '../src/midi.js';
+
+const mapped = (action, bytes, param = null) => ({
+  ...createMidiMapping(action, param),
+  trigger: learnMidiTrigger(parseMidiMessage(bytes)),
+});
+
+test('parses notes, control changes and program changes with their channel', () => {
+  assert.deepEqual(parseMidiMessage([0x90, 60, 100]), { type: 'note', channel: 1, number: 60, value: 100 });
+  assert.deepEqual(parseMidiMessage([0x85, 60, 64]), { type: 'note', channel: 6, number: 60, value: 0 });
+  assert.deepEqual(parseMidiMessage([0xb0, 7, 90]), { type: 'cc', channel: 1, number: 7, value: 90 });
+  assert.deepEqual(parseMidiMessage([0xcf, 3]), { type: 'program', channel: 16, number: 3, value: 127 });
+});
+
+test('ignores messages that are not channel notes, CCs or program changes', () => {
+  assert.equal(parseMidiMessage([0xf8]), null); // clock
+  assert.equal(parseMidiMessage([0xe0, 0, 64]), null); // pitch bend
+});
+
+test('learns the control a message came from, but not from a note-off', () => {
+  assert.deepEqual(learnMidiTrigger(parseMidiMessage([0x91, 36, 127])), { type: 'note', channel: 2, number: 36 });
+  assert.equal(learnMidiTrigger(parseMidiMessage([0x91, 36, 0])), null);
+  assert.deepEqual(learnMidiTrigger(parseMidiMessage([0xb0, 1, 0])), { type: 'cc', channel: 1, number: 1 });
+  assert.equal(describeMidiTrigger({ type: 'note', channel: 2, number: 36 }), 'Note C2 · ch 2');
+});
+
+test('a note mapped to a trigger fires on the press only', () => {
+  const mappings = [mapped('togglePlay', [0x90, 60, 100])];
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0x90, 60, 80])), [{ action: 'togglePlay', param: null, value: 1 }]);
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0x80, 60, 0])), []);
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0x90, 60, 0])), []);
+});
+
+test('only the mapped channel and number match', () => {
+  const mappings = [mapped('stop', [0x90, 60, 100])];
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0x91, 60, 100])), []);
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0x90, 61, 100])), []);
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0xb0, 60, 100])), []);
+});
+
+test('a CC switch presses from the threshold up', () => {
+  const mappings = [mapped('next', [0xb0, 64, 127])];
+  assert.equal(resolveMidiMessage(mappings, parseMidiMessage([0xb0, 64, 127])).length, 1);
+  assert.equal(resolveMidiMessage(mappings, parseMidiMessage([0xb0, 64, 64])).length, 1);
+  assert.equal(resolveMidiMessage(mappings, parseMidiMessage([0xb0, 64, 63])).length, 0);
+});
+
+test('a CC mapped to a continuous action follows its value, scaled to 0..1', () => {
+  const mappings = [mapped('stemVolume', [0xb0, 7, 0], 2)];
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0xb0, 7, 0])), [{ action: 'stemVolume', param: 2, value: 0 }]);
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0xb0, 7, 127])), [{ action: 'stemVolume', param: 2, value: 1 }]);
+  // Only CCs drive continuous actions
+  const noteMapped = [mapped('masterVolume', [0x90, 7, 100])];
+  assert.deepEqual(resolveMidiMessage(noteMapped, parseMidiMessage([0x90, 7, 100])), []);
+});
+
+test('a program change fires its mapping, and one message can fire several', () => {
+  const mappings = [mapped('goToCue', [0xc0, 4], 5), mapped('togglePlay', [0xc0, 4])];
+  assert.deepEqual(resolveMidiMessage(mappings, parseMidiMessage([0xc0, 4])), [
+    { action: 'goToCue', param: 5, value: 1 },
+    { action: 'togglePlay', param: null, value: 1 },
+  ]);
+});
+
+test('unmapped and unlearned mappings fire nothing', () => {
+  assert.deepEqual(resolveMidiMessage([createMidiMapping('stop')], parseMidiMessage([0x90, 60, 100])), []);
+  assert.deepEqual(resolveMidiMessage([], null), []);
+});
+
+test('mappings created together get distinct ids', () => {
+  const ids = new Set(Array.from({ length: 20 }, () => createMidiMapping('stop').id));
+  assert.equal(ids.size, 20);
+});
@@ -1,7 +1,37 @@
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Emits src/sw.js as sw.js with the list of files to precache (everything the
+// build wrote, plus public/) and a version derived from their contents
+const serviceWorker = () => ({
+  name: 'encore-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const hash = createHash('sha256')
+    const files = Object.values(bundle).map(file => {
+      hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source)
+      return file.fileName
+    })
+    readdirSync('public').forEach(fileName => {
+      hash.update(fileName).update(readFileSync(`public/${fileName}`))
+      files.push(fileName)
+    })
+    const precache = ['./', ...files.map(fileName => `./${fileName}`)]
+    const version = hash.digest('hex').slice(0, 12)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `self.__ENCORE_VERSION__ = ${JSON.stringify(version)};\n`
+        + `self.__ENCORE_PRECACHE__ = ${JSON.stringify(precache)};\n`
+        + readFileSync('src/sw.js', 'utf8'),
+    })
+  },
+})
+
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
 })